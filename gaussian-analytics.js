@@ -7,7 +7,7 @@ const stdnormalNormalizingConstant = 1 / Math.sqrt(2 * Math.PI);
  * @returns {number} density of standard normal distribution
  */
 export function pdf(x) {
-    assertNumber(x, 'x');
+    assertNumberOrInfinity(x, 'x');
     return stdnormalNormalizingConstant * Math.exp(-0.5*x**2);
 }
 
@@ -19,15 +19,16 @@ const p = 0.2316419,
     b5 = 1.330274429;
 
 /**
- * Cumulative distribution function (cdf) for a standard normal distribution.
+ * Fast cumulative distribution function (cdf) for a standard normal distribution.
  * Approximation by Zelen, Marvin and Severo, Norman C. (1964),
- * [formula 26.2.17](http://people.math.sfu.ca/~cbm/aands/page_932.htm).
+ * [formula 26.2.17](http://people.math.sfu.ca/~cbm/aands/page_932.htm),
+ * with an absolute error of less than 7.5e-8. Use {@link cdf} for full double precision.
  * 
  * @param {number} x value for which the cumulative distribution is to be calculated
  * @returns {number} cumulative distribution of standard normal distribution
  */
-export function cdf(x) {
-    assertNumber(x, 'x');
+export function cdfFast(x) {
+    assertNumberOrInfinity(x, 'x');
     if (x === 0) {
         return 0.5;
     }
@@ -42,42 +43,384 @@ export function cdf(x) {
     return intercept + slope * pdf(x) * (b1*t + b2*t**2 + b3*t**3 + b4*t**4 + b5*t**5);
 }
 
+const cdfCentralNumerator = [2.2352520354606837, 161.02823106855587, 1067.6894854603709,
+        18154.98125334356, 0.06568233791820745],
+    cdfCentralDenominator = [47.202581904688245, 976.0985517377767, 10260.932208618979,
+        45507.78933502673],
+    cdfIntermediateNumerator = [0.39894151208813466, 8.883149794388377, 93.50665613217785,
+        597.2702763948002, 2494.5375852903726, 6848.190450536283, 11602.65143764735,
+        9842.714838383978, 1.0765576773720192e-8],
+    cdfIntermediateDenominator = [22.266688044328117, 235.387901782625, 1519.3775994075547,
+        6485.558298266761, 18615.571640885097, 34900.95272114598, 38912.00328609327,
+        19685.429676859992],
+    cdfTailNumerator = [0.215898534057957, 0.12740116116024736, 0.022235277870649807,
+        0.0014216191932278934, 2.9112874951168793e-5, 0.023073441764940174],
+    cdfTailDenominator = [1.284260096144911, 0.4682382124808651, 0.06598813786892856,
+        0.0037823963320275824, 7.297515550839662e-5],
+    cdfCentralLimit = 0.66291,
+    cdfIntermediateLimit = Math.sqrt(32),
+    cdfUnderflowLimit = 40;
+
+/*
+ * exp(-y^2 / 2) with y^2 split into an exactly representable part and a remainder
+ * to prevent loss of relative accuracy in the tails.
+ */
+function gaussianKernel(y) {
+    const ySplit = Math.trunc(y * 16) / 16,
+        remainder = (y - ySplit) * (y + ySplit);
+    return Math.exp(-ySplit * ySplit * 0.5) * Math.exp(-remainder * 0.5);
+}
+
+/**
+ * Cumulative distribution function (cdf) for a standard normal distribution.
+ * Rational Chebyshev approximations by W. J. Cody,
+ * [Rational Chebyshev Approximations for the Error Function](https://doi.org/10.1090/S0025-5718-1969-0247736-4),
+ * Mathematics of Computation, Vol. 23, No. 107 (1969), pp. 631-637,
+ * accurate to (almost) double precision and retaining relative accuracy in the lower tail.
+ * 
+ * @param {number} x value for which the cumulative distribution is to be calculated
+ * @returns {number} cumulative distribution of standard normal distribution
+ */
+export function cdf(x) {
+    assertNumberOrInfinity(x, 'x');
+    const y = Math.abs(x);
+    let lowerTail; // cdf(-y)
+    if (y <= cdfCentralLimit) {
+        const ySquared = y * y;
+        let numerator = cdfCentralNumerator[4] * ySquared,
+            denominator = ySquared;
+        for (let i = 0; i < 3; i++) {
+            numerator = (numerator + cdfCentralNumerator[i]) * ySquared;
+            denominator = (denominator + cdfCentralDenominator[i]) * ySquared;
+        }
+        lowerTail = 0.5 - y * (numerator + cdfCentralNumerator[3]) / (denominator + cdfCentralDenominator[3]);
+    } else if (y <= cdfIntermediateLimit) {
+        let numerator = cdfIntermediateNumerator[8] * y,
+            denominator = y;
+        for (let i = 0; i < 7; i++) {
+            numerator = (numerator + cdfIntermediateNumerator[i]) * y;
+            denominator = (denominator + cdfIntermediateDenominator[i]) * y;
+        }
+        lowerTail = gaussianKernel(y) * (numerator + cdfIntermediateNumerator[7]) / (denominator + cdfIntermediateDenominator[7]);
+    } else if (y <= cdfUnderflowLimit) {
+        const yInvSquared = 1 / (y * y);
+        let numerator = cdfTailNumerator[5] * yInvSquared,
+            denominator = yInvSquared;
+        for (let i = 0; i < 4; i++) {
+            numerator = (numerator + cdfTailNumerator[i]) * yInvSquared;
+            denominator = (denominator + cdfTailDenominator[i]) * yInvSquared;
+        }
+        const tailSeries = yInvSquared * (numerator + cdfTailNumerator[4]) / (denominator + cdfTailDenominator[4]);
+        lowerTail = gaussianKernel(y) * (stdnormalNormalizingConstant - tailSeries) / y;
+    } else {
+        lowerTail = y > cdfUnderflowLimit ? 0 : NaN;
+    }
+    return x > 0 ? 1 - lowerTail : lowerTail;
+}
+
+const inverseCdfCentralNumerator = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+        1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00],
+    inverseCdfCentralDenominator = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+        6.680131188771972e+01, -1.328068155288572e+01],
+    inverseCdfTailNumerator = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+        -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00],
+    inverseCdfTailDenominator = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+        3.754408661907416e+00],
+    inverseCdfCentralLimit = 0.02425;
+
+/**
+ * Inverse of the cumulative distribution function (a.k.a. quantile function or probit)
+ * for a standard normal distribution.
+ * Rational approximation by Peter J. Acklam refined by one step of Halley's method
+ * using {@link cdf}, resulting in (almost) double precision.
+ * 
+ * @param {number} probability probability in the interval [0, 1]
+ * @returns {number} value x for which cdf(x) equals the given probability
+ */
+export function inverseCdf(probability) {
+    assertNumber(probability, 'probability');
+    if (!(probability >= 0 && probability <= 1)) {
+        throw new InputError(`probability must be in interval [0, 1]; got ${probability}`, 'probability', probability, errorCode.outOfRange);
+    }
+    if (probability === 0) {
+        return -Infinity;
+    }
+    if (probability === 1) {
+        return Infinity;
+    }
+    if (probability > 0.5) {
+        return -inverseCdf(1 - probability);
+    }
+    let x;
+    if (probability < inverseCdfCentralLimit) {
+        const c = inverseCdfTailNumerator,
+            d = inverseCdfTailDenominator,
+            q = Math.sqrt(-2 * Math.log(probability));
+        x = (((((c[0]*q + c[1])*q + c[2])*q + c[3])*q + c[4])*q + c[5]) /
+            ((((d[0]*q + d[1])*q + d[2])*q + d[3])*q + 1);
+    } else {
+        const a = inverseCdfCentralNumerator,
+            b = inverseCdfCentralDenominator,
+            q = probability - 0.5,
+            r = q * q;
+        x = (((((a[0]*r + a[1])*r + a[2])*r + a[3])*r + a[4])*r + a[5]) * q /
+            (((((b[0]*r + b[1])*r + b[2])*r + b[3])*r + b[4])*r + 1);
+    }
+    const u = (cdf(x) - probability) / pdf(x);
+    return x - u / (1 + x * u / 2);
+}
+
+const bivariateCdfGaussLegendre = [
+    { // 6 points for |rho| < 0.3
+        weights: [0.1713244923791705, 0.3607615730481384, 0.4679139345726904],
+        abscissas: [0.9324695142031522, 0.6612093864662647, 0.2386191860831970]
+    },
+    { // 12 points for |rho| < 0.75
+        weights: [0.04717533638651177, 0.1069393259953183, 0.1600783285433464,
+            0.2031674267230659, 0.2334925365383547, 0.2491470458134029],
+        abscissas: [0.9815606342467191, 0.9041172563704750, 0.7699026741943050,
+            0.5873179542866171, 0.3678314989981802, 0.1252334085114692]
+    },
+    { // 20 points otherwise
+        weights: [0.01761400713915212, 0.04060142980038694, 0.06267204833410905,
+            0.08327674157670475, 0.1019301198172404, 0.1181945319615184,
+            0.1316886384491766, 0.1420961093183821, 0.1491729864726037, 0.1527533871307259],
+        abscissas: [0.9931285991850949, 0.9639719272779138, 0.9122344282513259,
+            0.8391169718222188, 0.7463319064601508, 0.6360536807265150,
+            0.5108670019508271, 0.3737060887154196, 0.2277858511416451, 0.07652652113349732]
+    }
+];
+
+/*
+ * Upper bivariate normal probability P(X > h, Y > k) with correlation rho,
+ * following Alan Genz's implementation of the Drezner-Wesolowsky method.
+ */
+function bivariateUpperCdf(h, k, rho) {
+    if (h === Infinity || k === Infinity) {
+        return 0;
+    }
+    if (h === -Infinity) {
+        return k === -Infinity ? 1 : cdf(-k);
+    }
+    if (k === -Infinity) {
+        return cdf(-h);
+    }
+    if (rho === 0) {
+        return cdf(-h) * cdf(-k);
+    }
+    const absRho = Math.abs(rho),
+        quadrature = bivariateCdfGaussLegendre[absRho < 0.3 ? 0 : absRho < 0.75 ? 1 : 2],
+        twoPi = 2 * Math.PI;
+    let hk = h * k,
+        bvn = 0;
+    if (absRho < 0.925) {
+        const hs = (h * h + k * k) / 2,
+            asr = Math.asin(rho) / 2;
+        for (let i = 0; i < quadrature.weights.length; i++) {
+            for (const x of [1 - quadrature.abscissas[i], 1 + quadrature.abscissas[i]]) {
+                const sn = Math.sin(asr * x);
+                bvn += quadrature.weights[i] * Math.exp((sn * hk - hs) / (1 - sn * sn));
+            }
+        }
+        bvn = bvn * asr / twoPi + cdf(-h) * cdf(-k);
+    } else {
+        if (rho < 0) {
+            k = -k;
+            hk = -hk;
+        }
+        if (absRho < 1) {
+            const as = (1 - rho) * (1 + rho),
+                bs = (h - k) ** 2,
+                c = (4 - hk) / 8,
+                d = (12 - hk) / 80;
+            let a = Math.sqrt(as),
+                asr = -(bs / as + hk) / 2;
+            if (asr > -100) {
+                bvn = a * Math.exp(asr) * (1 - c * (bs - as) * (1 - d * bs) / 3 + c * d * as * as);
+            }
+            if (hk > -100) {
+                const b = Math.sqrt(bs),
+                    sp = Math.sqrt(twoPi) * cdf(-b / a);
+                bvn -= Math.exp(-hk / 2) * sp * b * (1 - c * bs * (1 - d * bs) / 3);
+            }
+            a /= 2;
+            let integral = 0;
+            for (let i = 0; i < quadrature.weights.length; i++) {
+                for (const x of [1 - quadrature.abscissas[i], 1 + quadrature.abscissas[i]]) {
+                    const xs = (a * x) ** 2;
+                    asr = -(bs / xs + hk) / 2;
+                    if (asr > -100) {
+                        const sp = 1 + c * xs * (1 + 5 * d * xs),
+                            rs = Math.sqrt(1 - xs),
+                            ep = Math.exp(-(hk / 2) * xs / (1 + rs) ** 2) / rs;
+                        integral += quadrature.weights[i] * Math.exp(asr) * (sp - ep);
+                    }
+                }
+            }
+            bvn = (a * integral - bvn) / twoPi;
+        }
+        if (rho > 0) {
+            bvn += cdf(-Math.max(h, k));
+        } else if (h >= k) {
+            bvn = -bvn;
+        } else {
+            const L = h < 0 ? cdf(k) - cdf(h) : cdf(-h) - cdf(-k);
+            bvn = L - bvn;
+        }
+    }
+    return Math.max(0, Math.min(1, bvn));
+}
+
+/**
+ * Cumulative distribution function (cdf) for a bivariate standard normal distribution
+ * with correlation {@link rho}, i.e. P(X <= x, Y <= y).
+ * Implementation following Alan Genz, [Numerical computation of rectangular bivariate and trivariate normal and t probabilities](https://doi.org/10.1023/B:STCO.0000035304.20635.31),
+ * Statistics and Computing, Vol. 14 (2004), pp. 251-260, accurate to about 1e-15.
+ * 
+ * @param {number} x upper bound for the first component
+ * @param {number} y upper bound for the second component
+ * @param {number} rho correlation of both components
+ * @returns {number} cumulative distribution of bivariate standard normal distribution
+ */
+export function bivariateCdf(x, y, rho) {
+    assertNumberOrInfinity(x, 'x');
+    assertNumberOrInfinity(y, 'y');
+    assertCorrelation(rho, 'rho');
+    return bivariateUpperCdf(-x, -y, rho);
+}
+
 function discountFactor(r, t) {
     return Math.exp(-r*t);
 }
 
+/**
+ * Error codes attached to all errors thrown by this library, see {@link AnalyticsError}:
+ * a required parameter is `missing`, has an `invalidType`, is `notFinite` (NaN or infinite),
+ * is `outOfRange` or otherwise an `invalidValue`; an iterative method reached `noConvergence`
+ * or a price violates no-`arbitrage` bounds.
+ */
+export const errorCode = {
+    missing: 'MISSING',
+    invalidType: 'INVALID_TYPE',
+    notFinite: 'NOT_FINITE',
+    outOfRange: 'OUT_OF_RANGE',
+    invalidValue: 'INVALID_VALUE',
+    noConvergence: 'NO_CONVERGENCE',
+    arbitrage: 'ARBITRAGE'
+};
+
+/**
+ * Base class of all errors thrown by this library.
+ */
+class AnalyticsError extends Error {
+    /**
+     * Creates an instance of an error.
+     * 
+     * @param {string} message human readable description of the error
+     * @param {string} [parameter] name of the offending parameter (if any)
+     * @param {*} [value] offending value (if any)
+     * @param {string} [code] error code, see {@link errorCode}
+     */
+    constructor(message, parameter, value, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.parameter = parameter;
+        this.value = value;
+        this.code = code;
+    }
+}
+
+/**
+ * Error thrown if a parameter fails input validation.
+ */
+class InputError extends AnalyticsError {
+    /**
+     * Creates an instance of an input validation error.
+     * 
+     * @param {string} message human readable description of the error
+     * @param {string} parameter name of the offending parameter
+     * @param {*} value offending value
+     * @param {string} [code=errorCode.invalidValue] error code, see {@link errorCode}
+     */
+    constructor(message, parameter, value, code) {
+        super(message, parameter, value, typeof code === 'undefined' ? errorCode.invalidValue : code);
+    }
+}
+
+/**
+ * Error thrown if an iterative method (e.g. for implied volatilities or yields) does not converge.
+ */
+class ConvergenceError extends AnalyticsError {
+    /**
+     * Creates an instance of a convergence failure.
+     * 
+     * @param {string} message human readable description of the error
+     * @param {string} [parameter] name of the quantity that could not be solved for
+     * @param {*} [value] last iterate (if any)
+     */
+    constructor(message, parameter, value) {
+        super(message, parameter, value, errorCode.noConvergence);
+    }
+}
+
+/**
+ * Error thrown if a given price violates no-arbitrage bounds, e.g. when calculating implied volatilities.
+ */
+class ArbitrageError extends AnalyticsError {
+    /**
+     * Creates an instance of an arbitrage violation.
+     * 
+     * @param {string} message human readable description of the error
+     * @param {string} parameter name of the offending parameter
+     * @param {*} value offending value
+     */
+    constructor(message, parameter, value) {
+        super(message, parameter, value, errorCode.arbitrage);
+    }
+}
+
 function assertDefined(value, name) {
     if (typeof value === 'undefined') {
-        throw `${name} must be given, got undefined`;
+        throw new InputError(`${name} must be given, got undefined`, name, value, errorCode.missing);
     }
 }
 
 function assertNonEmptyArray(value, name) {
     if (!Array.isArray(value)) {
-        throw `${name} must be a array`;
+        throw new InputError(`${name} must be a array`, name, value, errorCode.invalidType);
     }
     if (value.length < 1) {
-        throw `${name} must contain at least one element, got zero`;
+        throw new InputError(`${name} must contain at least one element, got zero`, name, value, errorCode.outOfRange);
     }
 }
 
-function assertNumber(value, name) {
+function assertNumberOrInfinity(value, name) {
     if (typeof value !== 'number') {
-        throw `${name} must be a number`;
+        throw new InputError(`${name} must be a number`, name, value, errorCode.invalidType);
+    }
+    if (Number.isNaN(value)) {
+        throw new InputError(`${name} must not be NaN`, name, value, errorCode.notFinite);
+    }
+}
+
+function assertNumber(value, name) {
+    assertNumberOrInfinity(value, name);
+    if (!Number.isFinite(value)) {
+        throw new InputError(`${name} must be finite; got ${value}`, name, value, errorCode.notFinite);
     }
 }
 
 function assertPositive(value, name) {
     assertNumber(value, name);
     if (value < 0) {
-        throw `${name} must be greater or equal to 0; got ${value}`;
+        throw new InputError(`${name} must be greater or equal to 0; got ${value}`, name, value, errorCode.outOfRange);
     }
 }
 
 function assertStrictlyPositive(value, name) {
     assertNumber(value, name);
     if (value <= 0) {
-        throw `${name} must be greater than 0; got ${value}`;
+        throw new InputError(`${name} must be greater than 0; got ${value}`, name, value, errorCode.outOfRange);
     }
 }
 
@@ -85,14 +428,26 @@ function assertFrequency(value, name) {
     assertStrictlyPositive(value, name);
     const maxFreq = 1 / irMinimumPeriod;
     if (value > maxFreq) {
-        throw `${name} must be less than ${maxFreq}; got ${value}`;
+        throw new InputError(`${name} must be less than ${maxFreq}; got ${value}`, name, value, errorCode.outOfRange);
+    }
+}
+
+function assertCompounding(value, name) {
+    if (value !== irCompounding.continuous && value !== irCompounding.simple) {
+        assertFrequency(value, name);
     }
 }
 
 function assertCorrelation(value, name) {
     assertNumber(value, name);
     if (value < -1 || value > 1) {
-        throw `${name} must be in interval [-1, 1]; got ${value}`;
+        throw new InputError(`${name} must be in interval [-1, 1]; got ${value}`, name, value, errorCode.outOfRange);
+    }
+}
+
+function assertOptionType(value, name) {
+    if (value !== 'call' && value !== 'put') {
+        throw new InputError(`${name} must be either 'call' or 'put'; got ${value}`, name, value);
     }
 }
 
@@ -120,10 +475,28 @@ function assertCorrelation(value, name) {
  * @property {number} price price of the option
  * @property {number} delta delta, i.e. derivative by (first) underlying of the option
  * @property {number} gamma gamma, i.e. second derivative by (first) underlying of the option
+ * @property {number} vega vega, i.e. derivative by volatility of the option
+ * @property {number} theta theta, i.e. negative derivative by time to maturity of the option (change of value per unit of passing time)
+ * @property {number} rhoDom rho, i.e. derivative by the risk-less rate of return (for Margrabe's formula by `q2`, for FX options by the domestic rate)
+ * @property {number} rhoFor rho with respect to the dividend yield (for Margrabe's formula by `q1`, for FX options by the foreign rate)
+ * @property {number} vanna vanna, i.e. derivative of delta by volatility
+ * @property {number} volga volga (a.k.a. vomma), i.e. second derivative by volatility of the option
+ * @property {number} charm charm, i.e. negative derivative of delta by time to maturity (change of delta per unit of passing time)
  * @property {number} logSimpleMoneyness logarithm of simple moneyness, i.e. ln(forward / strike)
  * @property {number} standardizedMoneyness standardized logSimpleMoneyness, i.e. ln(forward / strike) / (sigma * sqrt(T))
  */
 
+/**
+ * @typedef {Object} BachelierPricingResult
+ * @property {OptionPricingResult} call results for the call option; `logSimpleMoneyness` is replaced by `simpleMoneyness`, i.e. forward - strike
+ * @property {OptionPricingResult} put results for the put option; `logSimpleMoneyness` is replaced by `simpleMoneyness`, i.e. strike - forward
+ * @property {OptionPricingResult} digitalCall results for digital call option
+ * @property {OptionPricingResult} digitalPut results for digital put option
+ * @property {number} N_d cumulative probability of `d`
+ * @property {number} d standardized moneyness, i.e. (forward - strike) / (sigma * sqrt(T))
+ * @property {number} sigma pricing (normal) volatility
+ */
+
 /**
  * @callback DiscountCurve
  * @param {number} t time (typically expressed in years)
@@ -152,10 +525,22 @@ function assertCorrelation(value, name) {
 /**
   * @typedef {Object} FloatingCashflow
   * @property {number} t fixing time
-  * @property {number} T payment time, yearfraction is T - t
+  * @property {number} T payment time, yearfraction is T - t unless given explicitly
   * @property {number} notional notional amount that the rate fixed at will refer to
+  * @property {number} [yearFraction=T-t] accrual year fraction of the floating rate, e.g. according to a day count convention (see {@link irYearFraction})
   */
 
+/*
+ * Returns the accrual year fraction of the given floating cashflow.
+ */
+function floatingYearFraction(floatingRate) {
+    if (typeof floatingRate.yearFraction === 'undefined') {
+        return floatingRate.T - floatingRate.t;
+    }
+    assertNumber(floatingRate.yearFraction, 'yearFraction');
+    return floatingRate.yearFraction;
+}
+
 /**
   * @typedef {FixedCashflow | FloatingCashflow} Cashflow
   */
@@ -210,7 +595,53 @@ export function margrabesFormulaShort(S1, S2, T, sigma, q1, q2, scale) {
     if (typeof scale === 'undefined') {
         scale = 1.0;
     }
-    assertNumber(scale);
+    assertNumber(scale, 'scale');
+    const terms = margrabesTerms(S1, S2, T, sigma, q1, q2, scale, {});
+    const call = {
+        price: terms.callPrice,
+        delta: terms.callDelta,
+        gamma: terms.gamma,
+        vega: terms.vega,
+        theta: terms.callTheta,
+        rhoDom: terms.callRhoDom,
+        rhoFor: terms.callRhoFor,
+        vanna: terms.vanna,
+        volga: terms.volga,
+        charm: terms.callCharm,
+        logSimpleMoneyness: terms.logSimpleMoneyness,
+        standardizedMoneyness: terms.standardizedMoneyness
+    };
+    const put = {
+        price: terms.putPrice,
+        delta: terms.putDelta,
+        gamma: terms.gamma,
+        vega: terms.vega,
+        theta: terms.putTheta,
+        rhoDom: terms.putRhoDom,
+        rhoFor: terms.putRhoFor,
+        vanna: terms.vanna,
+        volga: terms.volga,
+        charm: terms.putCharm,
+        logSimpleMoneyness: -terms.logSimpleMoneyness,
+        standardizedMoneyness: -terms.logSimpleMoneyness
+    };
+    return {
+        call: call,
+        put: put,
+        N_d1: terms.N_d1,
+        N_d2: terms.N_d2,
+        d1: terms.d1,
+        d2: terms.d2,
+        sigma: sigma
+    };
+}
+
+/*
+ * Calculations of margrabesFormulaShort for validated inputs, shared with margrabesFormulaShortBatch.
+ * Writes d1, d2, N_d1, N_d2, moneyness, prices and sensitivities to terms (named as batch output columns)
+ * and returns terms, such that batch pricing can reuse one object for all options.
+ */
+function margrabesTerms(S1, S2, T, sigma, q1, q2, scale, terms) {
     const sigmaSqrtT = sigma * Math.sqrt(T);
     const callLogSimpleMoneyness = Math.log(S1 / S2) + (q2 - q1)*T;
     const isMoneynessEdgeCase = callLogSimpleMoneyness === 0 &&  sigmaSqrtT === 0;
@@ -224,29 +655,134 @@ export function margrabesFormulaShort(S1, S2, T, sigma, q1, q2, scale) {
     const asset2OrNothingCall = df2 * S2 * N_d2;
     const asset1OrNothingPut = df1 * S1 * (1-N_d1);
     const asset2OrNothingPut = df2 * S2 * (1-N_d2);
-    const call = {
-        price: scale * (asset1OrNothingCall - asset2OrNothingCall),
-        delta: scale * df1 * N_d1,
-        gamma: scale * df1 * pdf(d1) / sigmaSqrtT / S1,
-        logSimpleMoneyness: callLogSimpleMoneyness,
-        standardizedMoneyness: callLogSimpleMoneyness / sigmaSqrtT
-    };
-    const put = {
-        price: scale * (asset2OrNothingPut - asset1OrNothingPut),
-        delta: scale * df1 * (N_d1 - 1),
-        gamma: call.gamma,
-        logSimpleMoneyness: -callLogSimpleMoneyness,
-        standardizedMoneyness: -call.logSimpleMoneyness
-    };
-    return {
-        call: call,
-        put: put,
-        N_d1: N_d1,
-        N_d2: N_d2,
-        d1: d1,
-        d2: d2,
-        sigma: sigma
-    };
+    const sqrtT = Math.sqrt(T);
+    const pdf_d1 = pdf(d1);
+    const dd1_dT = (q2 - q1) / sigmaSqrtT - d2 / (2*T);
+    const timeDecay = scale * df1 * S1 * pdf_d1 * sigma / (2*sqrtT);
+    terms.d1 = d1;
+    terms.d2 = d2;
+    terms.N_d1 = N_d1;
+    terms.N_d2 = N_d2;
+    terms.logSimpleMoneyness = callLogSimpleMoneyness;
+    terms.standardizedMoneyness = callLogSimpleMoneyness / sigmaSqrtT;
+    terms.callPrice = scale * (asset1OrNothingCall - asset2OrNothingCall);
+    terms.putPrice = scale * (asset2OrNothingPut - asset1OrNothingPut);
+    terms.callDelta = scale * df1 * N_d1;
+    terms.putDelta = scale * df1 * (N_d1 - 1);
+    terms.gamma = scale * df1 * pdf_d1 / sigmaSqrtT / S1;
+    terms.vega = scale * df1 * S1 * pdf_d1 * sqrtT;
+    terms.callTheta = -timeDecay + scale * (q1 * asset1OrNothingCall - q2 * asset2OrNothingCall);
+    terms.putTheta = -timeDecay - scale * (q1 * asset1OrNothingPut - q2 * asset2OrNothingPut);
+    terms.callRhoDom = scale * T * asset2OrNothingCall;
+    terms.putRhoDom = -scale * T * asset2OrNothingPut;
+    terms.callRhoFor = -scale * T * asset1OrNothingCall;
+    terms.putRhoFor = scale * T * asset1OrNothingPut;
+    terms.vanna = -scale * df1 * pdf_d1 * d2 / sigma;
+    terms.volga = scale * df1 * S1 * pdf_d1 * sqrtT * d1 * d2 / sigma;
+    terms.callCharm = scale * df1 * (q1 * N_d1 - pdf_d1 * dd1_dT);
+    terms.putCharm = -scale * df1 * (q1 * (1 - N_d1) + pdf_d1 * dd1_dT);
+    return terms;
+}
+
+const impliedVolatilityTolerance = 1e-12,
+    impliedVolatilityMaxIterations = 200;
+
+/*
+ * Solves otmValue(s) = otmPrice for the total volatility s, starting from s.
+ * otmValue has to be increasing in s and return [value, derivative by s].
+ * Applies Newton's method to the logarithm of the price, falling back to bisection
+ * (or doubling while no upper bracket is known) whenever a step leaves the bracket.
+ */
+function solveImpliedTotalVolatility(otmPrice, s, otmValue) {
+    let lo = 0,
+        hi = Infinity;
+    for (let i = 0; i < impliedVolatilityMaxIterations; i++) {
+        const [value, derivative] = otmValue(s);
+        let next = NaN;
+        if (value > 0) {
+            const f = Math.log(value / otmPrice);
+            if (Math.abs(f) <= impliedVolatilityTolerance) {
+                return s;
+            }
+            if (f < 0) {
+                lo = s;
+            } else {
+                hi = s;
+            }
+            next = s - f * value / derivative;
+        } else {
+            lo = s;
+        }
+        if (!(next > lo && next < hi)) {
+            next = hi === Infinity ? 2 * s : (lo + hi) / 2;
+        }
+        if (Math.abs(next - s) <= Number.EPSILON * s) {
+            return next;
+        }
+        s = next;
+    }
+    throw new ConvergenceError(`implied volatility did not converge after ${impliedVolatilityMaxIterations} iterations`, 'sigma', s);
+}
+
+/*
+ * Solves for the total volatility s = sigma * sqrt(T) at which an exchange option on assets
+ * with present values pv1 and pv2 has the given (unscaled) price.
+ * Works on the out-of-the-money option (obtained by put-call parity) for accuracy in the wings.
+ */
+function impliedTotalVolatility(price, optionType, pv1, pv2) {
+    const intrinsic = Math.max(optionType === 'call' ? pv1 - pv2 : pv2 - pv1, 0),
+        upperBound = optionType === 'call' ? pv1 : pv2;
+    if (!(price >= intrinsic && price < upperBound)) {
+        throw new ArbitrageError(`price of ${optionType} must be in no-arbitrage interval [${intrinsic}, ${upperBound}); got ${price}`, 'price', price);
+    }
+    const otmPrice = price - intrinsic;
+    if (otmPrice === 0) {
+        return 0;
+    }
+    const small = Math.min(pv1, pv2),
+        large = Math.max(pv1, pv2),
+        y = Math.log(small / large),
+        s0 = y === 0 ? Math.sqrt(2 * Math.PI) * otmPrice / small : Math.sqrt(-2 * y);
+    return solveImpliedTotalVolatility(otmPrice, s0, s => {
+        const d1 = y / s + s / 2;
+        return [small * cdf(d1) - large * cdf(d1 - s), small * pdf(d1)];
+    });
+}
+
+/**
+ * Implied volatility for Margrabe's formula, i.e. the volatility of the ratio of both assets
+ * for which {@link margrabesFormulaShort} reproduces the given call or put price.
+ * Prices outside of the no-arbitrage bounds cause an {@link ArbitrageError}; a price equal to the
+ * lower bound (the discounted intrinsic value) yields an implied volatility of 0.
+ *
+ * @param {number} price (scaled) price of the option
+ * @param {string} optionType either `'call'` or `'put'`
+ * @param {number} S1 spot value of the first asset
+ * @param {number} S2 spot value of the second asset
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} q1 dividend yield of the first asset
+ * @param {number} q2 dividend yield of the second asset
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {number} implied volatility of the ratio of both assets
+ */
+export function margrabesFormulaShortImpliedVolatility(price, optionType, S1, S2, T, q1, q2, scale) {
+    assertNumber(price, 'price');
+    assertOptionType(optionType, 'optionType');
+    assertStrictlyPositive(S1, 'S1');
+    assertStrictlyPositive(S2, 'S2');
+    assertStrictlyPositive(T, 'T');
+    assertNumber(q1, 'q1');
+    assertNumber(q2, 'q2');
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertNumber(scale, 'scale');
+    if (scale === 0) {
+        throw new InputError('scale must not be 0 for implied volatility calculation', 'scale', scale, errorCode.outOfRange);
+    }
+    const pv1 = discountFactor(q1, T) * S1,
+        pv2 = discountFactor(q2, T) * S2;
+    return impliedTotalVolatility(price / scale, optionType, pv1, pv2) / Math.sqrt(T);
 }
 
 /**
@@ -265,22 +801,46 @@ export function margrabesFormulaShort(S1, S2, T, sigma, q1, q2, scale) {
  * @returns {EqPricingResult}
  */
 export function eqBlackScholes(S, K, T, sigma, q, r, scale) {
+    assertPositive(S, 'S');
+    assertPositive(K, 'K');
+    assertPositive(T, 'T');
+    assertPositive(sigma, 'sigma');
+    assertNumber(q, 'q');
+    assertNumber(r, 'r');
     if (typeof scale === 'undefined') {
         scale = 1.0;
     }
-    assertNumber(scale);
+    assertNumber(scale, 'scale');
     const res = margrabesFormulaShort(S, K, T, sigma, q, r, scale);
     const df = discountFactor(r, T);
-    const sigmaSqrtT = sigma * Math.sqrt(T);
+    const sqrtT = Math.sqrt(T);
+    const sigmaSqrtT = sigma * sqrtT;
+    const pdf_d2 = pdf(res.d2);
+    const dd2_dT = (r - q) / sigmaSqrtT - res.d1 / (2*T);
+    const digitalCallDelta = scale * df * pdf_d2 / sigmaSqrtT / S;
     const digitalCall = {
         price: scale * df * res.N_d2,
-        delta: scale * df * pdf(res.d2) / sigmaSqrtT / S,
-        gamma: -scale * df * res.d1 * pdf(res.d1) / S / K / (sigmaSqrtT**2)
+        delta: digitalCallDelta,
+        gamma: -digitalCallDelta * res.d1 / sigmaSqrtT / S,
+        vega: -scale * df * pdf_d2 * res.d1 / sigma,
+        theta: scale * df * (r * res.N_d2 - pdf_d2 * dd2_dT),
+        rhoDom: scale * df * (pdf_d2 * sqrtT / sigma - T * res.N_d2),
+        rhoFor: -scale * df * pdf_d2 * sqrtT / sigma,
+        vanna: -scale * df * pdf_d2 * (1 - res.d1 * res.d2) / sigma / sigmaSqrtT / S,
+        volga: -scale * df * pdf_d2 * (res.d1**2 * res.d2 - res.d1 - res.d2) / sigma**2,
+        charm: digitalCallDelta * (r + res.d2 * dd2_dT + 1 / (2*T))
     };
     const digitalPut = {
         price: scale * df * (1 - res.N_d2),
         delta: -digitalCall.delta,
-        gamma: -digitalCall.gamma
+        gamma: -digitalCall.gamma,
+        vega: -digitalCall.vega,
+        theta: scale * r * df - digitalCall.theta,
+        rhoDom: -scale * T * df - digitalCall.rhoDom,
+        rhoFor: -digitalCall.rhoFor,
+        vanna: -digitalCall.vanna,
+        volga: -digitalCall.volga,
+        charm: -digitalCall.charm
     };
     return {
         call: res.call,
@@ -296,397 +856,4708 @@ export function eqBlackScholes(S, K, T, sigma, q, r, scale) {
 }
 
 /**
- * Black-Scholes formula for a European vanilla currency option (asset class foreign exchange).
- * This is also known as the Garman–Kohlhagen model.
- * 
- * See Mark B. Garman and Steven W. Kohlhagen [Foreign currency option values](https://www.sciencedirect.com/science/article/pii/S0261560683800011),
- * Journal of International Money and Finance, Vol. 2, Issue 3 (1983), pp. 231-237.
- * 
- * @param {number} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * Implied volatility for the Black-Scholes formula, i.e. the volatility for which
+ * {@link eqBlackScholes} reproduces the given call or put price.
+ * Prices outside of the no-arbitrage bounds cause an {@link ArbitrageError}.
+ * @see margrabesFormulaShortImpliedVolatility
+ *
+ * @param {number} price (scaled) price of the option
+ * @param {string} optionType either `'call'` or `'put'`
+ * @param {number} S spot value of the stock
  * @param {number} K strike price of the option
  * @param {number} T time to maturity (typically expressed in years)
- * @param {number} sigma volatility of the currency exchange rate
- * @param {number} rFor risk-less rate of return in the foreign currency
- * @param {number} rDom risk-less rate of return in the domestic currency
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
  * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
- * @returns {PricingResult} prices in domestic currency
+ * @returns {number} implied volatility of the underlying stock
  */
-export function fxBlackScholes(S, K, T, sigma, rFor, rDom, scale) {
-    return margrabesFormulaShort(S, K, T, sigma, rFor, rDom, scale);
+export function eqBlackScholesImpliedVolatility(price, optionType, S, K, T, q, r, scale) {
+    return margrabesFormulaShortImpliedVolatility(price, optionType, S, K, T, q, r, scale);
 }
 
 /**
- * Black-Scholes formula for European option on forward / future (asset class interest rates),
- * known as the Black 76 model.
+ * Preallocated output columns of batch pricing, e.g. `Float64Array`s; only given columns are calculated.
+ * All columns must have the same length as the input columns. See {@link OptionPricingResult} for the
+ * definition of the individual sensitivities.
  * 
- * See Fischer Black [The pricing of commodity contracts](https://www.sciencedirect.com/science/article/abs/pii/0304405X76900246),
- * Journal of Financial Economics, 3 (1976), 167-179.
- * 
- * @param {number} F forward price of the underlying
- * @param {number} K strike price of the option
- * @param {number} T time to maturity (typically expressed in years)
- * @param {number} sigma volatility of the underlying forward price
- * @param {number} r risk-less rate of return
- * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
- * @returns {PricingResult} prices of forward / future option
+ * @typedef {Object} BatchPricingOutput
+ * @property {Array<number>|Float64Array} [callPrice] prices of call options
+ * @property {Array<number>|Float64Array} [putPrice] prices of put options
+ * @property {Array<number>|Float64Array} [callDelta] deltas of call options
+ * @property {Array<number>|Float64Array} [putDelta] deltas of put options
+ * @property {Array<number>|Float64Array} [gamma] gammas of call and put options
+ * @property {Array<number>|Float64Array} [vega] vegas of call and put options
+ * @property {Array<number>|Float64Array} [callTheta] thetas of call options
+ * @property {Array<number>|Float64Array} [putTheta] thetas of put options
+ * @property {Array<number>|Float64Array} [callRhoDom] rhos (by risk-less rate) of call options
+ * @property {Array<number>|Float64Array} [putRhoDom] rhos (by risk-less rate) of put options
+ * @property {Array<number>|Float64Array} [callRhoFor] rhos (by dividend yield) of call options
+ * @property {Array<number>|Float64Array} [putRhoFor] rhos (by dividend yield) of put options
+ * @property {Array<number>|Float64Array} [vanna] vannas of call and put options
+ * @property {Array<number>|Float64Array} [volga] volgas of call and put options
+ * @property {Array<number>|Float64Array} [callCharm] charms of call options
+ * @property {Array<number>|Float64Array} [putCharm] charms of put options
  */
-export function irBlack76(F, K, T, sigma, r, scale) {
-    return margrabesFormulaShort(discountFactor(r, T) * F, K, T, sigma, 0, r, scale);
+
+const batchOutputColumns = ['callPrice', 'putPrice', 'callDelta', 'putDelta', 'gamma', 'vega', 'callTheta', 'putTheta',
+    'callRhoDom', 'putRhoDom', 'callRhoFor', 'putRhoFor', 'vanna', 'volga', 'callCharm', 'putCharm'];
+
+function isColumn(value) {
+    return Array.isArray(value) || ArrayBuffer.isView(value);
 }
 
-/**
- * Black 76 model for an option on a coupon-paying bond (asset class interest rates).
- * 
- * @param {Bond} bond underlying bond of the option
- * @param {number} K (dirty) strike price of the option
- * @param {number} T time to maturity (typically expressed in years)
- * @param {number} sigma volatility of the bond forward price
- * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
- * @returns {PricingResult} prices of bond options
+/*
+ * Validates a scalar or every element of a column, returning the column length (or undefined for scalars).
  */
-export function irBlack76BondOption(bond, K, T, sigma, spotCurve) {
-    const bondForward = bond.forwardDirtyPrice(irSpotCurve2DiscountCurve(spotCurve), T);
-    return irBlack76(bondForward, K, T, sigma, spotCurve(T));
+function assertColumn(value, name, assertElement) {
+    if (!isColumn(value)) {
+        assertElement(value, name);
+        return undefined;
+    }
+    for (let i = 0; i < value.length; i++) {
+        assertElement(value[i], `${name}[${i}]`);
+    }
+    return value.length;
 }
 
-/**
- * Black 76 model for a caplet / floorlet (asset class interest rates).
- * Notional is retrieved from floatingRate.notional.
- * 
- * @param {FloatingCashflow} floatingRate underlying floating rate of the option 
- * @param {number} K strike price of the option
- * @param {number} sigma volatility of the floating rate
- * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
- * @returns {PricingResult} prices of caplet / floorlet
+/*
+ * Batch version of margrabesFormulaShort for assets S1 and S2 given as scalars or columns,
+ * writing the requested results to the columns of output; inputs S1, S2, T, sigma, q1 and q2
+ * are validated under the public parameter names given in names.
  */
-export function irBlack76CapletFloorlet(floatingRate, K, sigma, spotCurve) {
-    const discCurve = irSpotCurve2DiscountCurve(spotCurve),
-        forwardRate = irForwardLinearRate(floatingRate, discCurve),
-        yearFraction = floatingRate.T - floatingRate.t;
-    if (floatingRate.t > 0) {
-        const forwardDiscountFactor = discCurve(floatingRate.T) / discCurve(floatingRate.t),
-            scale = floatingRate.notional * yearFraction * forwardDiscountFactor;
-        return irBlack76(forwardRate, K, floatingRate.t, sigma, spotCurve(floatingRate.t), scale);
-    } else {
-        return irBlack76(forwardRate, K, floatingRate.T, 0, spotCurve(floatingRate.T),
-            floatingRate.notional * yearFraction);
+function margrabesFormulaShortBatch(S1, S2, T, sigma, q1, q2, output, scale, names) {
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    if (typeof output !== 'object' || output === null) {
+        throw new InputError('output must be an object of preallocated columns', 'output', output, errorCode.invalidType);
+    }
+    const lengths = [
+            assertColumn(S1, names[0], assertPositive), assertColumn(S2, names[1], assertPositive),
+            assertColumn(T, names[2], assertPositive), assertColumn(sigma, names[3], assertPositive),
+            assertColumn(q1, names[4], assertNumber), assertColumn(q2, names[5], assertNumber),
+            assertColumn(scale, 'scale', assertNumber)
+        ],
+        columns = batchOutputColumns.filter(key => typeof output[key] !== 'undefined');
+    if (columns.length === 0) {
+        throw new InputError(`output must contain at least one of ${batchOutputColumns.join(', ')}`, 'output', output);
+    }
+    for (const key of columns) {
+        if (!isColumn(output[key])) {
+            throw new InputError(`output.${key} must be an array`, `output.${key}`, output[key], errorCode.invalidType);
+        }
+        lengths.push(output[key].length);
+    }
+    const n = lengths.find(length => typeof length !== 'undefined');
+    for (const length of lengths) {
+        if (typeof length !== 'undefined' && length !== n) {
+            throw new InputError(`all input and output columns must have the same length; got ${length} and ${n}`, 'output', output);
+        }
+    }
+    const at = (column, i) => typeof column === 'number' ? column : column[i],
+        terms = {};
+    for (let i = 0; i < n; i++) {
+        margrabesTerms(at(S1, i), at(S2, i), at(T, i), at(sigma, i), at(q1, i), at(q2, i), at(scale, i), terms);
+        for (const key of columns) {
+            output[key][i] = terms[key];
+        }
     }
+    return output;
 }
 
 /**
- * Calculates the linear forward rate given a floating cashflow and a discount curve.
+ * Batch version of {@link eqBlackScholes} for pricing many options at once without allocating result objects.
+ * Each input is either a scalar (broadcast to all options) or a column (array or typed array) with one value per option;
+ * inputs are validated once per call and results are written to the preallocated columns of {@link output}.
  * 
- * @param {FloatingCashflow} floatingRate floating rate (notional is ignored)
- * @param {DiscountCurve} discountCurve discount curve used for forwards
+ * @param {number|Array<number>|Float64Array} S spot value of the stock
+ * @param {number|Array<number>|Float64Array} K strike price of the option
+ * @param {number|Array<number>|Float64Array} T time to maturity (typically expressed in years)
+ * @param {number|Array<number>|Float64Array} sigma volatility of the underlying stock
+ * @param {number|Array<number>|Float64Array} q dividend rate of the underlying stock
+ * @param {number|Array<number>|Float64Array} r risk-less rate of return
+ * @param {BatchPricingOutput} output preallocated columns to be filled
+ * @param {number|Array<number>|Float64Array} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {BatchPricingOutput} {@link output} with filled columns
  */
-export function irForwardLinearRate(floatingRate, discountCurve) {
-    return (discountCurve(floatingRate.t) / discountCurve(floatingRate.T) - 1) / (floatingRate.T - floatingRate.t);
+export function eqBlackScholesBatch(S, K, T, sigma, q, r, output, scale) {
+    return margrabesFormulaShortBatch(S, K, T, sigma, q, r, output, scale, ['S', 'K', 'T', 'sigma', 'q', 'r']);
 }
 
 /**
- * Calculates the forward price at time t for a series of cashflows.
- * Cashflows before t are ignored (i.e. do not add any value).
- * 
- * @param {Array<Cashflow>} cashflows future cashflows to be paid 
- * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
- * @param {number} t time point of the forward (typically expressed in years)
- * @returns {number} forward price of given cashflows
+ * @typedef {OptionPricingResult} AmericanOptionPricingResult
+ * @property {number} earlyExercisePremium price of the American option minus price of the European option
+ * @property {number} criticalPrice spot price at which immediate exercise becomes optimal (`Infinity` for calls
+ * and `0` for puts if early exercise is never optimal)
  */
-export function irForwardPrice(cashflows, discountCurve, t) {
-    const df_t = discountCurve(t);
-    let fw = 0.0;
-    for (let i = 0; i < cashflows.length; i++) {
-        const cf = cashflows[i];
-        if (typeof cf.notional === 'number') { // FloatingCashflow
-            if (cf.T >= t) {
-                const df_T = discountCurve(cf.T),
-                    forwardLinearRate = irForwardLinearRate(cf, discountCurve),
-                    yearfraction = cf.T - cf.t;
-                fw += cf.notional * forwardLinearRate * yearfraction * df_T / df_t;
+
+/**
+ * @typedef {Object} AmericanPricingResult
+ * @property {AmericanOptionPricingResult} call results for the American call option
+ * @property {AmericanOptionPricingResult} put results for the American put option
+ * @property {number} sigma pricing volatility
+ */
+
+/*
+ * Calculates price and sensitivities of an OptionPricingResult by central finite differences of
+ * price(S, T, sigma, q, r) (scaled); hT is the step of time to maturity. If oneSidedRates is set,
+ * bumped rates do not cross zero (using one-sided differences of second order instead).
+ */
+function finiteDifferenceSensitivities(price, S, T, sigma, q, r, hT, oneSidedRates) {
+    const hS = 1e-4 * S,
+        hSigma = Math.min(1e-4, sigma / 2),
+        hRate = 1e-5,
+        value = price(S, T, sigma, q, r),
+        delta = (T, sigma) => (price(S + hS, T, sigma, q, r) - price(S - hS, T, sigma, q, r)) / (2*hS);
+    const rateDerivative = (f, rate) => {
+        if (oneSidedRates && rate <= 0 && rate + hRate > 0) {
+            return (3 * value - 4 * f(rate - hRate) + f(rate - 2*hRate)) / (2*hRate);
+        }
+        if (oneSidedRates && rate > 0 && rate - hRate <= 0) {
+            return (-3 * value + 4 * f(rate + hRate) - f(rate + 2*hRate)) / (2*hRate);
+        }
+        return (f(rate + hRate) - f(rate - hRate)) / (2*hRate);
+    };
+    return {
+        price: value,
+        delta: delta(T, sigma),
+        gamma: (price(S + hS, T, sigma, q, r) - 2*value + price(S - hS, T, sigma, q, r)) / hS**2,
+        vega: (price(S, T, sigma + hSigma, q, r) - price(S, T, sigma - hSigma, q, r)) / (2*hSigma),
+        theta: -(price(S, T + hT, sigma, q, r) - price(S, T - hT, sigma, q, r)) / (2*hT),
+        rhoDom: rateDerivative(r => price(S, T, sigma, q, r), r),
+        rhoFor: rateDerivative(q => price(S, T, sigma, q, r), q),
+        vanna: (delta(T, sigma + hSigma) - delta(T, sigma - hSigma)) / (2*hSigma),
+        volga: (price(S, T, sigma + hSigma, q, r) - 2*value + price(S, T, sigma - hSigma, q, r)) / hSigma**2,
+        charm: -(delta(T + hT, sigma) - delta(T - hT, sigma)) / (2*hT)
+    };
+}
+
+/*
+ * Calculates an AmericanPricingResult from americanPrice(optionType, S, K, T, sigma, q, r) returning
+ * [price, criticalPrice] (unscaled); sensitivities are finite differences of the price, with rate bumps
+ * not crossing zero where early exercise is switched on or off.
+ */
+function americanPricingResult(americanPrice, S, K, T, sigma, q, r, scale) {
+    assertStrictlyPositive(S, 'S');
+    assertStrictlyPositive(K, 'K');
+    assertStrictlyPositive(T, 'T');
+    assertStrictlyPositive(sigma, 'sigma');
+    assertNumber(q, 'q');
+    assertNumber(r, 'r');
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertNumber(scale, 'scale');
+    const european = margrabesFormulaShort(S, K, T, sigma, q, r, scale),
+        result = {sigma: sigma};
+    for (const optionType of ['call', 'put']) {
+        const price = (S, T, sigma, q, r) => scale * americanPrice(optionType, S, K, T, sigma, q, r)[0],
+            criticalPrice = americanPrice(optionType, S, K, T, sigma, q, r)[1],
+            res = finiteDifferenceSensitivities(price, S, T, sigma, q, r, Math.min(1e-4, T / 2), true);
+        result[optionType] = Object.assign(res, {
+            logSimpleMoneyness: european[optionType].logSimpleMoneyness,
+            standardizedMoneyness: european[optionType].standardizedMoneyness,
+            earlyExercisePremium: res.price - european[optionType].price,
+            criticalPrice: criticalPrice
+        });
+    }
+    return result;
+}
+
+/*
+ * Unscaled price of a European option.
+ */
+function europeanPrice(optionType, S, K, T, sigma, q, r) {
+    return margrabesFormulaShort(S, K, T, sigma, q, r)[optionType].price;
+}
+
+const americanMaximumCriticalRatio = 1e8;
+
+/*
+ * Root of x^2 + (N - 1) x - MK = 0 with the sign of phi, avoiding cancellation for small volatilities (large N).
+ */
+function quadraticExponent(phi, N, MK) {
+    const sqrtDiscriminant = Math.sqrt((N - 1)**2 + 4 * MK);
+    return phi * (N - 1) > 0 ? 2 * MK / ((N - 1) + phi * sqrtDiscriminant) : (-(N - 1) + phi * sqrtDiscriminant) / 2;
+}
+
+/*
+ * Barone-Adesi-Whaley approximation of an American option, returning [price, criticalPrice].
+ */
+function baroneAdesiWhaleyPrice(optionType, S, K, T, sigma, q, r) {
+    const phi = optionType === 'call' ? 1 : -1,
+        european = europeanPrice(optionType, S, K, T, sigma, q, r);
+    // early exercise is never optimal for calls without dividends or puts without interest
+    if (phi === 1 ? q <= 0 : r <= 0) {
+        return [european, phi === 1 ? Infinity : 0];
+    }
+    const b = r - q,
+        sigma2 = sigma**2,
+        sigmaSqrtT = sigma * Math.sqrt(T),
+        M = 2 * r / sigma2,
+        N = 2 * b / sigma2,
+        MOverK = r === 0 ? 2 / (sigma2 * T) : M / -Math.expm1(-r * T),
+        exponent = quadraticExponent(phi, N, MOverK),
+        exponentInf = quadraticExponent(phi, N, M),
+        criticalInf = K / (1 - 1 / exponentInf),
+        dfCarry = discountFactor(q, T);
+    // a critical price far beyond the strike leaves no early exercise premium in double precision
+    if (phi === 1 ? criticalInf > americanMaximumCriticalRatio * K : criticalInf * americanMaximumCriticalRatio < K) {
+        return [european, phi === 1 ? Infinity : 0];
+    }
+    // seed of Newton's method for the critical price, see Haug, The Complete Guide to Option Pricing Formulas
+    const h = phi === 1 ? -(b * T + 2 * sigmaSqrtT) * K / (criticalInf - K) : (b * T - 2 * sigmaSqrtT) * K / (K - criticalInf);
+    // h > 0 for small volatilities would put the seed on the wrong side of the strike
+    let critical = phi === 1 ? K + (criticalInf - K) * (1 - Math.exp(Math.min(h, 0))) : criticalInf + (K - criticalInf) * Math.exp(Math.min(h, 0));
+    // solves phi (S* - K) = european(S*) + phi (1 - dfCarry N(phi d1(S*))) S* / exponent
+    for (let i = 0; i < 100; i++) {
+        const d1 = (Math.log(critical / K) + (b + sigma2 / 2) * T) / sigmaSqrtT,
+            N_d1 = cdf(phi * d1),
+            rhs = europeanPrice(optionType, critical, K, T, sigma, q, r) + phi * (1 - dfCarry * N_d1) * critical / exponent,
+            slope = phi * dfCarry * N_d1 * (1 - 1 / exponent) + (phi - dfCarry * pdf(d1) / sigmaSqrtT) / exponent,
+            error = phi * (critical - K) - rhs;
+        if (Math.abs(error) <= 1e-12 * Math.max(K, critical)) {
+            break;
+        }
+        critical = (phi * K + rhs - slope * critical) / (phi - slope);
+        if (i === 99) {
+            throw new ConvergenceError('critical price of Barone-Adesi-Whaley approximation did not converge', 'criticalPrice', critical);
+        }
+    }
+    if (phi * (S - critical) >= 0) {
+        return [phi * (S - K), critical];
+    }
+    const d1 = (Math.log(critical / K) + (b + sigma2 / 2) * T) / sigmaSqrtT,
+        A = phi * critical / exponent * (1 - dfCarry * cdf(phi * d1));
+    return [european + A * (S / critical)**exponent, critical];
+}
+
+/**
+ * Barone-Adesi and Whaley quadratic approximation for American vanilla options on a stock (asset class equity).
+ * Calls without dividends and puts without positive interest are priced as European options.
+ * Sensitivities are calculated by central finite differences.
+ * 
+ * See Giovanni Barone-Adesi and Robert E. Whaley, [Efficient Analytic Approximation of American Option Values](https://doi.org/10.1111/j.1540-6261.1987.tb02569.x),
+ * The Journal of Finance, Vol. 42, No. 2 (June 1987), pp. 301-320.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the underlying stock
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {AmericanPricingResult}
+ */
+export function eqBaroneAdesiWhaley(S, K, T, sigma, q, r, scale) {
+    return americanPricingResult(baroneAdesiWhaleyPrice, S, K, T, sigma, q, r, scale);
+}
+
+/*
+ * base^exponent * probability without overflow of the power for small volatilities (huge exponents),
+ * where the probability is tiny enough to keep the product bounded.
+ */
+function powerTimesProbability(base, exponent, probability) {
+    return probability === 0 ? 0 : Math.exp(exponent * Math.log(base) + Math.log(probability));
+}
+
+/*
+ * phi function of the Bjerksund-Stensland approximation divided by level^gamma
+ * (powers are taken in log space to support the huge gamma of small volatilities)
+ */
+function bjerksundStenslandPhi(S, T, gamma, H, I, r, b, sigma, level) {
+    const sigma2 = sigma**2,
+        sigmaSqrtT = sigma * Math.sqrt(T),
+        lambda = (-r + gamma * b + gamma * (gamma - 1) * sigma2 / 2) * T,
+        d = -(Math.log(S / H) + (b + (gamma - 0.5) * sigma2) * T) / sigmaSqrtT,
+        kappa = 2 * b / sigma2 + 2 * gamma - 1;
+    const bracket = cdf(d) - powerTimesProbability(I / S, kappa, cdf(d - 2 * Math.log(I / S) / sigmaSqrtT));
+    return bracket === 0 ? 0 : Math.exp(lambda + gamma * Math.log(S / level)) * bracket;
+}
+
+/*
+ * psi function of the Bjerksund-Stensland approximation divided by level^gamma
+ */
+function bjerksundStenslandPsi(S, T, gamma, H, I2, I1, t1, r, b, sigma, level) {
+    const sigma2 = sigma**2,
+        drift = b + (gamma - 0.5) * sigma2,
+        sqrtT1 = sigma * Math.sqrt(t1),
+        sqrtT = sigma * Math.sqrt(T),
+        e1 = (Math.log(S / I1) + drift * t1) / sqrtT1,
+        e2 = (Math.log(I2**2 / (S * I1)) + drift * t1) / sqrtT1,
+        e3 = (Math.log(S / I1) - drift * t1) / sqrtT1,
+        e4 = (Math.log(I2**2 / (S * I1)) - drift * t1) / sqrtT1,
+        f1 = (Math.log(S / H) + drift * T) / sqrtT,
+        f2 = (Math.log(I2**2 / (S * H)) + drift * T) / sqrtT,
+        f3 = (Math.log(I1**2 / (S * H)) + drift * T) / sqrtT,
+        f4 = (Math.log(S * I1**2 / (H * I2**2)) + drift * T) / sqrtT,
+        rho = Math.sqrt(t1 / T),
+        lambda = -r + gamma * b + gamma * (gamma - 1) * sigma2 / 2,
+        kappa = 2 * b / sigma2 + 2 * gamma - 1;
+    const bracket = bivariateCdf(-e1, -f1, rho) - powerTimesProbability(I2 / S, kappa, bivariateCdf(-e2, -f2, rho))
+        - powerTimesProbability(I1 / S, kappa, bivariateCdf(-e3, -f3, -rho)) + powerTimesProbability(I1 / I2, kappa, bivariateCdf(-e4, -f4, -rho));
+    return bracket === 0 ? 0 : Math.exp(lambda * T + gamma * Math.log(S / level)) * bracket;
+}
+
+/*
+ * Bjerksund-Stensland (2002) price of an American call with cost of carry b, exercised at the flat
+ * boundaries I1 during [t1, T] and I2 during [0, t1].
+ */
+function bjerksundStenslandTwoStep(S, K, T, sigma, r, b, beta, t1, I1, I2) {
+    if (S >= I2) {
+        return S - K;
+    }
+    // alpha_i S^beta = (I_i - K) (S / I_i)^beta, hence terms with gamma = beta are normalized by I_i
+    const phi = (gamma, H, I, level) => bjerksundStenslandPhi(S, t1, gamma, H, I, r, b, sigma, level),
+        psi = (gamma, H, level) => bjerksundStenslandPsi(S, T, gamma, H, I2, I1, t1, r, b, sigma, level);
+    return (I2 - K) * Math.exp(beta * Math.log(S / I2)) - (I2 - K) * phi(beta, I2, I2, I2) + phi(1, I2, I2, 1) - phi(1, I1, I2, 1)
+        - K * phi(0, I2, I2, 1) + K * phi(0, I1, I2, 1) + (I1 - K) * phi(beta, I1, I2, I1) - (I1 - K) * psi(beta, I1, I1)
+        + psi(1, I1, 1) - psi(1, K, 1) - K * psi(0, I1, 1) + K * psi(0, K, 1);
+}
+
+/*
+ * Bjerksund-Stensland (2002) approximation of an American call with cost of carry b, returning [price, criticalPrice].
+ */
+function bjerksundStenslandCall(S, K, T, sigma, r, b) {
+    if (b >= r) {
+        // early exercise is never optimal
+        return [europeanPrice('call', S, K, T, sigma, r - b, r), Infinity];
+    }
+    const sigma2 = sigma**2,
+        t1 = (Math.sqrt(5) - 1) / 2 * T,
+        beta = quadraticExponent(1, 2 * b / sigma2, 2 * r / sigma2),
+        BInf = beta / (beta - 1) * K,
+        B0 = Math.max(K, r / (r - b) * K),
+        h1 = -(b * (T - t1) + 2 * sigma * Math.sqrt(T - t1)) * K**2 / ((BInf - B0) * B0),
+        h2 = -(b * T + 2 * sigma * Math.sqrt(T)) * K**2 / ((BInf - B0) * B0),
+        // h > 0 for small volatilities and negative cost of carry would put the boundary below B0
+        I1 = B0 + (BInf - B0) * (1 - Math.exp(Math.min(h1, 0))),
+        I2 = B0 + (BInf - B0) * (1 - Math.exp(Math.min(h2, 0)));
+    // the boundaries degenerate to B0 (exercising at zero payoff for B0 = K) if the drift outweighs the volatility
+    // (rT > 2 sigma sqrt(T) for puts without dividends); every flat boundary yields a lower bound of the price, so
+    // the perpetual boundary is used instead whenever it gives a higher price
+    const price = bjerksundStenslandTwoStep(S, K, T, sigma, r, b, beta, t1, I1, I2),
+        perpetualPrice = bjerksundStenslandTwoStep(S, K, T, sigma, r, b, beta, t1, BInf, BInf);
+    return perpetualPrice > price ? [perpetualPrice, BInf] : [price, I2];
+}
+
+/*
+ * Bjerksund-Stensland approximation of an American option, puts by the put-call transformation.
+ */
+function bjerksundStenslandPrice(optionType, S, K, T, sigma, q, r) {
+    if (optionType === 'call') {
+        return bjerksundStenslandCall(S, K, T, sigma, r, r - q);
+    }
+    // P(S, K, r, b) = C(K, S, r - b, -b); critical price by homogeneity of the call boundary in the strike
+    const [price, critical] = bjerksundStenslandCall(K, S, T, sigma, q, q - r),
+        [, unitCritical] = bjerksundStenslandCall(1, 1, T, sigma, q, q - r);
+    return [price, critical === Infinity ? 0 : K / unitCritical];
+}
+
+/**
+ * Bjerksund and Stensland (2002) approximation for American vanilla options on a stock (asset class equity),
+ * using a two-step flat early exercise boundary; puts are priced by the put-call transformation.
+ * Calls without dividends and puts without positive interest are priced as European options.
+ * Sensitivities are calculated by central finite differences.
+ * 
+ * See Petter Bjerksund and Gunnar Stensland, [Closed Form Valuation of American Options](https://core.ac.uk/download/pdf/52071048.pdf),
+ * Discussion Paper, Norwegian School of Economics (2002).
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the underlying stock
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {AmericanPricingResult}
+ */
+export function eqBjerksundStensland(S, K, T, sigma, q, r, scale) {
+    return americanPricingResult(bjerksundStenslandPrice, S, K, T, sigma, q, r, scale);
+}
+
+/**
+ * @typedef {Object} Dividend
+ * @property {number} t payment time of the dividend (typically expressed in years)
+ * @property {number} [amount] cash amount of the dividend
+ * @property {number} [proportion] proportional dividend as a fraction of the stock price just before payment, e.g. `0.02` for 2%
+ */
+
+function assertDividends(dividends, name) {
+    if (!Array.isArray(dividends)) {
+        throw new InputError(`${name} must be a array`, name, dividends, errorCode.invalidType);
+    }
+    dividends.forEach((dividend, i) => {
+        if (typeof dividend !== 'object' || dividend === null) {
+            throw new InputError(`${name}[${i}] must be an object`, `${name}[${i}]`, dividend, errorCode.invalidType);
+        }
+        assertNumber(dividend.t, `${name}[${i}].t`);
+        const hasAmount = typeof dividend.amount !== 'undefined',
+            hasProportion = typeof dividend.proportion !== 'undefined';
+        if (hasAmount === hasProportion) {
+            throw new InputError(`${name}[${i}] must have either amount or proportion`, `${name}[${i}]`, dividend);
+        }
+        if (hasAmount) {
+            assertPositive(dividend.amount, `${name}[${i}].amount`);
+        } else {
+            assertPositive(dividend.proportion, `${name}[${i}].proportion`);
+            if (dividend.proportion >= 1) {
+                throw new InputError(`${name}[${i}].proportion must be less than 1; got ${dividend.proportion}`,
+                    `${name}[${i}].proportion`, dividend.proportion, errorCode.outOfRange);
             }
+        }
+    });
+}
 
-        } else { // FixedCashflow
-            if (cf.t >= t) {
-                fw += cf.value * discountCurve(cf.t) / df_t;
+/*
+ * Escrowed spot S* = S * factor - sum of the cash dividends in (0, T], each discounted with r - q and reduced
+ * by the proportional dividends paid at or after it, such that S* * exp((r - q) * T) is the forward.
+ * Also returns the derivatives of S* by r, by q and by passing time (which moves all payment times).
+ */
+function escrowedSpot(S, T, q, r, dividends) {
+    const paid = dividends.filter(dividend => dividend.t > 0 && dividend.t <= T);
+    let factor = 1;
+    for (const dividend of paid) {
+        if (typeof dividend.proportion !== 'undefined') {
+            factor *= 1 - dividend.proportion;
+        }
+    }
+    let cash = 0,
+        cashTime = 0;
+    for (const dividend of paid) {
+        if (typeof dividend.amount === 'undefined') {
+            continue;
+        }
+        let pv = dividend.amount * Math.exp(-(r - q) * dividend.t);
+        for (const other of paid) {
+            if (typeof other.proportion !== 'undefined' && other.t >= dividend.t) {
+                pv *= 1 - other.proportion;
             }
         }
+        cash += pv;
+        cashTime += pv * dividend.t;
     }
-    return fw;
+    return {
+        spot: S * factor - cash,
+        factor: factor,
+        dr: cashTime,
+        dq: -cashTime,
+        dt: -(r - q) * cash
+    };
 }
 
 /**
- * Frequencies expressed as number of payments per year.
+ * Forward price of a stock paying a continuous dividend yield as well as discrete cash and proportional dividends.
+ * Cash dividends are paid before proportional dividends of the same payment time; only dividends paid
+ * in (0, T] are taken into account.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} T time to maturity of the forward (typically expressed in years)
+ * @param {number} q continuous dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {Dividend[]} [dividends=[]] discrete dividends of the underlying stock
+ * @returns {number} forward price
  */
-export const irFrequency = {
-    annually: 1,
-    semiannually: 2,
-    triannually: 3,
-    quarterly: 4,
-    bimonthly: 6,
-    monthly: 12,
-    weekly: 52,
-    businessdaily: 250,
-    daily: 365
+export function eqForward(S, T, q, r, dividends) {
+    if (typeof dividends === 'undefined') {
+        dividends = [];
+    }
+    assertStrictlyPositive(S, 'S');
+    assertPositive(T, 'T');
+    assertNumber(q, 'q');
+    assertNumber(r, 'r');
+    assertDividends(dividends, 'dividends');
+    return escrowedSpot(S, T, q, r, dividends).spot * Math.exp((r - q) * T);
+}
+
+/*
+ * Transforms OptionPricingResult of an option on the escrowed spot into the sensitivities with respect to the spot.
+ */
+function escrowedOptionPricingResult(res, escrowed) {
+    const factor = escrowed.factor;
+    return Object.assign({}, res, {
+        delta: factor * res.delta,
+        gamma: factor**2 * res.gamma,
+        theta: res.theta + res.delta * escrowed.dt,
+        rhoDom: res.rhoDom + res.delta * escrowed.dr,
+        rhoFor: res.rhoFor + res.delta * escrowed.dq,
+        vanna: factor * res.vanna,
+        charm: factor * (res.charm + res.gamma * escrowed.dt)
+    });
+}
+
+/**
+ * Black-Scholes formula for a stock paying discrete cash and proportional dividends in addition to a
+ * continuous dividend yield (escrowed dividend model): the present value of the cash dividends paid
+ * until maturity is subtracted from the spot and the spot is reduced by the proportional dividends
+ * paid until maturity, see {@link eqForward}; the volatility applies to the remaining (escrowed) spot.
+ * Sensitivities are with respect to the original spot, rates and passing time (moving all payment times).
+ * Without dividends, the results are identical to {@link eqBlackScholes}.
+ * 
+ * See Espen G. Haug, The Complete Guide to Option Pricing Formulas, 2nd edition (2007), section 9.1.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the escrowed stock
+ * @param {number} q continuous dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {Dividend[]} dividends discrete dividends of the underlying stock
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {EqPricingResult}
+ */
+export function eqBlackScholesDiscreteDividends(S, K, T, sigma, q, r, dividends, scale) {
+    assertStrictlyPositive(S, 'S');
+    assertPositive(T, 'T');
+    assertNumber(q, 'q');
+    assertNumber(r, 'r');
+    assertDividends(dividends, 'dividends');
+    const escrowed = escrowedSpot(S, T, q, r, dividends);
+    if (escrowed.spot <= 0) {
+        throw new InputError(`present value of dividends must be less than spot ${S}; got escrowed spot ${escrowed.spot}`,
+            'dividends', dividends, errorCode.outOfRange);
+    }
+    const res = eqBlackScholes(escrowed.spot, K, T, sigma, q, r, scale);
+    return Object.assign({}, res, {
+        call: escrowedOptionPricingResult(res.call, escrowed),
+        put: escrowedOptionPricingResult(res.put, escrowed),
+        digitalCall: escrowedOptionPricingResult(res.digitalCall, escrowed),
+        digitalPut: escrowedOptionPricingResult(res.digitalPut, escrowed)
+    });
+}
+
+/**
+ * Averaging methods of Asian options: `geometric` averages are lognormal and priced exactly,
+ * `arithmetic` averages are approximated by lognormal distributions matching the first two moments.
+ */
+export const eqAveraging = {
+    geometric: 'geometric',
+    arithmetic: 'arithmetic'
 };
 
 /**
- * Minimum period {@link irRollFromEnd} will create.
+ * @typedef {Object} AsianPricingResult
+ * @property {OptionPricingResult} call results for the Asian call option
+ * @property {OptionPricingResult} put results for the Asian put option
+ * @property {number} sigma effective volatility of the (lognormal) average for average price options,
+ * of the ratio of stock price at maturity and average for average strike options
+ */
+
+function assertAsianParameters(S, T, sigma, q, r, fixingTimes, averaging, fixings, scale) {
+    assertStrictlyPositive(S, 'S');
+    assertStrictlyPositive(T, 'T');
+    assertStrictlyPositive(sigma, 'sigma');
+    assertNumber(q, 'q');
+    assertNumber(r, 'r');
+    assertNonEmptyArray(fixingTimes, 'fixingTimes');
+    fixingTimes.forEach((t, i) => {
+        assertStrictlyPositive(t, `fixingTimes[${i}]`);
+        if (t > T) {
+            throw new InputError(`fixingTimes[${i}] must not be after maturity ${T}; got ${t}`, `fixingTimes[${i}]`, t, errorCode.outOfRange);
+        }
+    });
+    if (!Object.values(eqAveraging).includes(averaging)) {
+        throw new InputError(`averaging must be one of ${Object.values(eqAveraging).join(', ')}; got ${averaging}`, 'averaging', averaging);
+    }
+    if (!Array.isArray(fixings)) {
+        throw new InputError('fixings must be a array', 'fixings', fixings, errorCode.invalidType);
+    }
+    fixings.forEach((fixing, i) => assertStrictlyPositive(fixing, `fixings[${i}]`));
+    assertNumber(scale, 'scale');
+}
+
+/*
+ * Lognormal (approximation of the) average of known fixings and fixings at fixingTimes as
+ * {constant, forward, variance, covariance}: the average is constant + X with E[X] = forward,
+ * variance of ln X and covariance of ln X with ln S(T). Arithmetic averages put the known fixings
+ * into the constant unless includeConstant is set, in which case X is the whole average.
+ */
+function asianAverage(S, T, sigma, q, r, fixingTimes, averaging, fixings, includeConstant) {
+    const n = fixingTimes.length + fixings.length,
+        b = r - q,
+        sigma2 = sigma**2;
+    if (averaging === eqAveraging.geometric) {
+        let mean = 0,
+            variance = 0,
+            covariance = 0;
+        for (const fixing of fixings) {
+            mean += Math.log(fixing) / n;
+        }
+        for (const t of fixingTimes) {
+            mean += (Math.log(S) + (b - sigma2 / 2) * t) / n;
+            covariance += sigma2 * t / n;
+            for (const u of fixingTimes) {
+                variance += sigma2 * Math.min(t, u) / n**2;
+            }
+        }
+        return {constant: 0, forward: Math.exp(mean + variance / 2), variance: variance, covariance: covariance};
+    }
+    const constant = fixings.reduce((sum, fixing) => sum + fixing, 0) / n,
+        forwardT = S * Math.exp(b * T);
+    let m1 = 0,
+        m2 = 0,
+        crossMoment = 0;
+    for (const t of fixingTimes) {
+        const forward = S * Math.exp(b * t);
+        m1 += forward / n;
+        crossMoment += forwardT * forward * Math.exp(sigma2 * t) / n;
+        for (const u of fixingTimes) {
+            m2 += forward * S * Math.exp(b * u + sigma2 * Math.min(t, u)) / n**2;
+        }
+    }
+    if (!includeConstant) {
+        return {constant: constant, forward: m1, variance: Math.log(m2 / m1**2), covariance: NaN};
+    }
+    const forward = constant + m1;
+    return {
+        constant: 0,
+        forward: forward,
+        variance: Math.log((constant**2 + 2 * constant * m1 + m2) / forward**2),
+        covariance: Math.log((constant * forwardT + crossMoment) / (forwardT * forward))
+    };
+}
+
+/*
+ * Calculates an AsianPricingResult from asianPrice(S, T, sigma, q, r, fixingTimes) returning the unscaled
+ * margrabesFormulaShort result of the Asian option; passing time moves maturity and all fixing times.
+ */
+function asianPricingResult(asianPrice, S, T, sigma, q, r, fixingTimes, scale) {
+    const res = asianPrice(S, T, sigma, q, r, fixingTimes),
+        hT = Math.min(1e-4, T / 2, ...fixingTimes.map(t => t / 2)),
+        result = {sigma: res.sigma};
+    for (const optionType of ['call', 'put']) {
+        const price = (S, TShifted, sigma, q, r) => scale * asianPrice(S, TShifted, sigma, q, r,
+            fixingTimes.map(t => t + TShifted - T))[optionType].price;
+        result[optionType] = Object.assign(finiteDifferenceSensitivities(price, S, T, sigma, q, r, hT), {
+            logSimpleMoneyness: res[optionType].logSimpleMoneyness,
+            standardizedMoneyness: res[optionType].standardizedMoneyness
+        });
+    }
+    return result;
+}
+
+/**
+ * Asian (average price) option paying the difference of the average of the stock prices at the fixing times
+ * and the strike price at maturity, i.e. max(A - K, 0) for calls and max(K - A, 0) for puts. Averages may
+ * be partially fixed, i.e. some fixings are already known. Geometric averages are lognormal and priced
+ * exactly, see A. G. Z. Kemna and A. C. F. Vorst, A pricing method for options based on average asset values,
+ * Journal of Banking & Finance, Vol. 14, No. 1 (1990), pp. 113-129. Arithmetic averages (of the fixings
+ * still to come) are approximated by lognormal distributions matching the first two moments, see
+ * Stuart M. Turnbull and Lee M. Wakeman, A Quick Algorithm for Pricing European Average Options,
+ * Journal of Financial and Quantitative Analysis, Vol. 26, No. 3 (1991), pp. 377-389, and Edmond Levy,
+ * Pricing European average rate currency options, Journal of International Money and Finance, Vol. 11 (1992), pp. 474-491.
+ * If the known fixings already exceed the strike of an arithmetic average, calls are priced as forwards and puts are worthless.
+ * Fixing schedules can be created by {@link irRollFromEnd}.
+ * Sensitivities are calculated by central finite differences, where passing time moves maturity and all fixing times.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the underlying stock
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {Array<number>} fixingTimes times of the fixings still to come, in (0, T]
+ * @param {string} [averaging=eqAveraging.arithmetic] averaging method, see {@link eqAveraging}
+ * @param {Array<number>} [fixings=[]] values of the fixings already known
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {AsianPricingResult}
+ */
+export function eqAsianOption(S, K, T, sigma, q, r, fixingTimes, averaging, fixings, scale) {
+    if (typeof averaging === 'undefined') {
+        averaging = eqAveraging.arithmetic;
+    }
+    if (typeof fixings === 'undefined') {
+        fixings = [];
+    }
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertStrictlyPositive(K, 'K');
+    assertAsianParameters(S, T, sigma, q, r, fixingTimes, averaging, fixings, scale);
+    const asianPrice = (S, T, sigma, q, r, fixingTimes) => {
+        const average = asianAverage(S, T, sigma, q, r, fixingTimes, averaging, fixings, false),
+            strike = K - average.constant;
+        if (strike <= 0) {
+            const df = discountFactor(r, T),
+                forward = {price: df * (average.forward - strike), logSimpleMoneyness: Infinity, standardizedMoneyness: Infinity},
+                worthless = {price: 0, logSimpleMoneyness: -Infinity, standardizedMoneyness: -Infinity};
+            return {call: forward, put: worthless, sigma: Math.sqrt(average.variance / T)};
+        }
+        return margrabesFormulaShort(average.forward, strike, T, Math.sqrt(average.variance / T), r, r);
+    };
+    return asianPricingResult(asianPrice, S, T, sigma, q, r, fixingTimes, scale);
+}
+
+/**
+ * Asian (average strike) option paying the difference of the stock price at maturity and the average of
+ * the stock prices at the fixing times, i.e. max(S(T) - A, 0) for calls and max(A - S(T), 0) for puts.
+ * Averages may be partially fixed, i.e. some fixings are already known. Geometric averages are jointly
+ * lognormal with the stock price at maturity and priced exactly as exchange options by {@link margrabesFormulaShort}.
+ * Arithmetic averages are approximated by lognormal distributions matching their first two moments and
+ * their covariance with the stock price at maturity, see {@link eqAsianOption} for references.
+ * Fixing schedules can be created by {@link irRollFromEnd}.
+ * Sensitivities are calculated by central finite differences, where passing time moves maturity and all fixing times.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the underlying stock
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {Array<number>} fixingTimes times of the fixings still to come, in (0, T]
+ * @param {string} [averaging=eqAveraging.arithmetic] averaging method, see {@link eqAveraging}
+ * @param {Array<number>} [fixings=[]] values of the fixings already known
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {AsianPricingResult}
+ */
+export function eqAsianAverageStrikeOption(S, T, sigma, q, r, fixingTimes, averaging, fixings, scale) {
+    if (typeof averaging === 'undefined') {
+        averaging = eqAveraging.arithmetic;
+    }
+    if (typeof fixings === 'undefined') {
+        fixings = [];
+    }
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertAsianParameters(S, T, sigma, q, r, fixingTimes, averaging, fixings, scale);
+    const asianPrice = (S, T, sigma, q, r, fixingTimes) => {
+        const average = asianAverage(S, T, sigma, q, r, fixingTimes, averaging, fixings, true),
+            variance = sigma**2 * T + average.variance - 2 * average.covariance;
+        return margrabesFormulaShort(S, average.forward, T, Math.sqrt(Math.max(variance, 0) / T), q, r);
+    };
+    return asianPricingResult(asianPrice, S, T, sigma, q, r, fixingTimes, scale);
+}
+
+/*
+ * Evaluates price, delta and gamma of a sum of terms a * N(u) where a = coef * S^p
+ * and u = const + c * ln(S) / sigmaSqrtT, i.e. the building blocks of barrier option formulas.
+ */
+function evaluatePowerCdfTerms(terms, S, sigmaSqrtT, scale) {
+    const res = {price: 0, delta: 0, gamma: 0};
+    for (const {a, p, u, c} of terms) {
+        if (a === 0) {
+            continue;
+        }
+        const N_u = cdf(u),
+            pdf_u = pdf(u),
+            k = c / sigmaSqrtT;
+        res.price += a * N_u;
+        res.delta += a / S * (p * N_u + k * pdf_u);
+        res.gamma += a / S**2 * (p * (p - 1) * N_u + (2*p - 1) * k * pdf_u - k**2 * u * pdf_u);
+    }
+    res.price *= scale;
+    res.delta *= scale;
+    res.gamma *= scale;
+    return res;
+}
+
+function negateTerms(terms) {
+    return terms.map(term => Object.assign({}, term, {a: -term.a}));
+}
+
+/*
+ * Building blocks A to F of the single barrier formulas in the notation of
+ * Espen G. Haug, The Complete Guide to Option Pricing Formulas, 2nd edition (2007), section 4.17.1.
+ * phi is 1 for calls and -1 for puts, eta is 1 for down and -1 for up barriers.
+ */
+function barrierTerms(S, K, H, T, sigma, q, r, rebate) {
+    const sigmaSqrtT = sigma * Math.sqrt(T),
+        mu = (r - q - sigma**2 / 2) / sigma**2,
+        dfq = discountFactor(q, T),
+        dfr = discountFactor(r, T),
+        x1 = Math.log(S / K) / sigmaSqrtT + (1 + mu) * sigmaSqrtT,
+        x2 = Math.log(S / H) / sigmaSqrtT + (1 + mu) * sigmaSqrtT,
+        y1 = Math.log(H**2 / (S * K)) / sigmaSqrtT + (1 + mu) * sigmaSqrtT,
+        y2 = Math.log(H / S) / sigmaSqrtT + (1 + mu) * sigmaSqrtT,
+        hs = H / S;
+    const vanillaLike = (phi, x) => [
+        {a: phi * S * dfq, p: 1, u: phi * x, c: phi},
+        {a: -phi * K * dfr, p: 0, u: phi * (x - sigmaSqrtT), c: phi}
+    ];
+    const reflected = (phi, eta, y) => [
+        {a: phi * S * dfq * hs**(2 * (mu + 1)), p: -1 - 2*mu, u: eta * y, c: -eta},
+        {a: -phi * K * dfr * hs**(2 * mu), p: -2*mu, u: eta * (y - sigmaSqrtT), c: -eta}
+    ];
+    return {
+        A: phi => vanillaLike(phi, x1),
+        B: phi => vanillaLike(phi, x2),
+        C: (phi, eta) => reflected(phi, eta, y1),
+        D: (phi, eta) => reflected(phi, eta, y2),
+        E: eta => [
+            {a: rebate * dfr, p: 0, u: eta * (x2 - sigmaSqrtT), c: eta},
+            {a: -rebate * dfr * hs**(2 * mu), p: -2*mu, u: eta * (y2 - sigmaSqrtT), c: -eta}
+        ],
+        F: eta => {
+            if (rebate === 0) {
+                return [];
+            }
+            const lambdaSquared = mu**2 + 2 * r / sigma**2;
+            if (lambdaSquared < 0) {
+                throw new InputError(`rebate paid at hit requires mu^2 + 2r/sigma^2 >= 0 with mu = (r - q - sigma^2/2) / sigma^2; got ${lambdaSquared}`,
+                    'r', r, errorCode.outOfRange);
+            }
+            const lambda = Math.sqrt(lambdaSquared),
+                z = Math.log(H / S) / sigmaSqrtT + lambda * sigmaSqrtT;
+            return [
+                {a: rebate * hs**(mu + lambda), p: -(mu + lambda), u: eta * z, c: -eta},
+                {a: rebate * hs**(mu - lambda), p: -(mu - lambda), u: eta * (z - 2 * lambda * sigmaSqrtT), c: -eta}
+            ];
+        }
+    };
+}
+
+function assertBarrierParameters(S, K, H, T, sigma, q, r, rebate, scale) {
+    assertStrictlyPositive(S, 'S');
+    assertStrictlyPositive(K, 'K');
+    assertStrictlyPositive(H, 'H');
+    assertStrictlyPositive(T, 'T');
+    assertStrictlyPositive(sigma, 'sigma');
+    assertNumber(q, 'q');
+    assertNumber(r, 'r');
+    assertNumber(rebate, 'rebate');
+    assertNumber(scale, 'scale');
+}
+
+/**
+ * @typedef {Object} BarrierPricingResult
+ * @property {OptionPricingResult} downAndInCall results for the down-and-in call option (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} downAndOutCall results for the down-and-out call option (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} upAndInCall results for the up-and-in call option (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} upAndOutCall results for the up-and-out call option (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} downAndInPut results for the down-and-in put option (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} downAndOutPut results for the down-and-out put option (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} upAndInPut results for the up-and-in put option (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} upAndOutPut results for the up-and-out put option (only `price`, `delta` and `gamma` are provided)
+ */
+
+/**
+ * Closed-form formulas for European single barrier options on a stock (asset class equity),
+ * continuously monitored. Knock-in options pay {@link rebate} at maturity if the barrier
+ * has never been hit, knock-out options pay {@link rebate} as soon as the barrier is hit.
+ * Options whose barrier is already breached by the spot value are priced as knocked in / out.
+ * 
+ * See Eric Reiner and Mark Rubinstein, Breaking Down the Barriers, Risk, Vol. 4, No. 8 (1991), pp. 28-35.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} K strike price of the option
+ * @param {number} H barrier level
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the underlying stock
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {number} [rebate=0] cash rebate
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {BarrierPricingResult}
+ */
+export function eqBarrierOption(S, K, H, T, sigma, q, r, rebate, scale) {
+    if (typeof rebate === 'undefined') {
+        rebate = 0;
+    }
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertBarrierParameters(S, K, H, T, sigma, q, r, rebate, scale);
+    const sigmaSqrtT = sigma * Math.sqrt(T),
+        {A, B, C, D, E, F} = barrierTerms(S, K, H, T, sigma, q, r, rebate),
+        strikeAboveBarrier = K >= H,
+        evaluate = (...blocks) => evaluatePowerCdfTerms(blocks.flat(), S, sigmaSqrtT, scale),
+        vanilla = eqBlackScholes(S, K, T, sigma, q, r, scale),
+        knockedIn = option => ({price: option.price, delta: option.delta, gamma: option.gamma}),
+        knockedOut = {price: scale * rebate, delta: 0, gamma: 0};
+    const res = {};
+    if (S > H) {
+        res.downAndInCall = strikeAboveBarrier ? evaluate(C(1, 1), E(1))
+            : evaluate(A(1), negateTerms(B(1)), D(1, 1), E(1));
+        res.downAndOutCall = strikeAboveBarrier ? evaluate(A(1), negateTerms(C(1, 1)), F(1))
+            : evaluate(B(1), negateTerms(D(1, 1)), F(1));
+        res.downAndInPut = strikeAboveBarrier ? evaluate(B(-1), negateTerms(C(-1, 1)), D(-1, 1), E(1))
+            : evaluate(A(-1), E(1));
+        res.downAndOutPut = strikeAboveBarrier ? evaluate(A(-1), negateTerms(B(-1)), C(-1, 1), negateTerms(D(-1, 1)), F(1))
+            : evaluate(F(1));
+    } else {
+        res.downAndInCall = knockedIn(vanilla.call);
+        res.downAndOutCall = knockedOut;
+        res.downAndInPut = knockedIn(vanilla.put);
+        res.downAndOutPut = knockedOut;
+    }
+    if (S < H) {
+        res.upAndInCall = strikeAboveBarrier ? evaluate(A(1), E(-1))
+            : evaluate(B(1), negateTerms(C(1, -1)), D(1, -1), E(-1));
+        res.upAndOutCall = strikeAboveBarrier ? evaluate(F(-1))
+            : evaluate(A(1), negateTerms(B(1)), C(1, -1), negateTerms(D(1, -1)), F(-1));
+        res.upAndInPut = strikeAboveBarrier ? evaluate(A(-1), negateTerms(B(-1)), D(-1, -1), E(-1))
+            : evaluate(C(-1, -1), E(-1));
+        res.upAndOutPut = strikeAboveBarrier ? evaluate(B(-1), negateTerms(D(-1, -1)), F(-1))
+            : evaluate(A(-1), negateTerms(C(-1, -1)), F(-1));
+    } else {
+        res.upAndInCall = knockedIn(vanilla.call);
+        res.upAndOutCall = knockedOut;
+        res.upAndInPut = knockedIn(vanilla.put);
+        res.upAndOutPut = knockedOut;
+    }
+    return {
+        downAndInCall: res.downAndInCall,
+        downAndOutCall: res.downAndOutCall,
+        upAndInCall: res.upAndInCall,
+        upAndOutCall: res.upAndOutCall,
+        downAndInPut: res.downAndInPut,
+        downAndOutPut: res.downAndOutPut,
+        upAndInPut: res.upAndInPut,
+        upAndOutPut: res.upAndOutPut
+    };
+}
+
+/**
+ * @typedef {Object} TouchPricingResult
+ * @property {OptionPricingResult} oneTouch results for the one-touch option paying at the time the barrier is hit (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} oneTouchAtExpiry results for the one-touch option paying at maturity if the barrier has been hit (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} noTouch results for the no-touch option paying at maturity if the barrier has never been hit (only `price`, `delta` and `gamma` are provided)
+ */
+
+/**
+ * Closed-form formulas for one-touch and no-touch digital options on a stock paying one unit of cash,
+ * continuously monitored. The barrier is a down barrier if {@link H} is below {@link S}
+ * and an up barrier otherwise.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} H barrier level
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the underlying stock
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {TouchPricingResult}
+ */
+export function eqTouchOption(S, H, T, sigma, q, r, scale) {
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    // validate the barrier under its own name before it is passed as strike
+    assertStrictlyPositive(H, 'H');
+    assertBarrierParameters(S, H, H, T, sigma, q, r, 1, scale);
+    const df = discountFactor(r, T);
+    if (S === H) {
+        return {
+            oneTouch: {price: scale, delta: 0, gamma: 0},
+            oneTouchAtExpiry: {price: scale * df, delta: 0, gamma: 0},
+            noTouch: {price: 0, delta: 0, gamma: 0}
+        };
+    }
+    const sigmaSqrtT = sigma * Math.sqrt(T),
+        eta = H < S ? 1 : -1,
+        {E, F} = barrierTerms(S, H, H, T, sigma, q, r, 1),
+        noTouch = evaluatePowerCdfTerms(E(eta), S, sigmaSqrtT, scale);
+    return {
+        oneTouch: evaluatePowerCdfTerms(F(eta), S, sigmaSqrtT, scale),
+        oneTouchAtExpiry: {price: scale * df - noTouch.price, delta: -noTouch.delta, gamma: -noTouch.gamma},
+        noTouch: noTouch
+    };
+}
+
+const doubleBarrierMaxTerms = 100;
+
+/*
+ * Terms of the Ikeda-Kunitomo series (flat barriers) for the (undiscounted by S resp. K)
+ * asset and cash parts of payoffs restricted to the interval (lower, upper) within [L, U].
+ */
+function doubleBarrierTerms(S, L, U, lower, upper, T, sigma, q, r, assetFactor, cashFactor) {
+    const sigmaSqrtT = sigma * Math.sqrt(T),
+        mu = 2 * (r - q) / sigma**2 + 1,
+        drift = (r - q + sigma**2 / 2) * T,
+        dfq = discountFactor(q, T),
+        dfr = discountFactor(r, T),
+        terms = [];
+    for (let i = 0; i < doubleBarrierMaxTerms; i++) {
+        const ns = i === 0 ? [0] : [i, -i];
+        let contribution = 0;
+        for (const n of ns) {
+            const ratio = (U / L)**n,
+                mirror = L**(n + 1) / U**n,
+                d = x => (Math.log(S * ratio**2 / x) + drift) / sigmaSqrtT,
+                d3 = x => (Math.log(mirror**2 / (x * S)) + drift) / sigmaSqrtT,
+                assetDirect = assetFactor * S * dfq * ratio**mu,
+                assetMirror = -assetFactor * S * dfq * (mirror / S)**mu,
+                cashDirect = cashFactor * dfr * ratio**(mu - 2),
+                cashMirror = -cashFactor * dfr * (mirror / S)**(mu - 2),
+                nTerms = [
+                    {a: assetDirect, p: 1, u: d(lower), c: 1},
+                    {a: -assetDirect, p: 1, u: d(upper), c: 1},
+                    {a: assetMirror, p: 1 - mu, u: d3(lower), c: -1},
+                    {a: -assetMirror, p: 1 - mu, u: d3(upper), c: -1},
+                    {a: cashDirect, p: 0, u: d(lower) - sigmaSqrtT, c: 1},
+                    {a: -cashDirect, p: 0, u: d(upper) - sigmaSqrtT, c: 1},
+                    {a: cashMirror, p: 2 - mu, u: d3(lower) - sigmaSqrtT, c: -1},
+                    {a: -cashMirror, p: 2 - mu, u: d3(upper) - sigmaSqrtT, c: -1}
+                ];
+            for (let j = 0; j < nTerms.length; j += 2) {
+                const difference = cdf(nTerms[j].u) - cdf(nTerms[j + 1].u);
+                if (difference !== 0) {
+                    contribution += Math.abs(nTerms[j].a * difference);
+                    terms.push(nTerms[j], nTerms[j + 1]);
+                }
+            }
+        }
+        if (i > 0 && contribution <= Number.EPSILON * (Math.abs(assetFactor) * S + Math.abs(cashFactor))) {
+            break;
+        }
+    }
+    return terms;
+}
+
+/**
+ * @typedef {Object} DoubleBarrierPricingResult
+ * @property {OptionPricingResult} call results for the double knock-out call option (only `price`, `delta` and `gamma` are provided)
+ * @property {OptionPricingResult} put results for the double knock-out put option (only `price`, `delta` and `gamma` are provided)
+ */
+
+/**
+ * Closed-form formula for European double barrier knock-out options on a stock (asset class equity),
+ * continuously monitored with flat barriers and without rebate. Options with a spot value
+ * outside of the interval (L, U) are already knocked out.
+ * 
+ * See Naoto Kunitomo and Masayuki Ikeda, [Pricing Options with Curved Boundaries](https://doi.org/10.1111/j.1467-9965.1992.tb00054.x),
+ * Mathematical Finance, Vol. 2, No. 4 (1992), pp. 275-298.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} K strike price of the option
+ * @param {number} L lower barrier level
+ * @param {number} U upper barrier level
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the underlying stock
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {DoubleBarrierPricingResult}
+ */
+export function eqDoubleBarrierOption(S, K, L, U, T, sigma, q, r, scale) {
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertBarrierParameters(S, K, L, T, sigma, q, r, 0, scale);
+    assertNumber(U, 'U');
+    if (U <= L) {
+        throw new InputError(`U must be greater than L; got L=${L} and U=${U}`, 'U', U, errorCode.outOfRange);
+    }
+    const knockedOut = {price: 0, delta: 0, gamma: 0};
+    if (S <= L || S >= U) {
+        return {call: knockedOut, put: knockedOut};
+    }
+    const sigmaSqrtT = sigma * Math.sqrt(T),
+        callLower = Math.max(K, L),
+        putUpper = Math.min(K, U);
+    return {
+        call: callLower >= U ? knockedOut : evaluatePowerCdfTerms(
+            doubleBarrierTerms(S, L, U, callLower, U, T, sigma, q, r, 1, -K), S, sigmaSqrtT, scale),
+        put: putUpper <= L ? knockedOut : evaluatePowerCdfTerms(
+            doubleBarrierTerms(S, L, U, L, putUpper, T, sigma, q, r, -1, K), S, sigmaSqrtT, scale)
+    };
+}
+
+/**
+ * @typedef {Object} RainbowPricingResult
+ * @property {OptionPricingResult} callOnMax results for the call on the maximum of both assets (only `price` is provided)
+ * @property {OptionPricingResult} putOnMax results for the put on the maximum of both assets (only `price` is provided)
+ * @property {OptionPricingResult} callOnMin results for the call on the minimum of both assets (only `price` is provided)
+ * @property {OptionPricingResult} putOnMin results for the put on the minimum of both assets (only `price` is provided)
+ */
+
+/**
+ * Stulz's formula for European options on the maximum or minimum of two risky assets
+ * (a.k.a. rainbow options), i.e. paying `max(max(S1, S2) - K, 0)`, `max(K - min(S1, S2), 0)` etc. at maturity.
+ * 
+ * See René M. Stulz, [Options on the minimum or the maximum of two risky assets: Analysis and applications](https://doi.org/10.1016/0304-405X(82)90011-3),
+ * Journal of Financial Economics, Vol. 10, No. 2 (1982), pp. 161-185.
+ * 
+ * @param {number} S1 spot value of the first asset
+ * @param {number} S2 spot value of the second asset
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma1 volatility of the first asset
+ * @param {number} sigma2 volatility of the second asset
+ * @param {number} rho correlation of the Brownian motions driving the asset prices
+ * @param {number} q1 dividend yield of the first asset
+ * @param {number} q2 dividend yield of the second asset
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {RainbowPricingResult}
+ */
+export function stulzFormula(S1, S2, K, T, sigma1, sigma2, rho, q1, q2, r, scale) {
+    assertStrictlyPositive(S1, 'S1');
+    assertStrictlyPositive(S2, 'S2');
+    assertPositive(K, 'K');
+    assertStrictlyPositive(T, 'T');
+    assertStrictlyPositive(sigma1, 'sigma1');
+    assertStrictlyPositive(sigma2, 'sigma2');
+    assertCorrelation(rho, 'rho');
+    assertNumber(q1, 'q1');
+    assertNumber(q2, 'q2');
+    assertNumber(r, 'r');
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertNumber(scale, 'scale');
+    const sqrtT = Math.sqrt(T),
+        pv1 = discountFactor(q1, T) * S1,
+        pv2 = discountFactor(q2, T) * S2,
+        pvK = discountFactor(r, T) * K,
+        exchange = margrabesFormula(S2, S1, T, sigma2, sigma1, rho, q2, q1),
+        sigma = exchange.sigma;
+    if (sigma === 0) {
+        throw new InputError('sigma1 and sigma2 must not be equal with rho = 1 (use eqBlackScholes instead)', 'sigma2', sigma2);
+    }
+    const rho1 = (sigma1 - rho * sigma2) / sigma,
+        rho2 = (sigma2 - rho * sigma1) / sigma,
+        d = (Math.log(pv1 / pv2) + sigma**2 / 2 * T) / (sigma * sqrtT),
+        y1 = (Math.log(pv1 / pvK) + sigma1**2 / 2 * T) / (sigma1 * sqrtT),
+        y2 = (Math.log(pv2 / pvK) + sigma2**2 / 2 * T) / (sigma2 * sqrtT),
+        callOnMin = pv1 * bivariateUpperCdf(-y1, d, -rho1)
+            + pv2 * bivariateUpperCdf(-y2, -d + sigma * sqrtT, -rho2)
+            - pvK * bivariateUpperCdf(-y1 + sigma1 * sqrtT, -y2 + sigma2 * sqrtT, rho),
+        callOnMax = pv1 * bivariateUpperCdf(-y1, -d, rho1)
+            + pv2 * bivariateUpperCdf(-y2, d - sigma * sqrtT, rho2)
+            - pvK * (1 - bivariateUpperCdf(y1 - sigma1 * sqrtT, y2 - sigma2 * sqrtT, rho)),
+        pvMin = pv2 - exchange.call.price,
+        pvMax = pv1 + exchange.call.price;
+    return {
+        callOnMax: {price: scale * callOnMax},
+        putOnMax: {price: scale * (pvK - pvMax + callOnMax)},
+        callOnMin: {price: scale * callOnMin},
+        putOnMin: {price: scale * (pvK - pvMin + callOnMin)}
+    };
+}
+
+/**
+ * @typedef {Object} TwoAssetCorrelationPricingResult
+ * @property {OptionPricingResult} call results for the call paying `S2 - K2` if `S1 > K1` and `S2 > K2` (only `price` is provided)
+ * @property {OptionPricingResult} put results for the put paying `K2 - S2` if `S1 < K1` and `S2 < K2` (only `price` is provided)
+ */
+
+/**
+ * Two-asset correlation option, i.e. a call (put) on the second asset which only pays
+ * if the first asset ends above (below) a trigger strike.
+ * 
+ * See Peter G. Zhang, [Correlation Digital Options](https://doi.org/10.3905/jod.1995.407939),
+ * The Journal of Derivatives, Vol. 3, No. 1 (1995), pp. 75-86.
+ * 
+ * @param {number} S1 spot value of the first (trigger) asset
+ * @param {number} S2 spot value of the second (payoff) asset
+ * @param {number} K1 trigger strike price on the first asset
+ * @param {number} K2 strike price on the second asset
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma1 volatility of the first asset
+ * @param {number} sigma2 volatility of the second asset
+ * @param {number} rho correlation of the Brownian motions driving the asset prices
+ * @param {number} q1 dividend yield of the first asset
+ * @param {number} q2 dividend yield of the second asset
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {TwoAssetCorrelationPricingResult}
+ */
+export function twoAssetCorrelationOption(S1, S2, K1, K2, T, sigma1, sigma2, rho, q1, q2, r, scale) {
+    assertStrictlyPositive(S1, 'S1');
+    assertStrictlyPositive(S2, 'S2');
+    assertStrictlyPositive(K1, 'K1');
+    assertStrictlyPositive(K2, 'K2');
+    assertStrictlyPositive(T, 'T');
+    assertStrictlyPositive(sigma1, 'sigma1');
+    assertStrictlyPositive(sigma2, 'sigma2');
+    assertCorrelation(rho, 'rho');
+    assertNumber(q1, 'q1');
+    assertNumber(q2, 'q2');
+    assertNumber(r, 'r');
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertNumber(scale, 'scale');
+    const sqrtT = Math.sqrt(T),
+        pv2 = discountFactor(q2, T) * S2,
+        pvK2 = discountFactor(r, T) * K2,
+        y1 = (Math.log(S1 / K1) + (r - q1 - sigma1**2 / 2) * T) / (sigma1 * sqrtT),
+        y2 = (Math.log(S2 / K2) + (r - q2 - sigma2**2 / 2) * T) / (sigma2 * sqrtT);
+    return {
+        call: {
+            price: scale * (pv2 * bivariateCdf(y2 + sigma2 * sqrtT, y1 + rho * sigma2 * sqrtT, rho)
+                - pvK2 * bivariateCdf(y2, y1, rho))
+        },
+        put: {
+            price: scale * (pvK2 * bivariateCdf(-y2, -y1, rho)
+                - pv2 * bivariateCdf(-y2 - sigma2 * sqrtT, -y1 - rho * sigma2 * sqrtT, rho))
+        }
+    };
+}
+
+const geskeCriticalPriceIterations = 200;
+
+/*
+ * Finds the spot price at which the value of a Black-Scholes option
+ * (to be exercised at the compound option maturity) equals the compound strike.
+ * Returns 0 for a put underlying whose value never reaches the compound strike.
+ */
+function geskeCriticalPrice(optionType, K1, K2, tau, sigma, q, r) {
+    const value = S => eqBlackScholes(S, K2, tau, sigma, q, r)[optionType].price - K1;
+    let lo = 0,
+        hi = K2;
+    if (optionType === 'call') {
+        while (value(hi) < 0) {
+            lo = hi;
+            hi *= 2;
+        }
+    } else {
+        if (discountFactor(r, tau) * K2 <= K1) {
+            return 0;
+        }
+        while (value(hi) > 0) {
+            lo = hi;
+            hi *= 2;
+        }
+    }
+    for (let i = 0; i < geskeCriticalPriceIterations && hi - lo > Number.EPSILON * hi; i++) {
+        const mid = (lo + hi) / 2;
+        if ((value(mid) < 0) === (optionType === 'call')) {
+            lo = mid;
+        } else {
+            hi = mid;
+        }
+    }
+    return (lo + hi) / 2;
+}
+
+/**
+ * @typedef {Object} CompoundPricingResult
+ * @property {OptionPricingResult} callOnCall results for the call on a call (only `price` is provided)
+ * @property {OptionPricingResult} putOnCall results for the put on a call (only `price` is provided)
+ * @property {OptionPricingResult} callOnPut results for the call on a put (only `price` is provided)
+ * @property {OptionPricingResult} putOnPut results for the put on a put (only `price` is provided)
+ * @property {number} criticalPriceCall stock price at `T1` above which the call on call is exercised
+ * @property {number} criticalPricePut stock price at `T1` below which the call on put is exercised
+ */
+
+/**
+ * Geske's formula for European compound options on a stock, i.e. options maturing at {@link T1}
+ * with strike {@link K1} on European vanilla options maturing at {@link T2} with strike {@link K2}.
+ * 
+ * See Robert Geske, [The valuation of compound options](https://doi.org/10.1016/0304-405X(79)90022-9),
+ * Journal of Financial Economics, Vol. 7, No. 1 (1979), pp. 63-81.
+ * 
+ * @param {number} S spot value of the stock
+ * @param {number} K1 strike price of the compound option (paid at {@link T1})
+ * @param {number} K2 strike price of the underlying option
+ * @param {number} T1 time to maturity of the compound option (typically expressed in years)
+ * @param {number} T2 time to maturity of the underlying option, must be greater than {@link T1}
+ * @param {number} sigma volatility of the underlying stock
+ * @param {number} q dividend rate of the underlying stock
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {CompoundPricingResult}
+ */
+export function geskeFormula(S, K1, K2, T1, T2, sigma, q, r, scale) {
+    assertStrictlyPositive(S, 'S');
+    assertPositive(K1, 'K1');
+    assertStrictlyPositive(K2, 'K2');
+    assertStrictlyPositive(T1, 'T1');
+    assertNumber(T2, 'T2');
+    if (T2 <= T1) {
+        throw new InputError(`T2 must be greater than T1; got T1=${T1} and T2=${T2}`, 'T2', T2, errorCode.outOfRange);
+    }
+    assertStrictlyPositive(sigma, 'sigma');
+    assertNumber(q, 'q');
+    assertNumber(r, 'r');
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertNumber(scale, 'scale');
+    const tau = T2 - T1,
+        corr = Math.sqrt(T1 / T2),
+        pvS = discountFactor(q, T2) * S,
+        pvK1 = discountFactor(r, T1) * K1,
+        pvK2 = discountFactor(r, T2) * K2,
+        z1 = (Math.log(S / K2) + (r - q + sigma**2 / 2) * T2) / (sigma * Math.sqrt(T2)),
+        z2 = z1 - sigma * Math.sqrt(T2),
+        y = I => (Math.log(S / I) + (r - q + sigma**2 / 2) * T1) / (sigma * Math.sqrt(T1)),
+        criticalPriceCall = geskeCriticalPrice('call', K1, K2, tau, sigma, q, r),
+        criticalPricePut = geskeCriticalPrice('put', K1, K2, tau, sigma, q, r),
+        yc1 = y(criticalPriceCall),
+        yc2 = yc1 - sigma * Math.sqrt(T1),
+        yp1 = y(criticalPricePut),
+        yp2 = yp1 - sigma * Math.sqrt(T1),
+        callOnCall = pvS * bivariateCdf(z1, yc1, corr) - pvK2 * bivariateCdf(z2, yc2, corr) - pvK1 * cdf(yc2),
+        putOnCall = pvK2 * bivariateCdf(z2, -yc2, -corr) - pvS * bivariateCdf(z1, -yc1, -corr) + pvK1 * cdf(-yc2),
+        callOnPut = pvK2 * bivariateCdf(-z2, -yp2, corr) - pvS * bivariateCdf(-z1, -yp1, corr) - pvK1 * cdf(-yp2),
+        putOnPut = pvS * bivariateCdf(-z1, yp1, -corr) - pvK2 * bivariateCdf(-z2, yp2, -corr) + pvK1 * cdf(yp2);
+    return {
+        callOnCall: {price: scale * callOnCall},
+        putOnCall: {price: scale * putOnCall},
+        callOnPut: {price: scale * callOnPut},
+        putOnPut: {price: scale * putOnPut},
+        criticalPriceCall: criticalPriceCall,
+        criticalPricePut: criticalPricePut
+    };
+}
+
+/**
+ * Black-Scholes formula for a European vanilla currency option (asset class foreign exchange).
+ * This is also known as the Garman–Kohlhagen model.
+ * 
+ * See Mark B. Garman and Steven W. Kohlhagen [Foreign currency option values](https://www.sciencedirect.com/science/article/pii/S0261560683800011),
+ * Journal of International Money and Finance, Vol. 2, Issue 3 (1983), pp. 231-237.
+ * 
+ * @param {number} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the currency exchange rate
+ * @param {number} rFor risk-less rate of return in the foreign currency
+ * @param {number} rDom risk-less rate of return in the domestic currency
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {PricingResult} prices in domestic currency
+ */
+export function fxBlackScholes(S, K, T, sigma, rFor, rDom, scale) {
+    assertPositive(S, 'S');
+    assertPositive(K, 'K');
+    assertPositive(T, 'T');
+    assertPositive(sigma, 'sigma');
+    assertNumber(rFor, 'rFor');
+    assertNumber(rDom, 'rDom');
+    return margrabesFormulaShort(S, K, T, sigma, rFor, rDom, scale);
+}
+
+/**
+ * Implied volatility for the Garman–Kohlhagen model, i.e. the volatility for which
+ * {@link fxBlackScholes} reproduces the given call or put price.
+ * Prices outside of the no-arbitrage bounds cause an {@link ArbitrageError}.
+ * @see margrabesFormulaShortImpliedVolatility
+ *
+ * @param {number} price (scaled) price of the option in domestic currency
+ * @param {string} optionType either `'call'` or `'put'`
+ * @param {number} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} rFor risk-less rate of return in the foreign currency
+ * @param {number} rDom risk-less rate of return in the domestic currency
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {number} implied volatility of the currency exchange rate
+ */
+export function fxBlackScholesImpliedVolatility(price, optionType, S, K, T, rFor, rDom, scale) {
+    return margrabesFormulaShortImpliedVolatility(price, optionType, S, K, T, rFor, rDom, scale);
+}
+
+/**
+ * Batch version of {@link fxBlackScholes} for pricing many currency options at once without allocating result objects.
+ * @see eqBlackScholesBatch
+ * 
+ * @param {number|Array<number>|Float64Array} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * @param {number|Array<number>|Float64Array} K strike price of the option
+ * @param {number|Array<number>|Float64Array} T time to maturity (typically expressed in years)
+ * @param {number|Array<number>|Float64Array} sigma volatility of the currency exchange rate
+ * @param {number|Array<number>|Float64Array} rFor risk-less rate of return in the foreign currency
+ * @param {number|Array<number>|Float64Array} rDom risk-less rate of return in the domestic currency
+ * @param {BatchPricingOutput} output preallocated columns to be filled (prices in domestic currency)
+ * @param {number|Array<number>|Float64Array} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {BatchPricingOutput} {@link output} with filled columns
+ */
+export function fxBlackScholesBatch(S, K, T, sigma, rFor, rDom, output, scale) {
+    return margrabesFormulaShortBatch(S, K, T, sigma, rFor, rDom, output, scale, ['S', 'K', 'T', 'sigma', 'rFor', 'rDom']);
+}
+
+/**
+ * Delta conventions of FX options: spot or forward delta, each either plain or premium-adjusted
+ * (i.e. delta in foreign units net of the premium paid in foreign currency).
+ * 
+ * See Dimitri Reiswich and Uwe Wystup, [FX Volatility Smile Construction](https://doi.org/10.1002/wilm.10132),
+ * Wilmott, Vol. 2012, Issue 60, pp. 58-69.
+ */
+export const fxDeltaConvention = {
+    spot: 'spot',
+    forward: 'forward',
+    spotPremiumAdjusted: 'spotPremiumAdjusted',
+    forwardPremiumAdjusted: 'forwardPremiumAdjusted'
+};
+
+/**
+ * ATM (at-the-money) conventions of FX options: strike equals the forward (`forward`)
+ * or call and put deltas sum up to zero (`deltaNeutral`, i.e. delta-neutral straddle).
+ */
+export const fxAtmConvention = {
+    forward: 'forward',
+    deltaNeutral: 'deltaNeutral'
+};
+
+/**
+ * @typedef {Object} FxDeltaResult
+ * @property {number} call delta of the call option
+ * @property {number} put delta of the put option
+ */
+
+/**
+ * @typedef {Object} FxPremium
+ * @property {number} domesticPips premium in domestic currency per unit of foreign notional (as returned by {@link fxBlackScholes})
+ * @property {number} foreignPips premium in foreign currency per unit of domestic notional
+ * @property {number} domesticPercent premium in percent of domestic notional (expressed as a fraction, i.e. 0.01 for 1%)
+ * @property {number} foreignPercent premium in percent of foreign notional (expressed as a fraction, i.e. 0.01 for 1%)
+ */
+
+function assertDeltaConvention(value, name) {
+    if (!Object.values(fxDeltaConvention).includes(value)) {
+        throw new InputError(`${name} must be one of ${Object.values(fxDeltaConvention).join(', ')}; got ${value}`, name, value);
+    }
+}
+
+function assertFxDeltaParameters(S, T, sigma, rFor, rDom, deltaConvention) {
+    assertStrictlyPositive(S, 'S');
+    assertStrictlyPositive(T, 'T');
+    assertStrictlyPositive(sigma, 'sigma');
+    assertNumber(rFor, 'rFor');
+    assertNumber(rDom, 'rDom');
+    assertDeltaConvention(deltaConvention, 'deltaConvention');
+}
+
+function isPremiumAdjusted(deltaConvention) {
+    return deltaConvention === fxDeltaConvention.spotPremiumAdjusted || deltaConvention === fxDeltaConvention.forwardPremiumAdjusted;
+}
+
+/*
+ * Delta of a call (phi = 1) or put (phi = -1) for forward F with the given delta convention.
+ */
+function fxConventionDelta(phi, F, K, T, sigma, rFor, deltaConvention) {
+    const sigmaSqrtT = sigma * Math.sqrt(T),
+        d1 = (Math.log(F / K) + sigmaSqrtT**2 / 2) / sigmaSqrtT;
+    switch (deltaConvention) {
+    case fxDeltaConvention.spot:
+        return phi * discountFactor(rFor, T) * cdf(phi * d1);
+    case fxDeltaConvention.forward:
+        return phi * cdf(phi * d1);
+    case fxDeltaConvention.spotPremiumAdjusted:
+        return phi * discountFactor(rFor, T) * K / F * cdf(phi * (d1 - sigmaSqrtT));
+    default:
+        return phi * K / F * cdf(phi * (d1 - sigmaSqrtT));
+    }
+}
+
+/**
+ * Deltas of European vanilla currency options according to FX market conventions.
+ * Spot delta equals the delta of {@link fxBlackScholes}; premium-adjusted deltas are reduced
+ * by the premium expressed in foreign currency.
+ * @see fxDeltaConvention
+ * 
+ * @param {number} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the currency exchange rate
+ * @param {number} rFor risk-less rate of return in the foreign currency
+ * @param {number} rDom risk-less rate of return in the domestic currency
+ * @param {string} [deltaConvention=fxDeltaConvention.spot] delta convention, see {@link fxDeltaConvention}
+ * @returns {FxDeltaResult}
+ */
+export function fxDelta(S, K, T, sigma, rFor, rDom, deltaConvention) {
+    if (typeof deltaConvention === 'undefined') {
+        deltaConvention = fxDeltaConvention.spot;
+    }
+    assertFxDeltaParameters(S, T, sigma, rFor, rDom, deltaConvention);
+    assertStrictlyPositive(K, 'K');
+    const F = S * Math.exp((rDom - rFor) * T);
+    return {
+        call: fxConventionDelta(1, F, K, T, sigma, rFor, deltaConvention),
+        put: fxConventionDelta(-1, F, K, T, sigma, rFor, deltaConvention)
+    };
+}
+
+/**
+ * ATM (at-the-money) strike of currency options according to FX market conventions.
+ * For delta-neutral straddles, the strike depends on whether deltas are premium-adjusted.
+ * @see fxAtmConvention
+ * 
+ * @param {number} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma ATM volatility of the currency exchange rate
+ * @param {number} rFor risk-less rate of return in the foreign currency
+ * @param {number} rDom risk-less rate of return in the domestic currency
+ * @param {string} [atmConvention=fxAtmConvention.deltaNeutral] ATM convention, see {@link fxAtmConvention}
+ * @param {string} [deltaConvention=fxDeltaConvention.spot] delta convention, see {@link fxDeltaConvention}
+ * @returns {number} ATM strike
+ */
+export function fxAtmStrike(S, T, sigma, rFor, rDom, atmConvention, deltaConvention) {
+    if (typeof atmConvention === 'undefined') {
+        atmConvention = fxAtmConvention.deltaNeutral;
+    }
+    if (typeof deltaConvention === 'undefined') {
+        deltaConvention = fxDeltaConvention.spot;
+    }
+    assertFxDeltaParameters(S, T, sigma, rFor, rDom, deltaConvention);
+    const F = S * Math.exp((rDom - rFor) * T);
+    switch (atmConvention) {
+    case fxAtmConvention.forward:
+        return F;
+    case fxAtmConvention.deltaNeutral:
+        return F * Math.exp((isPremiumAdjusted(deltaConvention) ? -1 : 1) * sigma**2 * T / 2);
+    default:
+        throw new InputError(`atmConvention must be one of ${Object.values(fxAtmConvention).join(', ')}; got ${atmConvention}`,
+            'atmConvention', atmConvention);
+    }
+}
+
+/**
+ * Strike of a currency option with given delta according to FX market conventions, i.e. the inverse of {@link fxDelta}.
+ * Strikes for plain deltas are given in closed form, premium-adjusted deltas are inverted numerically; for calls
+ * with premium-adjusted delta the strike greater than the strike of maximal delta is returned.
+ * 
+ * See Dimitri Reiswich and Uwe Wystup, [FX Volatility Smile Construction](https://doi.org/10.1002/wilm.10132),
+ * Wilmott, Vol. 2012, Issue 60, pp. 58-69.
+ * 
+ * @param {number} delta delta of the option (positive for calls, negative for puts), e.g. 0.25 or -0.25
+ * @param {string} optionType either 'call' or 'put'
+ * @param {number} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the currency exchange rate at the resulting strike
+ * @param {number} rFor risk-less rate of return in the foreign currency
+ * @param {number} rDom risk-less rate of return in the domestic currency
+ * @param {string} [deltaConvention=fxDeltaConvention.spot] delta convention, see {@link fxDeltaConvention}
+ * @returns {number} strike
+ */
+export function fxStrikeFromDelta(delta, optionType, S, T, sigma, rFor, rDom, deltaConvention) {
+    if (typeof deltaConvention === 'undefined') {
+        deltaConvention = fxDeltaConvention.spot;
+    }
+    assertOptionType(optionType, 'optionType');
+    assertFxDeltaParameters(S, T, sigma, rFor, rDom, deltaConvention);
+    assertNumber(delta, 'delta');
+    const phi = optionType === 'call' ? 1 : -1,
+        F = S * Math.exp((rDom - rFor) * T),
+        sigmaSqrtT = sigma * Math.sqrt(T),
+        spotDiscount = deltaConvention === fxDeltaConvention.spot || deltaConvention === fxDeltaConvention.spotPremiumAdjusted
+            ? discountFactor(rFor, T) : 1,
+        forwardDelta = phi * delta / spotDiscount;
+    if (!(forwardDelta > 0 && forwardDelta < 1) && !(isPremiumAdjusted(deltaConvention) && phi === -1 && forwardDelta >= 1)) {
+        throw new InputError(`delta of ${optionType} is not attainable with ${deltaConvention} delta; got ${delta}`,
+            'delta', delta, errorCode.outOfRange);
+    }
+    if (!isPremiumAdjusted(deltaConvention)) {
+        // d1 = phi N^-1(forwardDelta)
+        return F * Math.exp(-phi * inverseCdf(forwardDelta) * sigmaSqrtT + sigmaSqrtT**2 / 2);
+    }
+    const deltaError = K => phi * fxConventionDelta(phi, F, K, T, sigma, rFor, deltaConvention) / spotDiscount - forwardDelta;
+    let lo,
+        hi;
+    if (phi === 1) {
+        // premium-adjusted call delta is decreasing in strike between the strike of maximal delta,
+        // i.e. d2 solving sigmaSqrtT N(d2) = n(d2), and the strike of equal plain delta
+        let d2Lo = -40,
+            d2Hi = 40;
+        while (d2Hi - d2Lo > 1e-14) {
+            const d2 = (d2Lo + d2Hi) / 2;
+            if (sigmaSqrtT * cdf(d2) > pdf(d2)) {
+                d2Hi = d2;
+            } else {
+                d2Lo = d2;
+            }
+        }
+        lo = F * Math.exp(-d2Lo * sigmaSqrtT - sigmaSqrtT**2 / 2);
+        hi = F * Math.exp(-inverseCdf(forwardDelta) * sigmaSqrtT + sigmaSqrtT**2 / 2);
+        if (deltaError(lo) < 0) {
+            throw new InputError(`delta of call exceeds maximal ${deltaConvention} delta ${fxConventionDelta(1, F, lo, T, sigma, rFor, deltaConvention)}; got ${delta}`,
+                'delta', delta, errorCode.outOfRange);
+        }
+    } else {
+        // premium-adjusted put delta is decreasing in strike, without lower bound
+        hi = F;
+        while (deltaError(hi) < 0) {
+            hi *= 2;
+        }
+        lo = hi / 2;
+        while (deltaError(lo) > 0) {
+            hi = lo;
+            lo /= 2;
+        }
+    }
+    // bisection on log-strike
+    for (let i = 0; i < 200; i++) {
+        const K = Math.sqrt(lo * hi);
+        if (hi - lo <= 1e-15 * hi) {
+            return K;
+        }
+        if (phi * deltaError(K) > 0) {
+            lo = K;
+        } else {
+            hi = K;
+        }
+    }
+    throw new ConvergenceError(`strike for ${deltaConvention} delta ${delta} did not converge`, 'K', Math.sqrt(lo * hi));
+}
+
+/**
+ * Expresses the premium of a currency option in different FX quotation conventions.
+ * 
+ * @param {number} price price of the option in domestic currency per unit of foreign notional, e.g. as returned by {@link fxBlackScholes}
+ * @param {number} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * @param {number} K strike price of the option, i.e. domestic notional per unit of foreign notional
+ * @returns {FxPremium}
+ */
+export function fxPremium(price, S, K) {
+    assertNumber(price, 'price');
+    assertStrictlyPositive(S, 'S');
+    assertStrictlyPositive(K, 'K');
+    return {
+        domesticPips: price,
+        foreignPips: price / (S * K),
+        domesticPercent: price / K,
+        foreignPercent: price / S
+    };
+}
+
+/**
+ * Types of FX butterfly quotes: a `smile` butterfly is the average of the call and put volatilities of the smile
+ * minus ATM volatility, a `broker` (market strangle) butterfly is the volatility spread over ATM at which a strangle
+ * priced with one flat volatility has the same price as the strangle priced on the smile.
+ */
+export const fxButterflyType = {
+    smile: 'smile',
+    broker: 'broker'
+};
+
+/**
+ * @typedef {Object} FxSmileQuote
+ * @property {number} delta (positive) delta of the quote, e.g. 0.25 for 25D or 0.1 for 10D
+ * @property {number} riskReversal volatility of the call minus volatility of the put with {@link delta}
+ * @property {number} butterfly butterfly (strangle) volatility spread over ATM, see {@link fxButterflyType}
+ */
+
+/**
+ * @typedef {Object} FxSmilePillar
+ * @property {number} K strike price of the pillar
+ * @property {number} sigma volatility of the pillar
+ */
+
+/**
+ * @typedef {Object} FxSmileResult
+ * @property {VolatilitySmile} smile volatility per strike, e.g. to be used as `sigma` in {@link fxBlackScholes}
+ * @property {number} atmStrike ATM strike
+ * @property {Array<FxSmilePillar>} pillars ATM pillar and put / call pillars of all quotes, sorted by strike
+ * @property {Array<number>} smileButterflies smile butterfly per quote (equal to the quoted butterflies for smile butterflies)
+ */
+
+/*
+ * Evaluates the polynomial through points (xs, ys) at x in Lagrange form.
+ */
+function lagrangePolynomial(xs, ys, x) {
+    let value = 0;
+    for (let i = 0; i < xs.length; i++) {
+        let weight = 1;
+        for (let j = 0; j < xs.length; j++) {
+            if (j !== i) {
+                weight *= (x - xs[j]) / (xs[i] - xs[j]);
+            }
+        }
+        value += weight * ys[i];
+    }
+    return value;
+}
+
+/*
+ * Smile as polynomial of volatility in forward call delta (without premium adjustment) through the pillars;
+ * the volatility of a strike is the fixed point sigma = P(N(d1(K, sigma))).
+ */
+function deltaPolynomialSmile(F, T, pillars, initialSigma) {
+    const sqrtT = Math.sqrt(T),
+        forwardDelta = (K, sigma) => cdf((Math.log(F / K) + sigma**2 * T / 2) / (sigma * sqrtT)),
+        xs = pillars.map(pillar => forwardDelta(pillar.K, pillar.sigma)),
+        ys = pillars.map(pillar => pillar.sigma);
+    return K => {
+        assertStrictlyPositive(K, 'K');
+        let sigma = initialSigma;
+        for (let i = 0; i < 100; i++) {
+            const next = lagrangePolynomial(xs, ys, forwardDelta(K, sigma));
+            if (!(next > 0)) {
+                break;
+            }
+            if (Math.abs(next - sigma) <= 1e-14) {
+                return next;
+            }
+            sigma = next;
+        }
+        throw new ConvergenceError(`volatility of strike ${K} did not converge`, 'sigma', sigma);
+    };
+}
+
+/**
+ * Constructs an FX volatility smile for a single expiry from ATM volatility and risk reversal / butterfly quotes
+ * per delta (e.g. 25D and 10D). The smile is a polynomial of volatility in (forward, not premium-adjusted) call delta
+ * through the ATM pillar and the call / put pillars of all quotes. Broker butterflies are converted to smile butterflies
+ * such that the market strangle of each quote is repriced by the smile.
+ * 
+ * See Dimitri Reiswich and Uwe Wystup, [FX Volatility Smile Construction](https://doi.org/10.1002/wilm.10132),
+ * Wilmott, Vol. 2012, Issue 60, pp. 58-69.
+ * 
+ * @param {number} S spot value of the currency exchange rate; this has to be expressed in unit of domestic currency / unit of foreign currency
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} rFor risk-less rate of return in the foreign currency
+ * @param {number} rDom risk-less rate of return in the domestic currency
+ * @param {number} atmVolatility ATM volatility
+ * @param {Array<FxSmileQuote>} quotes risk reversal and butterfly quotes with distinct deltas
+ * @param {string} [butterflyType=fxButterflyType.smile] type of the quoted butterflies, see {@link fxButterflyType}
+ * @param {string} [deltaConvention=fxDeltaConvention.spot] delta convention of the quotes, see {@link fxDeltaConvention}
+ * @param {string} [atmConvention=fxAtmConvention.deltaNeutral] ATM convention of the quotes, see {@link fxAtmConvention}
+ * @returns {FxSmileResult}
+ */
+export function fxSmileFromQuotes(S, T, rFor, rDom, atmVolatility, quotes, butterflyType, deltaConvention, atmConvention) {
+    if (typeof butterflyType === 'undefined') {
+        butterflyType = fxButterflyType.smile;
+    }
+    if (typeof deltaConvention === 'undefined') {
+        deltaConvention = fxDeltaConvention.spot;
+    }
+    if (typeof atmConvention === 'undefined') {
+        atmConvention = fxAtmConvention.deltaNeutral;
+    }
+    if (!Object.values(fxButterflyType).includes(butterflyType)) {
+        throw new InputError(`butterflyType must be one of ${Object.values(fxButterflyType).join(', ')}; got ${butterflyType}`,
+            'butterflyType', butterflyType);
+    }
+    assertStrictlyPositive(atmVolatility, 'atmVolatility');
+    assertNonEmptyArray(quotes, 'quotes');
+    quotes.forEach((quote, i) => {
+        assertNumber(quote.delta, `quotes[${i}].delta`);
+        if (!(quote.delta > 0 && quote.delta < 0.5)) {
+            throw new InputError(`quotes[${i}].delta must be in interval (0, 0.5); got ${quote.delta}`, `quotes[${i}].delta`, quote.delta, errorCode.outOfRange);
+        }
+        if (quotes.findIndex(other => other.delta === quote.delta) !== i) {
+            throw new InputError(`quotes need to have distinct deltas; got multiple quotes for delta=${quote.delta}`, 'quotes', quotes);
+        }
+        assertNumber(quote.riskReversal, `quotes[${i}].riskReversal`);
+        assertNumber(quote.butterfly, `quotes[${i}].butterfly`);
+    });
+    const F = S * Math.exp((rDom - rFor) * T),
+        atmStrike = fxAtmStrike(S, T, atmVolatility, rFor, rDom, atmConvention, deltaConvention),
+        strikeFromDelta = (delta, optionType, sigma) => fxStrikeFromDelta(delta, optionType, S, T, sigma, rFor, rDom, deltaConvention);
+    const buildSmile = butterflies => {
+        const pillars = [{K: atmStrike, sigma: atmVolatility}];
+        quotes.forEach((quote, i) => {
+            const callSigma = atmVolatility + butterflies[i] + quote.riskReversal / 2,
+                putSigma = atmVolatility + butterflies[i] - quote.riskReversal / 2;
+            pillars.push({K: strikeFromDelta(quote.delta, 'call', callSigma), sigma: callSigma});
+            pillars.push({K: strikeFromDelta(-quote.delta, 'put', putSigma), sigma: putSigma});
+        });
+        pillars.sort((pillar1, pillar2) => pillar1.K - pillar2.K);
+        return {pillars: pillars, smile: deltaPolynomialSmile(F, T, pillars, atmVolatility)};
+    };
+    const smileButterflies = quotes.map(quote => quote.butterfly);
+    if (butterflyType === fxButterflyType.broker) {
+        const strangles = quotes.map(quote => {
+            const sigma = atmVolatility + quote.butterfly,
+                callStrike = strikeFromDelta(quote.delta, 'call', sigma),
+                putStrike = strikeFromDelta(-quote.delta, 'put', sigma);
+            return {
+                callStrike: callStrike,
+                putStrike: putStrike,
+                price: fxBlackScholes(S, callStrike, T, sigma, rFor, rDom).call.price + fxBlackScholes(S, putStrike, T, sigma, rFor, rDom).put.price
+            };
+        });
+        const strangleError = (smile, i) => {
+            const strangle = strangles[i];
+            return fxBlackScholes(S, strangle.callStrike, T, smile(strangle.callStrike), rFor, rDom).call.price
+                + fxBlackScholes(S, strangle.putStrike, T, smile(strangle.putStrike), rFor, rDom).put.price - strangle.price;
+        };
+        // Gauss-Seidel iteration over quotes, each solving for its smile butterfly by the secant method
+        let converged = false;
+        for (let sweep = 0; sweep < 50 && !converged; sweep++) {
+            converged = true;
+            quotes.forEach((quote, i) => {
+                const errorOf = butterfly => {
+                    const butterflies = [...smileButterflies];
+                    butterflies[i] = butterfly;
+                    return strangleError(buildSmile(butterflies).smile, i);
+                };
+                let last = smileButterflies[i],
+                    current = last + 1e-4,
+                    errorLast = errorOf(last),
+                    errorCurrent = errorOf(current);
+                for (let iter = 0; iter < 50 && errorCurrent !== errorLast && Math.abs(current - last) > 1e-15; iter++) {
+                    const next = current - errorCurrent * (current - last) / (errorCurrent - errorLast);
+                    last = current;
+                    errorLast = errorCurrent;
+                    current = next;
+                    errorCurrent = errorOf(current);
+                }
+                if (Math.abs(current - smileButterflies[i]) > 1e-12) {
+                    converged = false;
+                }
+                smileButterflies[i] = current;
+            });
+        }
+        if (!converged) {
+            throw new ConvergenceError('smile butterflies matching broker butterflies did not converge', 'butterfly', smileButterflies);
+        }
+    }
+    const result = buildSmile(smileButterflies);
+    return {
+        smile: result.smile,
+        atmStrike: atmStrike,
+        pillars: result.pillars,
+        smileButterflies: smileButterflies
+    };
+}
+
+/**
+ * Black-Scholes formula for European option on forward / future (asset class interest rates),
+ * known as the Black 76 model.
+ * 
+ * See Fischer Black [The pricing of commodity contracts](https://www.sciencedirect.com/science/article/abs/pii/0304405X76900246),
+ * Journal of Financial Economics, 3 (1976), 167-179.
+ * 
+ * Sensitivities (including delta, theta and rhos) refer to the discounted forward `exp(-r*T)*F` as underlying.
+ * 
+ * @param {number} F forward price of the underlying
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the underlying forward price
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {PricingResult} prices of forward / future option
+ */
+export function irBlack76(F, K, T, sigma, r, scale) {
+    assertPositive(F, 'F');
+    assertPositive(K, 'K');
+    assertPositive(T, 'T');
+    assertPositive(sigma, 'sigma');
+    assertNumber(r, 'r');
+    return margrabesFormulaShort(discountFactor(r, T) * F, K, T, sigma, 0, r, scale);
+}
+
+/**
+ * Implied volatility for the Black 76 model, i.e. the volatility for which
+ * {@link irBlack76} reproduces the given call or put price.
+ * Prices outside of the no-arbitrage bounds cause an {@link ArbitrageError}.
+ * @see margrabesFormulaShortImpliedVolatility
+ *
+ * @param {number} price (scaled) price of the option
+ * @param {string} optionType either `'call'` or `'put'`
+ * @param {number} F forward price of the underlying
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {number} implied volatility of the underlying forward price
+ */
+export function irBlack76ImpliedVolatility(price, optionType, F, K, T, r, scale) {
+    assertNumber(F, 'F');
+    assertNumber(r, 'r');
+    assertNumber(T, 'T');
+    return margrabesFormulaShortImpliedVolatility(price, optionType, discountFactor(r, T) * F, K, T, 0, r, scale);
+}
+
+/**
+ * Black 76 model for an option on a coupon-paying bond (asset class interest rates).
+ * 
+ * @param {Bond} bond underlying bond of the option
+ * @param {number} K (dirty) strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma volatility of the bond forward price
+ * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+ * @returns {PricingResult} prices of bond options
+ */
+export function irBlack76BondOption(bond, K, T, sigma, spotCurve) {
+    const bondForward = bond.forwardDirtyPrice(irSpotCurve2DiscountCurve(spotCurve), T);
+    return irBlack76(bondForward, K, T, sigma, spotCurve(T));
+}
+
+/**
+ * Black 76 model for a caplet / floorlet (asset class interest rates).
+ * Notional is retrieved from floatingRate.notional.
+ * 
+ * @param {FloatingCashflow} floatingRate underlying floating rate of the option 
+ * @param {number} K strike price of the option
+ * @param {number} sigma volatility of the floating rate
+ * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+ * @returns {PricingResult} prices of caplet / floorlet
+ */
+export function irBlack76CapletFloorlet(floatingRate, K, sigma, spotCurve) {
+    const discCurve = irSpotCurve2DiscountCurve(spotCurve),
+        forwardRate = irForwardLinearRate(floatingRate, discCurve),
+        yearFraction = floatingYearFraction(floatingRate);
+    if (floatingRate.t > 0) {
+        const forwardDiscountFactor = discCurve(floatingRate.T) / discCurve(floatingRate.t),
+            scale = floatingRate.notional * yearFraction * forwardDiscountFactor;
+        return irBlack76(forwardRate, K, floatingRate.t, sigma, spotCurve(floatingRate.t), scale);
+    } else {
+        return irBlack76(forwardRate, K, floatingRate.T, 0, spotCurve(floatingRate.T),
+            floatingRate.notional * yearFraction);
+    }
+}
+
+/**
+ * Settlement types of swaptions.
+ * Physically settled swaptions enter into the underlying swap, cash-settled swaptions
+ * pay the swap value computed with the par-yield annuity at the forward swap rate.
+ */
+export const irSwaptionSettlement = {
+    physical: 'physical',
+    cash: 'cash'
+};
+
+/*
+ * Calculates forward swap rate, expiry and scale (notional times annuity forward at expiry)
+ * for pricing a European swaption on the given swap.
+ */
+function swaptionParameters(swap, spotCurve, settlement) {
+    assertDefined(swap, 'swap');
+    assertDefined(spotCurve, 'spotCurve');
+    if (typeof settlement === 'undefined') {
+        settlement = irSwaptionSettlement.physical;
+    }
+    if (settlement !== irSwaptionSettlement.physical && settlement !== irSwaptionSettlement.cash) {
+        throw new InputError(`settlement must be either "${irSwaptionSettlement.physical}" or "${irSwaptionSettlement.cash}"; got ${settlement}`, 'settlement', settlement);
+    }
+    assertStrictlyPositive(swap.start, 'swap.start');
+    const discCurve = irSpotCurve2DiscountCurve(spotCurve),
+        T = swap.start,
+        forwardSwapRate = swap.parRate(discCurve);
+    let annuity = 0;
+    if (settlement === irSwaptionSettlement.physical) {
+        annuity = swap.annuity(discCurve, T);
+    } else {
+        let parYieldDiscountFactor = 1;
+        for (const period of accrualPeriods(swap.start, swap.end, swap.fixedFrequency)) {
+            const yearFraction = period.T - period.t;
+            parYieldDiscountFactor /= 1 + yearFraction * forwardSwapRate;
+            annuity += yearFraction * parYieldDiscountFactor;
+        }
+    }
+    return {forwardSwapRate: forwardSwapRate, T: T, scale: swap.notional * annuity};
+}
+
+/**
+ * Black 76 model for a European swaption (asset class interest rates), expiring at the start
+ * of the underlying swap with strike equal to the fixed rate of the swap. Calls are payer swaptions,
+ * puts are receiver swaptions, both scaled by swap.notional. For a negative notional (receiver swap),
+ * results are those of short positions in payer and receiver swaptions, respectively.
+ * 
+ * @param {Swap} swap underlying swap of the option
+ * @param {number} sigma volatility of the forward swap rate
+ * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+ * @param {string} [settlement=irSwaptionSettlement.physical] settlement type, see {@link irSwaptionSettlement}
+ * @returns {PricingResult} prices of payer (call) and receiver (put) swaptions, scaled by swap.notional
+ */
+export function irBlack76Swaption(swap, sigma, spotCurve, settlement) {
+    const {forwardSwapRate, T, scale} = swaptionParameters(swap, spotCurve, settlement);
+    return irBlack76(forwardSwapRate, swap.fixedRate, T, sigma, spotCurve(T), scale);
+}
+
+/**
+ * Bachelier (normal) model for European options on a forward / future (asset class interest rates).
+ * In contrast to {@link irBlack76}, forwards and strikes may be zero or negative.
+ * Sensitivities refer to the forward price `F` as underlying.
+ * 
+ * See Louis Bachelier, [Théorie de la spéculation](http://www.numdam.org/item/ASENS_1900_3_17__21_0/),
+ * Annales scientifiques de l'École Normale Supérieure, Série 3, Tome 17 (1900), pp. 21-86.
+ * 
+ * @param {number} F forward price of the underlying
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma normal (absolute) volatility of the underlying forward price
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {BachelierPricingResult} prices of forward / future option
+ */
+export function irBachelier(F, K, T, sigma, r, scale) {
+    assertNumber(F, 'F');
+    assertNumber(K, 'K');
+    assertPositive(T, 'T');
+    assertPositive(sigma, 'sigma');
+    assertNumber(r, 'r');
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertNumber(scale, 'scale');
+    const sqrtT = Math.sqrt(T);
+    const sigmaSqrtT = sigma * sqrtT;
+    const moneyness = F - K;
+    const d = sigmaSqrtT === 0 ? (moneyness >= 0 ? Infinity : -Infinity) : moneyness / sigmaSqrtT;
+    const N_d = cdf(d);
+    const pdf_d = pdf(d);
+    const df = discountFactor(r, T);
+    const timeValue = sigmaSqrtT * pdf_d;
+    const dd_dT = -d / (2*T);
+    const callPrice = scale * df * (moneyness * N_d + timeValue);
+    const putPrice = scale * df * (-moneyness * (1 - N_d) + timeValue);
+    const timeDecay = scale * df * sigma * pdf_d / (2*sqrtT);
+    const call = {
+        price: callPrice,
+        delta: scale * df * N_d,
+        gamma: scale * df * pdf_d / sigmaSqrtT,
+        vega: scale * df * sqrtT * pdf_d,
+        theta: r * callPrice - timeDecay,
+        rhoDom: -T * callPrice,
+        rhoFor: 0,
+        vanna: -scale * df * pdf_d * d / sigma,
+        volga: scale * df * sqrtT * pdf_d * d**2 / sigma,
+        charm: scale * df * (r * N_d - pdf_d * dd_dT),
+        simpleMoneyness: moneyness,
+        standardizedMoneyness: d
+    };
+    const put = {
+        price: putPrice,
+        delta: scale * df * (N_d - 1),
+        gamma: call.gamma,
+        vega: call.vega,
+        theta: r * putPrice - timeDecay,
+        rhoDom: -T * putPrice,
+        rhoFor: 0,
+        vanna: call.vanna,
+        volga: call.volga,
+        charm: -scale * df * (r * (1 - N_d) + pdf_d * dd_dT),
+        simpleMoneyness: -moneyness,
+        standardizedMoneyness: -d
+    };
+    const digitalCallPrice = scale * df * N_d;
+    const digitalCallDelta = scale * df * pdf_d / sigmaSqrtT;
+    const digitalCall = {
+        price: digitalCallPrice,
+        delta: digitalCallDelta,
+        gamma: -digitalCallDelta * d / sigmaSqrtT,
+        vega: -scale * df * pdf_d * d / sigma,
+        theta: r * digitalCallPrice - scale * df * pdf_d * dd_dT,
+        rhoDom: -T * digitalCallPrice,
+        rhoFor: 0,
+        vanna: scale * df * pdf_d * (d**2 - 1) / sigma / sigmaSqrtT,
+        volga: scale * df * pdf_d * d * (2 - d**2) / sigma**2,
+        charm: digitalCallDelta * (r + (1 - d**2) / (2*T))
+    };
+    const digitalPut = {
+        price: scale * df - digitalCallPrice,
+        delta: -digitalCall.delta,
+        gamma: -digitalCall.gamma,
+        vega: -digitalCall.vega,
+        theta: scale * r * df - digitalCall.theta,
+        rhoDom: -scale * T * df - digitalCall.rhoDom,
+        rhoFor: 0,
+        vanna: -digitalCall.vanna,
+        volga: -digitalCall.volga,
+        charm: -digitalCall.charm
+    };
+    return {
+        call: call,
+        put: put,
+        digitalCall: digitalCall,
+        digitalPut: digitalPut,
+        N_d: N_d,
+        d: d,
+        sigma: sigma
+    };
+}
+
+/**
+ * Implied normal volatility for the Bachelier model, i.e. the normal volatility for which
+ * {@link irBachelier} reproduces the given call or put price.
+ * Prices below the discounted intrinsic value cause an {@link ArbitrageError}; a price equal to the
+ * discounted intrinsic value yields an implied volatility of 0.
+ * 
+ * @param {number} price (scaled) price of the option
+ * @param {string} optionType either `'call'` or `'put'`
+ * @param {number} F forward price of the underlying
+ * @param {number} K strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} r risk-less rate of return
+ * @param {number} [scale=1.0] scaling of all money amount and sensitivity results; think "number of options", but with fractional parts allowed
+ * @returns {number} implied normal volatility of the underlying forward price
+ */
+export function irBachelierImpliedVolatility(price, optionType, F, K, T, r, scale) {
+    assertNumber(price, 'price');
+    assertOptionType(optionType, 'optionType');
+    assertNumber(F, 'F');
+    assertNumber(K, 'K');
+    assertStrictlyPositive(T, 'T');
+    assertNumber(r, 'r');
+    if (typeof scale === 'undefined') {
+        scale = 1.0;
+    }
+    assertNumber(scale, 'scale');
+    if (scale === 0) {
+        throw new InputError('scale must not be 0 for implied volatility calculation', 'scale', scale, errorCode.outOfRange);
+    }
+    const undiscountedPrice = price / scale / discountFactor(r, T),
+        intrinsic = Math.max(optionType === 'call' ? F - K : K - F, 0);
+    if (!(undiscountedPrice >= intrinsic && undiscountedPrice < Infinity)) {
+        throw new ArbitrageError(`undiscounted price of ${optionType} must be in no-arbitrage interval [${intrinsic}, Infinity); got ${undiscountedPrice}`, 'price', price);
+    }
+    const otmPrice = undiscountedPrice - intrinsic;
+    if (otmPrice === 0) {
+        return 0;
+    }
+    const m = Math.abs(F - K);
+    const s = solveImpliedTotalVolatility(otmPrice, Math.sqrt(2 * Math.PI) * otmPrice, s => {
+        const d = m / s;
+        return [s * pdf(d) - m * cdf(-d), pdf(d)];
+    });
+    return s / Math.sqrt(T);
+}
+
+/**
+ * Bachelier (normal) model for an option on a coupon-paying bond (asset class interest rates).
+ * @see irBlack76BondOption
+ * 
+ * @param {Bond} bond underlying bond of the option
+ * @param {number} K (dirty) strike price of the option
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} sigma normal volatility of the bond forward price
+ * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+ * @returns {BachelierPricingResult} prices of bond options
+ */
+export function irBachelierBondOption(bond, K, T, sigma, spotCurve) {
+    const bondForward = bond.forwardDirtyPrice(irSpotCurve2DiscountCurve(spotCurve), T);
+    return irBachelier(bondForward, K, T, sigma, spotCurve(T));
+}
+
+/**
+ * Bachelier (normal) model for a caplet / floorlet (asset class interest rates).
+ * Notional is retrieved from floatingRate.notional.
+ * @see irBlack76CapletFloorlet
+ * 
+ * @param {FloatingCashflow} floatingRate underlying floating rate of the option 
+ * @param {number} K strike price of the option (may be zero or negative)
+ * @param {number} sigma normal volatility of the floating rate
+ * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+ * @returns {BachelierPricingResult} prices of caplet / floorlet
+ */
+export function irBachelierCapletFloorlet(floatingRate, K, sigma, spotCurve) {
+    const discCurve = irSpotCurve2DiscountCurve(spotCurve),
+        forwardRate = irForwardLinearRate(floatingRate, discCurve),
+        yearFraction = floatingYearFraction(floatingRate);
+    if (floatingRate.t > 0) {
+        const forwardDiscountFactor = discCurve(floatingRate.T) / discCurve(floatingRate.t),
+            scale = floatingRate.notional * yearFraction * forwardDiscountFactor;
+        return irBachelier(forwardRate, K, floatingRate.t, sigma, spotCurve(floatingRate.t), scale);
+    } else {
+        return irBachelier(forwardRate, K, floatingRate.T, 0, spotCurve(floatingRate.T),
+            floatingRate.notional * yearFraction);
+    }
+}
+
+/**
+ * Bachelier (normal) model for a European swaption (asset class interest rates).
+ * Calls are payer swaptions, puts are receiver swaptions, both scaled by swap.notional; a negative
+ * notional (receiver swap) yields short positions.
+ * @see irBlack76Swaption
+ * 
+ * @param {Swap} swap underlying swap of the option (fixed rate may be zero or negative)
+ * @param {number} sigma normal volatility of the forward swap rate
+ * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+ * @param {string} [settlement=irSwaptionSettlement.physical] settlement type, see {@link irSwaptionSettlement}
+ * @returns {BachelierPricingResult} prices of payer (call) and receiver (put) swaptions, scaled by swap.notional
+ */
+export function irBachelierSwaption(swap, sigma, spotCurve, settlement) {
+    const {forwardSwapRate, T, scale} = swaptionParameters(swap, spotCurve, settlement);
+    return irBachelier(forwardSwapRate, swap.fixedRate, T, sigma, spotCurve(T), scale);
+}
+
+/**
+ * @callback VolatilitySmile
+ * @param {number} K strike price
+ * @returns {number} volatility for strike {@link K}, e.g. to be used as `sigma` in {@link eqBlackScholes},
+ * {@link fxBlackScholes} or {@link irBlack76} (or {@link irBachelier} for normal volatility smiles)
+ */
+
+/**
+ * @typedef {Object} SabrCalibrationResult
+ * @property {number} alpha calibrated initial volatility
+ * @property {number} beta elasticity (as given)
+ * @property {number} rho calibrated correlation of forward and volatility
+ * @property {number} nu calibrated volatility of volatility
+ * @property {VolatilitySmile} smile calibrated smile
+ * @property {Array<number>} errors differences of calibrated and quoted volatilities per strike
+ */
+
+/**
+ * @typedef {Object} SviCalibrationResult
+ * @property {number} a calibrated level of total variance
+ * @property {number} b calibrated angle between the wings
+ * @property {number} rho calibrated rotation of the smile
+ * @property {number} m calibrated horizontal translation of the smile (in log-moneyness)
+ * @property {number} sigma calibrated smoothness of the vertex
+ * @property {VolatilitySmile} smile calibrated smile
+ * @property {Array<number>} errors differences of calibrated and quoted volatilities per strike
+ */
+
+function assertSabrParameters(F, T, alpha, beta, rho, nu) {
+    assertNumber(F, 'F');
+    assertStrictlyPositive(T, 'T');
+    assertStrictlyPositive(alpha, 'alpha');
+    assertNumber(beta, 'beta');
+    if (beta < 0 || beta > 1) {
+        throw new InputError(`beta must be in interval [0, 1]; got ${beta}`, 'beta', beta, errorCode.outOfRange);
+    }
+    assertCorrelation(rho, 'rho');
+    assertPositive(nu, 'nu');
+}
+
+/*
+ * z / x(z) of Hagan's expansions, using the series expansion around z = 0.
+ */
+function sabrZOverX(z, rho) {
+    if (Math.abs(z) < 1e-7) {
+        return 1 - rho * z / 2;
+    }
+    return z / Math.log((Math.sqrt(1 - 2 * rho * z + z * z) + z - rho) / (1 - rho));
+}
+
+/**
+ * SABR volatility smile of a forward using Hagan's expansion of the lognormal (Black) volatility.
+ * See Hagan, Kumar, Lesniewski and Woodward, [Managing Smile Risk](https://www.researchgate.net/publication/235622441_Managing_Smile_Risk),
+ * Wilmott Magazine, 2002.
+ * 
+ * @param {number} F (positive) forward price of the underlying
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} alpha (positive) initial volatility
+ * @param {number} beta elasticity in [0, 1]
+ * @param {number} rho correlation of forward and volatility
+ * @param {number} nu (non-negative) volatility of volatility
+ * @returns {VolatilitySmile} lognormal volatility per (positive) strike
+ */
+export function sabrLognormalSmile(F, T, alpha, beta, rho, nu) {
+    assertSabrParameters(F, T, alpha, beta, rho, nu);
+    assertStrictlyPositive(F, 'F');
+    const oneMinusBeta = 1 - beta;
+    return function (K) {
+        assertStrictlyPositive(K, 'K');
+        const logFK = Math.log(F / K),
+            FKpow = (F * K)**(oneMinusBeta / 2),
+            z = nu / alpha * FKpow * logFK,
+            denominator = FKpow * (1 + (oneMinusBeta * logFK)**2 / 24 + (oneMinusBeta * logFK)**4 / 1920),
+            correction = (oneMinusBeta * alpha / FKpow)**2 / 24 + rho * beta * nu * alpha / (4 * FKpow) + (2 - 3 * rho * rho) * nu * nu / 24;
+        return alpha / denominator * sabrZOverX(z, rho) * (1 + correction * T);
+    };
+}
+
+/**
+ * SABR volatility smile of a forward using Hagan's expansion of the normal (Bachelier) volatility.
+ * For `beta = 0` (normal SABR) forward and strikes may be zero or negative.
+ * @see sabrLognormalSmile
+ * 
+ * @param {number} F forward price of the underlying (positive unless `beta = 0`)
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} alpha (positive) initial volatility
+ * @param {number} beta elasticity in [0, 1]
+ * @param {number} rho correlation of forward and volatility
+ * @param {number} nu (non-negative) volatility of volatility
+ * @returns {VolatilitySmile} normal volatility per strike
+ */
+export function sabrNormalSmile(F, T, alpha, beta, rho, nu) {
+    assertSabrParameters(F, T, alpha, beta, rho, nu);
+    if (beta > 0) {
+        assertStrictlyPositive(F, 'F');
+    }
+    const oneMinusBeta = 1 - beta;
+    return function (K) {
+        assertNumber(K, 'K');
+        if (beta === 0) {
+            const z = nu / alpha * (F - K);
+            return alpha * sabrZOverX(z, rho) * (1 + (2 - 3 * rho * rho) * nu * nu / 24 * T);
+        }
+        assertStrictlyPositive(K, 'K');
+        const FKmid = Math.sqrt(F * K),
+            z = nu / alpha * (F - K) / FKmid**beta,
+            correction = -beta * (2 - beta) * alpha * alpha / (24 * FKmid**(2 * oneMinusBeta))
+                + rho * alpha * nu * beta / (4 * FKmid**oneMinusBeta) + (2 - 3 * rho * rho) * nu * nu / 24;
+        // (1 - beta) (F - K) / (F^(1 - beta) - K^(1 - beta)) avoiding cancellation close to the money
+        const logFK = Math.log(F / K);
+        let ratio = F**beta;
+        if (logFK !== 0) {
+            ratio = K**beta * Math.expm1(logFK) / (beta === 1 ? logFK : Math.expm1(oneMinusBeta * logFK) / oneMinusBeta);
+        }
+        return alpha * ratio * sabrZOverX(z, rho) * (1 + correction * T);
+    };
+}
+
+/**
+ * Volatility smile of Gatheral's raw SVI (stochastic volatility inspired) parameterisation of the total implied variance
+ * `w(k) = a + b (rho (k - m) + sqrt((k - m)^2 + sigma^2))` with log-moneyness `k = ln(K / F)`.
+ * See Gatheral and Jacquier, [Arbitrage-free SVI volatility surfaces](https://doi.org/10.1080/14697688.2013.819986),
+ * Quantitative Finance, 2014.
+ * 
+ * @param {number} F (positive) forward price of the underlying
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {number} a level of total variance
+ * @param {number} b (non-negative) angle between the wings
+ * @param {number} rho rotation of the smile in [-1, 1]
+ * @param {number} m horizontal translation of the smile (in log-moneyness)
+ * @param {number} sigma (positive) smoothness of the vertex
+ * @returns {VolatilitySmile} lognormal volatility per (positive) strike
+ */
+export function sviSmile(F, T, a, b, rho, m, sigma) {
+    assertStrictlyPositive(F, 'F');
+    assertStrictlyPositive(T, 'T');
+    assertNumber(a, 'a');
+    assertPositive(b, 'b');
+    assertCorrelation(rho, 'rho');
+    assertNumber(m, 'm');
+    assertStrictlyPositive(sigma, 'sigma');
+    const minimumVariance = a + b * sigma * Math.sqrt(1 - rho * rho);
+    if (minimumVariance < 0) {
+        throw new ArbitrageError(`a + b * sigma * sqrt(1 - rho^2) must be greater or equal to 0; got ${minimumVariance}`, 'a', a);
+    }
+    return function (K) {
+        assertStrictlyPositive(K, 'K');
+        const k = Math.log(K / F) - m;
+        return Math.sqrt((a + b * (rho * k + Math.sqrt(k * k + sigma * sigma))) / T);
+    };
+}
+
+/*
+ * Minimizes f by the Nelder-Mead simplex method starting from x0 with initial simplex steps.
+ */
+function minimizeNelderMead(f, x0, steps, abstol, maxiter) {
+    const n = x0.length,
+        evaluate = x => ({x: x, value: f(x)}),
+        combine = (x, y, weight) => x.map((xi, i) => xi + weight * (y[i] - xi));
+    let simplex = [x0].concat(steps.map((step, i) => x0.map((x, j) => i === j ? x + step : x))).map(evaluate);
+    for (let iter = 0; iter < maxiter; iter++) {
+        simplex.sort((p, q) => p.value - q.value);
+        const best = simplex[0],
+            worst = simplex[n];
+        if (worst.value - best.value <= abstol) {
+            break;
+        }
+        const centroid = x0.map((_, j) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[j], 0) / n),
+            reflected = evaluate(combine(centroid, worst.x, -1));
+        if (reflected.value < best.value) {
+            const expanded = evaluate(combine(centroid, worst.x, -2));
+            simplex[n] = expanded.value < reflected.value ? expanded : reflected;
+        } else if (reflected.value < simplex[n - 1].value) {
+            simplex[n] = reflected;
+        } else {
+            const contracted = evaluate(combine(centroid, worst.x, reflected.value < worst.value ? -0.5 : 0.5));
+            if (contracted.value < Math.min(reflected.value, worst.value)) {
+                simplex[n] = contracted;
+            } else {
+                simplex = simplex.map((p, i) => i === 0 ? p : evaluate(combine(best.x, p.x, 0.5)));
+            }
+        }
+    }
+    simplex.sort((p, q) => p.value - q.value);
+    return simplex[0];
+}
+
+/*
+ * Least squares of volatility differences; restarts the Nelder-Mead method at its result
+ * until the minimum does not improve any more.
+ */
+function calibrateSmile(strikes, vols, createSmile, x0, steps) {
+    assertNonEmptyArray(strikes, 'strikes');
+    if (!Array.isArray(vols) || vols.length !== strikes.length) {
+        throw new InputError('vols must be an array of same length as strikes', 'vols', vols);
+    }
+    if (strikes.length < x0.length) {
+        throw new InputError(`at least ${x0.length} quotes must be given; got ${strikes.length}`, 'strikes', strikes, errorCode.outOfRange);
+    }
+    strikes.forEach((K, i) => assertNumber(K, `strikes[${i}]`));
+    vols.forEach((vol, i) => assertStrictlyPositive(vol, `vols[${i}]`));
+    const initialSmile = createSmile(x0);
+    strikes.forEach(K => initialSmile(K));
+    const objective = x => {
+        try {
+            const smile = createSmile(x),
+                value = strikes.reduce((sum, K, i) => sum + (smile(K) - vols[i])**2, 0);
+            return isFinite(value) ? value : Infinity;
+        } catch (e) {
+            if (!(e instanceof AnalyticsError)) {
+                throw e;
+            }
+            return Infinity; // parameters at the boundary of their domain
+        }
+    };
+    let result = minimizeNelderMead(objective, x0, steps, 1e-30, 2000);
+    for (let restart = 0; restart < 20; restart++) {
+        const next = minimizeNelderMead(objective, result.x, steps.map(step => step / 10), 1e-30, 2000);
+        if (next.value >= result.value) {
+            break;
+        }
+        result = next;
+    }
+    const smile = createSmile(result.x);
+    return {
+        x: result.x,
+        smile: smile,
+        errors: strikes.map((K, i) => smile(K) - vols[i])
+    };
+}
+
+/**
+ * Calibrates a SABR smile for a single expiry to quoted volatilities by least squares of volatility differences.
+ * The elasticity beta is fixed, alpha, rho and nu are calibrated.
+ * @see sabrLognormalSmile
+ * @see sabrNormalSmile
+ * 
+ * @param {number} F forward price of the underlying
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {Array<number>} strikes strikes of at least three quotes (positive unless `beta = 0` and `normal = true`)
+ * @param {Array<number>} vols quoted volatilities per strike
+ * @param {number} [beta=1] fixed elasticity in [0, 1]
+ * @param {boolean} [normal=false] if true, quoted volatilities are normal volatilities, otherwise lognormal volatilities
+ * @returns {SabrCalibrationResult} calibrated parameters and smile
+ */
+export function sabrCalibration(F, T, strikes, vols, beta, normal) {
+    if (typeof beta === 'undefined') {
+        beta = 1;
+    }
+    if (typeof normal === 'undefined') {
+        normal = false;
+    }
+    const createSmile = normal ? sabrNormalSmile : sabrLognormalSmile,
+        params = x => [Math.exp(x[0]), beta, Math.tanh(x[1]), Math.exp(x[2])];
+    assertSabrParameters(F, T, 1, beta, 0, 0);
+    assertNonEmptyArray(vols, 'vols');
+    const atmVol = vols.reduce((sum, vol) => sum + vol, 0) / vols.length,
+        alpha0 = normal ? atmVol / F**beta : atmVol * F**(1 - beta),
+        calibrated = calibrateSmile(strikes, vols, x => createSmile(F, T, ...params(x)),
+            [Math.log(alpha0), 0, Math.log(0.5)], [0.5, 0.5, 0.5]),
+        [alpha, , rho, nu] = params(calibrated.x);
+    return {
+        alpha: alpha,
+        beta: beta,
+        rho: rho,
+        nu: nu,
+        smile: calibrated.smile,
+        errors: calibrated.errors
+    };
+}
+
+/**
+ * Calibrates a raw SVI smile for a single expiry to quoted lognormal volatilities by least squares of volatility differences.
+ * Calibrated parameters satisfy `a + b sigma sqrt(1 - rho^2) >= 0`, i.e. a non-negative total variance.
+ * @see sviSmile
+ * 
+ * @param {number} F (positive) forward price of the underlying
+ * @param {number} T time to maturity (typically expressed in years)
+ * @param {Array<number>} strikes (positive) strikes of at least five quotes
+ * @param {Array<number>} vols quoted lognormal volatilities per strike
+ * @returns {SviCalibrationResult} calibrated parameters and smile
+ */
+export function sviCalibration(F, T, strikes, vols) {
+    assertStrictlyPositive(F, 'F');
+    assertStrictlyPositive(T, 'T');
+    assertNonEmptyArray(vols, 'vols');
+    const params = x => {
+        const b = Math.exp(x[1]),
+            rho = Math.tanh(x[2]),
+            sigma = Math.exp(x[4]);
+        return [Math.exp(x[0]) - b * sigma * Math.sqrt(1 - rho * rho), b, rho, x[3], sigma];
+    };
+    const minimumVariance = Math.min(...vols)**2 * T,
+        calibrated = calibrateSmile(strikes, vols, x => sviSmile(F, T, ...params(x)),
+            [Math.log(minimumVariance), Math.log(0.1 * minimumVariance), 0, 0, Math.log(0.1)], [0.5, 0.5, 0.5, 0.1, 0.5]),
+        [a, b, rho, m, sigma] = params(calibrated.x);
+    return {
+        a: a,
+        b: b,
+        rho: rho,
+        m: m,
+        sigma: sigma,
+        smile: calibrated.smile,
+        errors: calibrated.errors
+    };
+}
+
+/**
+ * Calculates the linear forward rate given a floating cashflow and a discount curve.
+ * 
+ * @param {FloatingCashflow} floatingRate floating rate (notional is ignored)
+ * @param {DiscountCurve} discountCurve discount curve used for forwards
+ */
+export function irForwardLinearRate(floatingRate, discountCurve) {
+    return (discountCurve(floatingRate.t) / discountCurve(floatingRate.T) - 1) / floatingYearFraction(floatingRate);
+}
+
+/**
+ * Calculates the forward price at time t for a series of cashflows.
+ * Cashflows before t are ignored (i.e. do not add any value).
+ * 
+ * @param {Array<Cashflow>} cashflows future cashflows to be paid 
+ * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
+ * @param {number} t time point of the forward (typically expressed in years)
+ * @returns {number} forward price of given cashflows
+ */
+export function irForwardPrice(cashflows, discountCurve, t) {
+    const df_t = discountCurve(t);
+    let fw = 0.0;
+    for (let i = 0; i < cashflows.length; i++) {
+        const cf = cashflows[i];
+        if (typeof cf.notional === 'number') { // FloatingCashflow
+            if (cf.T >= t) {
+                const df_T = discountCurve(cf.T),
+                    forwardLinearRate = irForwardLinearRate(cf, discountCurve),
+                    yearfraction = floatingYearFraction(cf);
+                fw += cf.notional * forwardLinearRate * yearfraction * df_T / df_t;
+            }
+
+        } else { // FixedCashflow
+            if (cf.t >= t) {
+                fw += cf.value * discountCurve(cf.t) / df_t;
+            }
+        }
+    }
+    return fw;
+}
+
+/**
+ * Frequencies expressed as number of payments per year.
+ */
+export const irFrequency = {
+    annually: 1,
+    semiannually: 2,
+    triannually: 3,
+    quarterly: 4,
+    bimonthly: 6,
+    monthly: 12,
+    weekly: 52,
+    businessdaily: 250,
+    daily: 365
+};
+
+/**
+ * Minimum period {@link irRollFromEnd} will create.
+ */
+export const irMinimumPeriod = 1 / 1000;
+
+/**
+ * Creates a payment schedule with payment frequency {@link frequency}
+ * that has last payment at {@link end} and no payments before {@link start}.
+ * First payment period is (possibly) shorter than later periods.
+ * 
+ * @param {number} start start time of schedule (usually expressed in years)
+ * @param {number} end end time of schedule (usually expressed in years)
+ * @param {number} frequency number of payments per time unit (usually per year)
+ * @returns {Array<number>} payment times
+ */
+export function irRollFromEnd(start, end, frequency) {
+    assertNumber(start, 'start');
+    assertNumber(end, 'end');
+    if (start + irMinimumPeriod >= end) {
+        throw new InputError(`start needs to be at least ${irMinimumPeriod} before end, got start=${start} and end=${end}`, 'start', start, errorCode.outOfRange);
+    }
+    assertFrequency(frequency, 'frequency');
+    const schedule = [],
+        yearfraction = 1 / frequency,
+        nPayments = Math.ceil(frequency * (end - start));
+    let t = end;
+    for (let i = 0; i < nPayments; i++) {
+        if (t - start < irMinimumPeriod) {
+            break;
+        }
+        schedule.unshift(t);
+        t -= yearfraction;
+    }
+    return schedule;
+}
+
+const millisecondsPerDay = 24 * 60 * 60 * 1000;
+
+function assertDate(value, name) {
+    if (!(value instanceof Date) || isNaN(value.getTime())) {
+        throw new InputError(`${name} must be a valid Date; got ${value}`, name, value, errorCode.invalidType);
+    }
+}
+
+/*
+ * Creates a date (at midnight UTC) from year, month (0-based) and day of month.
+ */
+function utcDate(year, month, day) {
+    return new Date(Date.UTC(year, month, day));
+}
+
+/*
+ * Truncates the given date to midnight UTC.
+ */
+function truncateDate(date) {
+    return utcDate(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+}
+
+function daysBetween(start, end) {
+    return Math.round((truncateDate(end) - truncateDate(start)) / millisecondsPerDay);
+}
+
+function isLeapYear(year) {
+    return (year % 4 === 0 && year % 100 !== 0) || year % 400 === 0;
+}
+
+/*
+ * Adds the given number of months to date, clipping the day of month to the end of the resulting month.
+ */
+function addMonths(date, months) {
+    const monthIndex = date.getUTCFullYear() * 12 + date.getUTCMonth() + months,
+        year = Math.floor(monthIndex / 12),
+        month = monthIndex - 12 * year,
+        lastDayOfMonth = utcDate(year, month + 1, 0).getUTCDate();
+    return utcDate(year, month, Math.min(date.getUTCDate(), lastDayOfMonth));
+}
+
+/**
+ * Day count conventions supported by {@link irYearFraction}.
+ * `thirty360` is the 30/360 bond basis (ISDA 2006, section 4.16(f)).
+ */
+export const irDayCount = {
+    act360: 'ACT/360',
+    act365f: 'ACT/365F',
+    thirty360: '30/360',
+    actActIsda: 'ACT/ACT ISDA'
+};
+
+/**
+ * Calculates the year fraction between two dates according to a day count convention.
+ * Dates are interpreted in UTC, times of day are ignored.
+ * 
+ * @param {Date} start start date of the period
+ * @param {Date} end end date of the period
+ * @param {string} dayCount day count convention, see {@link irDayCount}
+ * @returns {number} year fraction of the period (negative if end is before start)
+ */
+export function irYearFraction(start, end, dayCount) {
+    assertDate(start, 'start');
+    assertDate(end, 'end');
+    switch (dayCount) {
+    case irDayCount.act360:
+        return daysBetween(start, end) / 360;
+    case irDayCount.act365f:
+        return daysBetween(start, end) / 365;
+    case irDayCount.thirty360: {
+        let d1 = start.getUTCDate(),
+            d2 = end.getUTCDate();
+        if (d1 === 31) {
+            d1 = 30;
+        }
+        if (d2 === 31 && d1 === 30) {
+            d2 = 30;
+        }
+        return (360 * (end.getUTCFullYear() - start.getUTCFullYear())
+            + 30 * (end.getUTCMonth() - start.getUTCMonth()) + d2 - d1) / 360;
+    }
+    case irDayCount.actActIsda: {
+        if (end < start) {
+            return -irYearFraction(end, start, dayCount);
+        }
+        let yearFraction = 0,
+            periodStart = truncateDate(start);
+        const periodEnd = truncateDate(end);
+        while (periodStart < periodEnd) {
+            const year = periodStart.getUTCFullYear(),
+                nextYear = utcDate(year + 1, 0, 1),
+                until = nextYear < periodEnd ? nextYear : periodEnd;
+            yearFraction += daysBetween(periodStart, until) / (isLeapYear(year) ? 366 : 365);
+            periodStart = until;
+        }
+        return yearFraction;
+    }
+    default:
+        throw new InputError(`dayCount must be one of ${Object.values(irDayCount).join(', ')}; got ${dayCount}`, 'dayCount', dayCount);
+    }
+}
+
+/**
+ * @callback BusinessDayCalendar
+ * @param {Date} date date to be checked (interpreted in UTC)
+ * @returns {boolean} true if date is a business day, false otherwise
+ */
+
+/**
+ * Calendar treating all days except Saturdays and Sundays as business days.
+ * 
+ * @type {BusinessDayCalendar}
+ */
+export const irWeekendCalendar = (date) => {
+    assertDate(date, 'date');
+    const weekday = date.getUTCDay();
+    return weekday !== 0 && weekday !== 6;
+};
+
+/**
+ * Creates a {@link BusinessDayCalendar} treating weekends and the given holidays as non-business days.
+ * 
+ * @param {Array<Date>} holidays holidays (in addition to weekends)
+ * @returns {BusinessDayCalendar}
+ */
+export function irHolidayCalendar(holidays) {
+    if (!Array.isArray(holidays)) {
+        throw new InputError(`holidays must be an array; got ${holidays}`, 'holidays', holidays, errorCode.invalidType);
+    }
+    holidays.forEach(holiday => assertDate(holiday, 'holiday'));
+    const holidaySet = new Set(holidays.map(holiday => truncateDate(holiday).getTime()));
+    return (date) => irWeekendCalendar(date) && !holidaySet.has(truncateDate(date).getTime());
+}
+
+/**
+ * Creates a {@link BusinessDayCalendar} with business days being business days in all of the given calendars.
+ * 
+ * @param {...BusinessDayCalendar} calendars calendars to be joined
+ * @returns {BusinessDayCalendar}
+ */
+export function irJointCalendar(...calendars) {
+    calendars.forEach(calendar => assertDefined(calendar, 'calendar'));
+    return (date) => calendars.every(calendar => calendar(date));
+}
+
+/**
+ * Business day conventions supported by {@link irAdjustDate}.
+ */
+export const irBusinessDayConvention = {
+    unadjusted: 'unadjusted',
+    following: 'following',
+    modifiedFollowing: 'modifiedFollowing',
+    preceding: 'preceding'
+};
+
+const maximumRollDays = 366;
+
+/**
+ * Adjusts a date to a business day according to a business day convention.
+ * An {@link InputError} is thrown if the calendar has no business day within one year of the date.
+ * 
+ * @param {Date} date date to be adjusted
+ * @param {string} convention business day convention, see {@link irBusinessDayConvention}
+ * @param {BusinessDayCalendar} [calendar=irWeekendCalendar] calendar of business days
+ * @returns {Date} adjusted date (at midnight UTC)
+ */
+export function irAdjustDate(date, convention, calendar) {
+    if (typeof calendar === 'undefined') {
+        calendar = irWeekendCalendar;
+    }
+    assertDate(date, 'date');
+    const roll = step => {
+        let adjusted = truncateDate(date);
+        for (let days = 0; !calendar(adjusted); days++) {
+            if (days >= maximumRollDays) {
+                throw new InputError(`calendar has no business day within ${maximumRollDays} days of ${truncateDate(date).toISOString()}`,
+                    'calendar', calendar);
+            }
+            adjusted = utcDate(adjusted.getUTCFullYear(), adjusted.getUTCMonth(), adjusted.getUTCDate() + step);
+        }
+        return adjusted;
+    };
+    switch (convention) {
+    case irBusinessDayConvention.unadjusted:
+        return truncateDate(date);
+    case irBusinessDayConvention.following:
+        return roll(1);
+    case irBusinessDayConvention.modifiedFollowing: {
+        const following = roll(1);
+        return following.getUTCMonth() === date.getUTCMonth() ? following : roll(-1);
+    }
+    case irBusinessDayConvention.preceding:
+        return roll(-1);
+    default:
+        throw new InputError(`convention must be one of ${Object.values(irBusinessDayConvention).join(', ')}; got ${convention}`, 'convention', convention);
+    }
+}
+
+/**
+ * Creates a date schedule with payment frequency {@link frequency} that has last date {@link end},
+ * rolled backwards from {@link end} in whole months (clipped to month end) and adjusted to business days.
+ * First period is (possibly) shorter than later periods. In contrast to {@link irRollFromEnd},
+ * the (adjusted) start date is included as first element, so that consecutive dates form accrual periods.
+ * 
+ * @param {Date} start start date of schedule
+ * @param {Date} end end date of schedule
+ * @param {number} frequency number of payments per year, must divide 12 (e.g. {@link irFrequency}.quarterly)
+ * @param {string} [convention=irBusinessDayConvention.modifiedFollowing] business day convention, see {@link irBusinessDayConvention}
+ * @param {BusinessDayCalendar} [calendar=irWeekendCalendar] calendar of business days
+ * @returns {Array<Date>} start date followed by payment dates
+ */
+export function irDateSchedule(start, end, frequency, convention, calendar) {
+    if (typeof convention === 'undefined') {
+        convention = irBusinessDayConvention.modifiedFollowing;
+    }
+    assertDate(start, 'start');
+    assertDate(end, 'end');
+    assertFrequency(frequency, 'frequency');
+    const months = 12 / frequency;
+    if (!Number.isInteger(months)) {
+        throw new InputError(`frequency must divide 12 for date schedules; got ${frequency}`, 'frequency', frequency);
+    }
+    if (daysBetween(start, end) <= 0) {
+        throw new InputError(`start needs to be before end, got start=${start.toISOString()} and end=${end.toISOString()}`, 'start', start, errorCode.outOfRange);
+    }
+    const unadjusted = [truncateDate(end)];
+    for (let i = 1; ; i++) {
+        const date = addMonths(end, -i * months);
+        if (daysBetween(start, date) <= 0) {
+            break;
+        }
+        unadjusted.unshift(date);
+    }
+    unadjusted.unshift(truncateDate(start));
+    return unadjusted.map(date => irAdjustDate(date, convention, calendar));
+}
+
+/**
+ * Converts a date into a time (expressed in years) relative to a valuation date, as used by
+ * curves and cashflows throughout this library.
+ * 
+ * @param {Date} valuationDate date corresponding to time 0
+ * @param {Date} date date to be converted
+ * @param {string} [dayCount=irDayCount.act365f] day count convention used for the conversion, see {@link irDayCount}
+ * @returns {number} time of date relative to valuation date
+ */
+export function irDateToTime(valuationDate, date, dayCount) {
+    if (typeof dayCount === 'undefined') {
+        dayCount = irDayCount.act365f;
+    }
+    return irYearFraction(valuationDate, date, dayCount);
+}
+
+/**
+ * Creates fixed rate cashflows for the accrual periods of a date schedule (see {@link irDateSchedule}),
+ * with accrual year fractions according to {@link dayCount} and payment times relative to {@link valuationDate}.
+ * 
+ * @param {Date} valuationDate date corresponding to time 0
+ * @param {Array<Date>} schedule start date followed by payment dates
+ * @param {number} notional notional amount
+ * @param {number} rate annual fixed rate (i.e. 0.04 for 4%, not a currency amount)
+ * @param {string} dayCount day count convention for accrual, see {@link irDayCount}
+ * @returns {Array<FixedCashflow>}
+ */
+export function irDateFixedCashflows(valuationDate, schedule, notional, rate, dayCount) {
+    assertNonEmptyArray(schedule, 'schedule');
+    assertNumber(notional, 'notional');
+    assertNumber(rate, 'rate');
+    const cashflows = [];
+    for (let i = 1; i < schedule.length; i++) {
+        cashflows.push({
+            t: irDateToTime(valuationDate, schedule[i]),
+            value: notional * rate * irYearFraction(schedule[i-1], schedule[i], dayCount)
+        });
+    }
+    return cashflows;
+}
+
+/**
+ * Creates floating rate cashflows for the accrual periods of a date schedule (see {@link irDateSchedule}),
+ * with accrual year fractions according to {@link dayCount} and fixing / payment times relative to {@link valuationDate}.
+ * 
+ * @param {Date} valuationDate date corresponding to time 0
+ * @param {Array<Date>} schedule start date followed by payment dates
+ * @param {number} notional notional amount
+ * @param {string} dayCount day count convention for accrual, see {@link irDayCount}
+ * @returns {Array<FloatingCashflow>}
+ */
+export function irDateFloatingCashflows(valuationDate, schedule, notional, dayCount) {
+    assertNonEmptyArray(schedule, 'schedule');
+    assertNumber(notional, 'notional');
+    const cashflows = [];
+    for (let i = 1; i < schedule.length; i++) {
+        cashflows.push({
+            t: irDateToTime(valuationDate, schedule[i-1]),
+            T: irDateToTime(valuationDate, schedule[i]),
+            notional: notional,
+            yearFraction: irYearFraction(schedule[i-1], schedule[i], dayCount)
+        });
+    }
+    return cashflows;
+}
+
+/**
+ * Compounding conventions of interest rates. Besides `continuous` and `simple` (money market)
+ * compounding, periodic compounding is specified by the number of compounding periods per year,
+ * e.g. {@link irFrequency}.semiannually for semi-annually compounded (street convention) bond yields.
+ */
+export const irCompounding = {
+    continuous: 'continuous',
+    simple: 'simple'
+};
+
+/*
+ * Calculates the discount factor for rate and time t as well as its first and second derivative by rate.
+ */
+function compoundedDiscountFactor(rate, t, compounding) {
+    if (compounding === irCompounding.continuous) {
+        const df = Math.exp(-rate * t);
+        return [df, -t * df, t**2 * df];
+    }
+    const base = compounding === irCompounding.simple ? 1 + rate * t : 1 + rate / compounding;
+    if (!(base > 0)) {
+        throw new InputError(`rate ${rate} is not feasible for compounding ${compounding} at t=${t}`, 'rate', rate, errorCode.outOfRange);
+    }
+    if (compounding === irCompounding.simple) {
+        const df = 1 / base;
+        return [df, -t * df**2, 2 * t**2 * df**3];
+    }
+    const df = base**(-compounding * t);
+    return [df, -t * df / base, t * (t + 1 / compounding) * df / base**2];
+}
+
+/**
+ * Calculates the discount factor for a rate with the given compounding convention.
+ * 
+ * @param {number} rate interest rate
+ * @param {number} t time (typically expressed in years)
+ * @param {string|number} [compounding=irCompounding.continuous] compounding convention of rate, see {@link irCompounding}
+ * @returns {number} discount factor at time t
+ */
+export function irDiscountFactorFromRate(rate, t, compounding) {
+    if (typeof compounding === 'undefined') {
+        compounding = irCompounding.continuous;
+    }
+    assertNumber(rate, 'rate');
+    assertNumber(t, 't');
+    assertCompounding(compounding, 'compounding');
+    return compoundedDiscountFactor(rate, t, compounding)[0];
+}
+
+/**
+ * Calculates the rate with the given compounding convention for a discount factor,
+ * i.e. the inverse of {@link irDiscountFactorFromRate}.
+ * 
+ * @param {number} discountFactor discount factor at time t
+ * @param {number} t time (typically expressed in years), must not be zero
+ * @param {string|number} [compounding=irCompounding.continuous] compounding convention of the rate, see {@link irCompounding}
+ * @returns {number} interest rate
+ */
+export function irRateFromDiscountFactor(discountFactor, t, compounding) {
+    if (typeof compounding === 'undefined') {
+        compounding = irCompounding.continuous;
+    }
+    assertStrictlyPositive(discountFactor, 'discountFactor');
+    assertNumber(t, 't');
+    if (t === 0) {
+        throw new InputError('t must not be zero for rate calculation', 't', t, errorCode.outOfRange);
+    }
+    assertCompounding(compounding, 'compounding');
+    if (compounding === irCompounding.continuous) {
+        return -Math.log(discountFactor) / t;
+    } else if (compounding === irCompounding.simple) {
+        return (1 / discountFactor - 1) / t;
+    }
+    return compounding * (discountFactor**(-1 / (compounding * t)) - 1);
+}
+
+/**
+ * Converts a rate between compounding conventions such that both rates yield the same
+ * discount factor at time t.
+ * 
+ * @param {number} rate interest rate with compounding convention {@link fromCompounding}
+ * @param {number} t time (typically expressed in years), must not be zero
+ * @param {string|number} fromCompounding compounding convention of rate, see {@link irCompounding}
+ * @param {string|number} toCompounding compounding convention of the result, see {@link irCompounding}
+ * @returns {number} equivalent interest rate with compounding convention {@link toCompounding}
+ */
+export function irConvertRate(rate, t, fromCompounding, toCompounding) {
+    assertCompounding(fromCompounding, 'fromCompounding');
+    assertCompounding(toCompounding, 'toCompounding');
+    return irRateFromDiscountFactor(irDiscountFactorFromRate(rate, t, fromCompounding), t, toCompounding);
+}
+
+/**
+ * Creates a {@link DiscountCurve} discounting with the constant {@link flatRate}.
+ * 
+ * @param {number} flatRate 
+ * @param {string|number} [compounding=irCompounding.continuous] compounding convention of flatRate, see {@link irCompounding}
+ * @returns {DiscountCurve}
+ */
+export function irFlatDiscountCurve(flatRate, compounding) {
+    if (typeof compounding === 'undefined') {
+        compounding = irCompounding.continuous;
+    }
+    assertNumber(flatRate, 'flatRate');
+    assertCompounding(compounding, 'compounding');
+    return (t) => {
+        assertNumber(t, 't');
+        return compoundedDiscountFactor(flatRate, t, compounding)[0];
+    };
+}
+
+/**
+ * Extrapolation methods of interpolated spot curves beyond their first and last spot rates.
+ * `flat` keeps the spot rate constant, `linear` continues the spot rate with the slope
+ * at the first / last spot rate and `flatForward` keeps the instantaneous forward rate
+ * constant after the last spot rate (and the spot rate constant before the first one).
+ */
+export const irExtrapolation = {
+    flat: 'flat',
+    linear: 'linear',
+    flatForward: 'flatForward'
+};
+
+/*
+ * Creates a SpotCurve from sorted spot rates, using interpolation.rate(t) between
+ * interpolation.start (defaults to the first time) and the last time and extrapolating
+ * beyond using interpolation.leftSlope and interpolation.rightSlope (derivatives of
+ * the spot rate at both ends).
+ */
+function interpolatedSpotCurve(spotRates, extrapolation, createInterpolation) {
+    if (typeof extrapolation === 'undefined') {
+        extrapolation = irExtrapolation.flat;
+    }
+    if (!Object.values(irExtrapolation).includes(extrapolation)) {
+        throw new InputError(`extrapolation must be one of ${Object.values(irExtrapolation).join(', ')}; got ${extrapolation}`, 'extrapolation', extrapolation);
+    }
+    assertNonEmptyArray(spotRates, 'spotRates');
+    spotRates = [...spotRates]; // do not modify non-local array
+    spotRates.sort((rate1, rate2) => rate1.t - rate2.t);
+    for (const spotRate of spotRates) {
+        assertNumber(spotRate.t, 't');
+        assertNumber(spotRate.rate, 'rate');
+    }
+    for (let i = 1; i < spotRates.length; i++) {
+        if (spotRates[i].t === spotRates[i-1].t) {
+            throw new InputError(`spot rates need to have distinct times; got multiple spot rates for t=${spotRates[i].t}`, 'spotRates', spotRates);
+        }
+    }
+    const ts = spotRates.map(spotRate => spotRate.t),
+        rates = spotRates.map(spotRate => spotRate.rate),
+        last = ts.length - 1,
+        interpolation = ts.length === 1
+            ? {rate: () => rates[0], leftSlope: 0, rightSlope: 0}
+            : createInterpolation(ts, rates),
+        start = typeof interpolation.start === 'undefined' ? ts[0] : interpolation.start,
+        startRate = interpolation.rate(start);
+    return (t) => {
+        assertNumber(t, 't');
+        if (t < start) {
+            return extrapolation === irExtrapolation.linear ? startRate + interpolation.leftSlope * (t - start) : startRate;
+        }
+        if (t <= ts[last]) {
+            return interpolation.rate(t);
+        }
+        switch (extrapolation) {
+        case irExtrapolation.linear:
+            return rates[last] + interpolation.rightSlope * (t - ts[last]);
+        case irExtrapolation.flatForward: {
+            const forward = rates[last] + ts[last] * interpolation.rightSlope;
+            return (rates[last] * ts[last] + forward * (t - ts[last])) / t;
+        }
+        default:
+            return rates[last];
+        }
+    };
+}
+
+/*
+ * Finds the index i >= 1 of the interval [ts[i-1], ts[i]) containing t
+ * (the last interval is closed on the right).
+ */
+function findInterval(ts, t) {
+    let lo = 1,
+        hi = ts.length - 1;
+    while (lo < hi) {
+        const mid = Math.floor((lo + hi) / 2);
+        if (t < ts[mid]) {
+            hi = mid;
+        } else {
+            lo = mid + 1;
+        }
+    }
+    return lo;
+}
+
+/**
+ * Creates a {@link SpotCurve} by linearly interpolating the given points in time.
+ * Extrapolation in both directions is constant by default.
+ * 
+ * @param {Array<SpotRate>} spotRates individual spot rates used for interpolation; will be sorted automatically
+ * @param {string} [extrapolation=irExtrapolation.flat] extrapolation method, see {@link irExtrapolation}
+ * @returns {SpotCurve}
+ */
+export function irLinearInterpolationSpotCurve(spotRates, extrapolation) {
+    return interpolatedSpotCurve(spotRates, extrapolation, (ts, rates) => {
+        const slope = i => (rates[i] - rates[i-1]) / (ts[i] - ts[i-1]);
+        return {
+            rate: t => {
+                const i = findInterval(ts, t);
+                return rates[i-1] + slope(i) * (t - ts[i-1]);
+            },
+            leftSlope: slope(1),
+            rightSlope: slope(ts.length - 1)
+        };
+    });
+}
+
+/**
+ * Creates a {@link SpotCurve} with log-linear interpolation of discount factors between the given points
+ * in time, i.e. with piecewise constant (flat) instantaneous forward rates.
+ * 
+ * @param {Array<SpotRate>} spotRates individual spot rates used for interpolation; will be sorted automatically
+ * @param {string} [extrapolation=irExtrapolation.flat] extrapolation method, see {@link irExtrapolation}
+ * @returns {SpotCurve}
+ */
+export function irFlatForwardSpotCurve(spotRates, extrapolation) {
+    return interpolatedSpotCurve(spotRates, extrapolation, (ts, rates) => {
+        const forward = i => (rates[i] * ts[i] - rates[i-1] * ts[i-1]) / (ts[i] - ts[i-1]),
+            last = ts.length - 1;
+        return {
+            rate: t => {
+                const i = findInterval(ts, t);
+                if (t === ts[i-1]) {
+                    return rates[i-1];
+                }
+                return (rates[i-1] * ts[i-1] + forward(i) * (t - ts[i-1])) / t;
+            },
+            leftSlope: ts[0] === 0 ? 0 : (forward(1) - rates[0]) / ts[0],
+            rightSlope: (forward(last) - rates[last]) / ts[last]
+        };
+    });
+}
+
+/*
+ * Evaluates the cubic Hermite polynomial on [t0, t1] with values y0, y1 and derivatives m0, m1 at t.
+ */
+function cubicHermite(t, t0, t1, y0, y1, m0, m1) {
+    const h = t1 - t0,
+        x = (t - t0) / h,
+        x2 = x * x,
+        x3 = x2 * x;
+    return (2*x3 - 3*x2 + 1) * y0 + (x3 - 2*x2 + x) * h * m0 + (-2*x3 + 3*x2) * y1 + (x3 - x2) * h * m1;
+}
+
+/**
+ * Creates a {@link SpotCurve} by interpolating the given points in time with a natural cubic spline
+ * on spot rates, i.e. a twice continuously differentiable curve with vanishing second derivative at both ends.
+ * 
+ * @param {Array<SpotRate>} spotRates individual spot rates used for interpolation; will be sorted automatically
+ * @param {string} [extrapolation=irExtrapolation.flat] extrapolation method, see {@link irExtrapolation}
+ * @returns {SpotCurve}
+ */
+export function irNaturalCubicSplineSpotCurve(spotRates, extrapolation) {
+    return interpolatedSpotCurve(spotRates, extrapolation, (ts, rates) => {
+        const spline = naturalCubicSpline(ts, rates);
+        return {rate: spline.value, leftSlope: spline.slope(ts[0]), rightSlope: spline.slope(ts[ts.length - 1])};
+    });
+}
+
+/*
+ * Natural cubic spline through sorted, distinct points (xs, ys) with at least two points, returning
+ * its value, first and second derivative for x in [xs[0], xs[n]].
+ */
+function naturalCubicSpline(xs, ys) {
+    const n = xs.length - 1,
+        h = [],
+        M = new Array(n + 1).fill(0),
+        diagonal = new Array(n + 1).fill(0),
+        rhs = new Array(n + 1).fill(0);
+    for (let i = 0; i < n; i++) {
+        h.push(xs[i+1] - xs[i]);
+    }
+    // tridiagonal system for second derivatives, solved by Thomas algorithm
+    for (let i = 1; i < n; i++) {
+        diagonal[i] = 2 * (h[i-1] + h[i]);
+        rhs[i] = 6 * ((ys[i+1] - ys[i]) / h[i] - (ys[i] - ys[i-1]) / h[i-1]);
+    }
+    for (let i = 2; i < n; i++) {
+        const factor = h[i-1] / diagonal[i-1];
+        diagonal[i] -= factor * h[i-1];
+        rhs[i] -= factor * rhs[i-1];
+    }
+    for (let i = n - 1; i >= 1; i--) {
+        M[i] = (rhs[i] - h[i] * M[i+1]) / diagonal[i];
+    }
+    const segment = x => {
+        const i = findInterval(xs, x);
+        return {i: i, a: xs[i] - x, b: x - xs[i-1], hi: h[i-1]};
+    };
+    return {
+        value: x => {
+            const {i, a, b, hi} = segment(x);
+            return M[i-1] * a**3 / (6 * hi) + M[i] * b**3 / (6 * hi)
+                + (ys[i-1] / hi - M[i-1] * hi / 6) * a + (ys[i] / hi - M[i] * hi / 6) * b;
+        },
+        slope: x => {
+            const {i, a, b, hi} = segment(x);
+            return -M[i-1] * a**2 / (2 * hi) + M[i] * b**2 / (2 * hi)
+                + (ys[i] - ys[i-1]) / hi - (M[i] - M[i-1]) * hi / 6;
+        },
+        curvature: x => {
+            const {i, a, b, hi} = segment(x);
+            return (M[i-1] * a + M[i] * b) / hi;
+        }
+    };
+}
+
+/**
+ * Creates a {@link SpotCurve} by interpolating the given points in time with a monotone cubic spline
+ * on spot rates, i.e. a continuously differentiable curve without overshooting between monotone points.
+ * 
+ * See F. N. Fritsch and R. E. Carlson, [Monotone Piecewise Cubic Interpolation](https://doi.org/10.1137/0717021),
+ * SIAM Journal on Numerical Analysis, Vol. 17, No. 2 (1980), pp. 238-246.
+ * 
+ * @param {Array<SpotRate>} spotRates individual spot rates used for interpolation; will be sorted automatically
+ * @param {string} [extrapolation=irExtrapolation.flat] extrapolation method, see {@link irExtrapolation}
+ * @returns {SpotCurve}
+ */
+export function irMonotoneCubicSplineSpotCurve(spotRates, extrapolation) {
+    return interpolatedSpotCurve(spotRates, extrapolation, (ts, rates) => {
+        const n = ts.length - 1,
+            secants = [],
+            m = new Array(n + 1).fill(0);
+        for (let i = 0; i < n; i++) {
+            secants.push((rates[i+1] - rates[i]) / (ts[i+1] - ts[i]));
+        }
+        m[0] = secants[0];
+        m[n] = secants[n-1];
+        for (let i = 1; i < n; i++) {
+            m[i] = secants[i-1] * secants[i] > 0 ? (secants[i-1] + secants[i]) / 2 : 0;
+        }
+        for (let i = 0; i < n; i++) {
+            if (secants[i] === 0) {
+                m[i] = 0;
+                m[i+1] = 0;
+                continue;
+            }
+            const alpha = m[i] / secants[i],
+                beta = m[i+1] / secants[i],
+                norm = alpha**2 + beta**2;
+            if (norm > 9) {
+                const tau = 3 / Math.sqrt(norm);
+                m[i] = tau * alpha * secants[i];
+                m[i+1] = tau * beta * secants[i];
+            }
+        }
+        return {
+            rate: t => {
+                const i = findInterval(ts, t);
+                return cubicHermite(t, ts[i-1], ts[i], rates[i-1], rates[i], m[i-1], m[i]);
+            },
+            leftSlope: m[0],
+            rightSlope: m[n]
+        };
+    });
+}
+
+/*
+ * Integral from 0 to x of the monotone convex forward adjustment g given g(0) = g0 and g(1) = g1,
+ * see Hagan and West (2006), section 3.
+ */
+function monotoneConvexIntegral(x, g0, g1) {
+    if (g0 === 0 && g1 === 0) {
+        return 0;
+    }
+    if ((g0 < 0 && -0.5 * g0 <= g1 && g1 <= -2 * g0) || (g0 > 0 && -0.5 * g0 >= g1 && g1 >= -2 * g0)) {
+        // zone (i)
+        return g0 * (x - 2 * x**2 + x**3) + g1 * (x**3 - x**2);
+    }
+    if ((g0 < 0 && g1 > -2 * g0) || (g0 > 0 && g1 < -2 * g0)) {
+        // zone (ii)
+        const eta = (g1 + 2 * g0) / (g1 - g0);
+        return x <= eta ? g0 * x : g0 * x + (g1 - g0) * (x - eta)**3 / (1 - eta)**2 / 3;
+    }
+    if ((g0 > 0 && g1 < 0 && g1 > -0.5 * g0) || (g0 < 0 && g1 > 0 && g1 < -0.5 * g0)) {
+        // zone (iii)
+        const eta = 3 * g1 / (g1 - g0);
+        return x < eta ? g1 * x - (g0 - g1) * ((eta - x)**3 / eta**2 - eta) / 3 : g1 * x + (g0 - g1) * eta / 3;
+    }
+    // zone (iv)
+    const eta = g1 / (g1 + g0),
+        A = -g0 * g1 / (g0 + g1);
+    return x <= eta ? A * x - (g0 - A) * ((eta - x)**3 / eta**2 - eta) / 3
+        : A * x + (g0 - A) * eta / 3 + (g1 - A) * (x - eta)**3 / (1 - eta)**2 / 3;
+}
+
+/**
+ * Creates a {@link SpotCurve} with monotone convex interpolation of instantaneous forward rates,
+ * i.e. with continuous forward rates that preserve the discrete forward rates between the given
+ * points in time and do not introduce spurious oscillations. Interpolation starts at time 0,
+ * all points in time need to be positive. Positivity of forward rates is not enforced.
+ * 
+ * See Patrick S. Hagan and Graeme West, [Interpolation Methods for Curve Construction](https://doi.org/10.1080/13504860500396032),
+ * Applied Mathematical Finance, Vol. 13, No. 2 (2006), pp. 89-129.
+ * 
+ * @param {Array<SpotRate>} spotRates individual spot rates used for interpolation; will be sorted automatically
+ * @param {string} [extrapolation=irExtrapolation.flat] extrapolation method, see {@link irExtrapolation}
+ * @returns {SpotCurve}
+ */
+export function irMonotoneConvexSpotCurve(spotRates, extrapolation) {
+    assertNonEmptyArray(spotRates, 'spotRates');
+    for (const spotRate of spotRates) {
+        assertStrictlyPositive(spotRate.t, 't');
+    }
+    return interpolatedSpotCurve(spotRates, extrapolation, (pillarTs, pillarRates) => {
+        const ts = [0, ...pillarTs],
+            n = pillarTs.length,
+            integrals = [0, ...pillarTs.map((t, i) => t * pillarRates[i])],
+            discreteForwards = [NaN],
+            forwards = new Array(n + 1).fill(0);
+        for (let i = 1; i <= n; i++) {
+            discreteForwards.push((integrals[i] - integrals[i-1]) / (ts[i] - ts[i-1]));
+        }
+        for (let i = 1; i < n; i++) {
+            forwards[i] = ((ts[i] - ts[i-1]) * discreteForwards[i+1] + (ts[i+1] - ts[i]) * discreteForwards[i])
+                / (ts[i+1] - ts[i-1]);
+        }
+        forwards[0] = discreteForwards[1] - 0.5 * (forwards[1] - discreteForwards[1]);
+        forwards[n] = discreteForwards[n] - 0.5 * (forwards[n-1] - discreteForwards[n]);
+        return {
+            start: 0,
+            rate: t => {
+                if (t === 0) {
+                    return forwards[0];
+                }
+                const i = findInterval(ts, t),
+                    h = ts[i] - ts[i-1],
+                    x = (t - ts[i-1]) / h,
+                    g0 = forwards[i-1] - discreteForwards[i],
+                    g1 = forwards[i] - discreteForwards[i];
+                if (x === 0 || x === 1) {
+                    return x === 0 ? pillarRates[i-2] : pillarRates[i-1];
+                }
+                return (integrals[i-1] + discreteForwards[i] * (t - ts[i-1]) + h * monotoneConvexIntegral(x, g0, g1)) / t;
+            },
+            leftSlope: 0,
+            rightSlope: (forwards[n] - pillarRates[n-1]) / pillarTs[n-1]
+        };
+    });
+}
+
+/**
+ * Turns a {@link SpotCurve} into a {@link DiscountCurve}.
+ * Inverse of {@link irDiscountCurve2SpotCurve}.
+ * 
+ * @param {SpotCurve} spotCurve spot rate curve to be converted
+ * @returns {DiscountCurve}
+ */
+export function irSpotCurve2DiscountCurve(spotCurve) {
+    assertDefined(spotCurve, 'spotCurve');
+    return (t) => {
+        assertNumber(t, 't');
+        return Math.exp(-spotCurve(t) * t);
+    };
+}
+
+const irDiscountCurveConversionTimeCutoff = 1e-8;
+
+/**
+ * Turns a {@link DiscountCurve} into a {@link SpotCurve}.
+ * Inverse of {@link irSpotCurve2DiscountCurve}.
+ * 
+ * @param {DiscountCurve} discountCurve discount curve to be converted
+ * @returns {SpotCurve}
+ */
+export function irDiscountCurve2SpotCurve(discountCurve) {
+    assertDefined(discountCurve, 'discountCurve');
+    return (t) => {
+        assertNumber(t, 't');
+        if (t >= 0 && t <= irDiscountCurveConversionTimeCutoff) {
+            t = irDiscountCurveConversionTimeCutoff;
+        }
+        return -Math.log(discountCurve(t)) / t;
+    };
+}
+
+/**
+ * Calculates the internal rate of return (IRR) of the given series of cashflows,
+ * i.e. the flat discount rate (continuously compounded) for which the total NPV of
+ * the given cashflows is 0. The secant method is used. If no IRR can be found
+ * after {@link maxiter} iteration, a {@link ConvergenceError} is thrown.
+ * Other compounding conventions can be chosen by {@link compounding}.
+ * 
+ * @param {Array<FixedCashflow>} cashflows cashflows for which the IRR is to be calculated
+ * @param {number} [r0=0] first guess for IRR
+ * @param {number} [r1=0.05] second guess for IRR, may not be equal to {@link r0}
+ * @param {number} [abstol=1e-8] absolute tolerance to accept the current rate as solution
+ * @param {number} [maxiter=100] maximum number of secant method iteration after which root finding aborts
+ * @param {string|number} [compounding=irCompounding.continuous] compounding convention of the IRR, see {@link irCompounding}
+ * @returns {number} IRR (continuously compounded by default)
+ */
+export function irInternalRateOfReturn(cashflows, r0=0, r1=0.05, abstol=1e-8, maxiter=100, compounding=irCompounding.continuous) {
+    assertNonEmptyArray(cashflows, 'cashflows');
+    assertNumber(r0, 'r0');
+    assertNumber(r1, 'r1');
+    assertNumber(abstol, 'abstol');
+    assertNumber(maxiter, 'maxiter');
+    if (r0 === r1) {
+        throw new InputError('r0 and r1 initial IRR guesses have to be different', 'r1', r1);
+    }
+    assertCompounding(compounding, 'compounding');
+    const npv = (r) => irForwardPrice(cashflows, irFlatDiscountCurve(r, compounding), 0);
+    let last = r0,
+        current = r1,
+        npv_last = npv(last);
+    for (let i=0; i<=maxiter; i++) {
+        const npv_current = npv(current);
+        if (Math.abs(npv_current) <= abstol) {
+            return current;
+        }
+        const next = current - npv_current * (current - last) / (npv_current - npv_last);
+        last = current;
+        npv_last = npv_current;
+        current = next;
+    }
+    throw new ConvergenceError('maximum number of iterations reached', 'rate', current);
+}
+
+/**
+ * Types of instruments supported by {@link irBootstrapCurve}.
+ */
+export const irCurveInstrumentType = {
+    deposit: 'deposit',
+    fra: 'fra',
+    future: 'future',
+    swap: 'swap'
+};
+
+/**
+  * @typedef {Object} CurveInstrument
+  * @property {string} type instrument type, see {@link irCurveInstrumentType}
+  * @property {number} T maturity of the instrument (end of the deposit / forward period, last swap payment)
+  * @property {number} [t] start of the forward period (FRAs and futures only)
+  * @property {number} [rate] quoted simple rate (deposits and FRAs) or par swap rate (swaps)
+  * @property {number} [price] quoted futures price, i.e. 100 minus the rate in percent (futures only)
+  * @property {number} [convexityAdjustment=0] rate to be subtracted from the futures rate to obtain the forward rate (futures only)
+  * @property {number} [frequency] number of fixed payments per year (swaps only)
+  */
+
+/**
+  * @typedef {Object} BootstrapResult
+  * @property {DiscountCurve} discountCurve calibrated discount curve
+  * @property {SpotCurve} spotCurve calibrated spot curve (continuously compounded)
+  * @property {Array<SpotRate>} pillars calibrated spot rates at the instrument maturities
+  * @property {Array<number>} errors repricing errors (curve implied minus quoted rate) in the order of the given instruments
+  */
+
+const irBootstrapTolerance = 1e-14,
+    irBootstrapAcceptance = 1e-10,
+    irBootstrapMaxIterations = 100;
+
+/*
+ * Returns the quoted rate of the given instrument and a function calculating
+ * the corresponding rate implied by a discount curve.
+ */
+function curveInstrumentRates(instrument) {
+    assertDefined(instrument, 'instrument');
+    assertStrictlyPositive(instrument.T, 'instrument.T');
+    switch (instrument.type) {
+    case irCurveInstrumentType.deposit:
+        assertNumber(instrument.rate, 'instrument.rate');
+        return [instrument.rate, discountCurve => (1 / discountCurve(instrument.T) - 1) / instrument.T];
+    case irCurveInstrumentType.fra:
+    case irCurveInstrumentType.future: {
+        assertNumber(instrument.t, 'instrument.t');
+        if (instrument.t >= instrument.T) {
+            throw new InputError(`start of forward period must be before its end; got t=${instrument.t} and T=${instrument.T}`,
+                'instrument.t', instrument.t, errorCode.outOfRange);
+        }
+        let quote = instrument.rate;
+        if (instrument.type === irCurveInstrumentType.future) {
+            assertNumber(instrument.price, 'instrument.price');
+            const convexityAdjustment = typeof instrument.convexityAdjustment === 'undefined' ? 0 : instrument.convexityAdjustment;
+            assertNumber(convexityAdjustment, 'instrument.convexityAdjustment');
+            quote = (100 - instrument.price) / 100 - convexityAdjustment;
+        }
+        assertNumber(quote, 'instrument.rate');
+        return [quote, discountCurve => irForwardLinearRate(instrument, discountCurve)];
+    }
+    case irCurveInstrumentType.swap: {
+        assertNumber(instrument.rate, 'instrument.rate');
+        const swap = new Swap(1, instrument.rate, 0, instrument.T, instrument.frequency);
+        return [instrument.rate, discountCurve => swap.parRate(discountCurve)];
+    }
+    default:
+        throw new InputError(`instrument.type must be one of ${Object.values(irCurveInstrumentType).join(', ')}; got ${instrument.type}`,
+            'instrument.type', instrument.type);
+    }
+}
+
+/**
+ * Bootstraps a curve from market quotes of deposits, FRAs, futures and par swaps (single curve,
+ * i.e. the same curve is used for forwards and discounting). Each instrument adds a pillar at its
+ * maturity; spot rates are interpolated linearly between pillars (see {@link irLinearInterpolationSpotCurve})
+ * and solved for one pillar after the other with the secant method such that the curve reprices
+ * every instrument to par. Instruments need to have distinct maturities.
+ * 
+ * @param {Array<CurveInstrument>} instruments market instruments to calibrate to; will be sorted by maturity automatically
+ * @returns {BootstrapResult}
+ */
+export function irBootstrapCurve(instruments) {
+    assertNonEmptyArray(instruments, 'instruments');
+    const quotes = instruments.map(curveInstrumentRates),
+        order = instruments.map((instrument, i) => i).sort((i, j) => instruments[i].T - instruments[j].T),
+        pillars = [];
+    for (const i of order) {
+        const T = instruments[i].T,
+            [quote, impliedRate] = quotes[i];
+        if (pillars.length > 0 && pillars[pillars.length - 1].t === T) {
+            throw new InputError(`instruments need to have distinct maturities; got multiple instruments with T=${T}`, 'instruments', instruments);
+        }
+        const error = rate => {
+            const curve = irSpotCurve2DiscountCurve(irLinearInterpolationSpotCurve([...pillars, {t: T, rate: rate}]));
+            return impliedRate(curve) - quote;
+        };
+        const scale = Math.max(1, Math.abs(quote));
+        let last = pillars.length > 0 ? pillars[pillars.length - 1].rate : 0,
+            current = last + 0.01,
+            errorLast = error(last),
+            errorCurrent = error(current);
+        for (let iteration = 0; iteration < irBootstrapMaxIterations; iteration++) {
+            if (Math.abs(errorCurrent) <= irBootstrapTolerance * scale || errorCurrent === errorLast) {
+                break;
+            }
+            const next = current - errorCurrent * (current - last) / (errorCurrent - errorLast);
+            last = current;
+            errorLast = errorCurrent;
+            current = next;
+            errorCurrent = error(current);
+            // the error cannot be reduced further in floating point once the step is negligible
+            if (Math.abs(current - last) <= irBootstrapTolerance * Math.max(1, Math.abs(current))) {
+                break;
+            }
+        }
+        if (!(Math.abs(errorCurrent) <= irBootstrapAcceptance * scale)) {
+            throw new ConvergenceError(`bootstrapping did not converge for instrument with T=${T}`, 'rate', current);
+        }
+        pillars.push({t: T, rate: current});
+    }
+    const spotCurve = irLinearInterpolationSpotCurve(pillars),
+        discountCurve = irSpotCurve2DiscountCurve(spotCurve);
+    return {
+        discountCurve: discountCurve,
+        spotCurve: spotCurve,
+        pillars: pillars,
+        errors: quotes.map(([quote, impliedRate]) => impliedRate(discountCurve) - quote)
+    };
+}
+
+/**
+ * Stub period conventions for bond schedules. Short stubs are (possibly) shorter than
+ * regular periods, long stubs combine a short stub with the adjacent regular period.
+ * Front stubs roll the schedule from end, back stubs roll the schedule from start.
+ */
+export const irStub = {
+    shortFront: 'shortFront',
+    longFront: 'longFront',
+    shortBack: 'shortBack',
+    longBack: 'longBack'
+};
+
+/**
+  * @typedef {Object} CouponStep
+  * @property {number} t time from which on the coupon applies (i.e. for periods starting at or after t)
+  * @property {number} coupon annual coupon relative to notional (i.e. 0.04 for 4%, not a currency amount)
+  */
+
+/*
+ * Creates the payment times of a bond schedule with stub convention stub.
+ */
+function bondSchedule(start, end, frequency, stub) {
+    const period = 1 / frequency;
+    let schedule;
+    if (stub === irStub.shortFront || stub === irStub.longFront) {
+        schedule = irRollFromEnd(start, end, frequency);
+        if (stub === irStub.longFront && schedule.length > 1 && schedule[0] - start < period - irMinimumPeriod) {
+            schedule.shift();
+        }
+    } else {
+        if (start + irMinimumPeriod >= end) {
+            throw new InputError(`start needs to be at least ${irMinimumPeriod} before end, got start=${start} and end=${end}`, 'start', start, errorCode.outOfRange);
+        }
+        schedule = [];
+        const nPayments = Math.ceil(frequency * (end - start));
+        for (let i = 1; i < nPayments; i++) {
+            const t = start + i * period;
+            if (end - t < irMinimumPeriod) {
+                break;
+            }
+            schedule.push(t);
+        }
+        schedule.push(end);
+        if (stub === irStub.longBack && schedule.length > 1 && end - schedule[schedule.length - 2] < period - irMinimumPeriod) {
+            schedule.splice(schedule.length - 2, 1);
+        }
+    }
+    return schedule;
+}
+
+/*
+ * Returns the annual coupon of bond for the period starting at periodStart.
+ */
+function bondCoupon(bond, periodStart) {
+    if (!Array.isArray(bond.coupon)) {
+        return bond.coupon;
+    }
+    let coupon = bond.coupon[0].coupon;
+    for (const step of bond.coupon) {
+        if (step.t <= periodStart) {
+            coupon = step.coupon;
+        }
+    }
+    return coupon;
+}
+
+/*
+ * Returns the interest accrued by bond from from to to at the given annual coupon,
+ * taking into account redemptions of notional in between.
+ */
+function bondAccrual(bond, from, to, coupon) {
+    let outstanding = bond.notional,
+        lastT = from,
+        accrual = 0;
+    for (const redemption of bond.redemptions) {
+        if (redemption.t <= from) {
+            outstanding -= redemption.value;
+        } else if (redemption.t < to) {
+            accrual += outstanding * coupon * (redemption.t - lastT);
+            outstanding -= redemption.value;
+            lastT = redemption.t;
+        }
+    }
+    return accrual + outstanding * coupon * (to - lastT);
+}
+
+/*
+ * Solves for the constant spread s (continuously compounded) for which the sum of the
+ * given discounted cashflows, additionally discounted with exp(-s * t), equals npv.
+ * Newton's method is used.
+ */
+function solveDiscountSpread(discountedCashflows, npv, abstol, maxiter) {
+    let spread = 0;
+    for (let i = 0; i <= maxiter; i++) {
+        let price = 0,
+            derivative = 0;
+        for (const cf of discountedCashflows) {
+            const value = cf.value * Math.exp(-spread * cf.t);
+            price += value;
+            derivative -= cf.t * value;
+        }
+        if (Math.abs(price - npv) <= abstol) {
+            return spread;
+        }
+        spread -= (price - npv) / derivative;
+    }
+    throw new ConvergenceError('maximum number of iterations reached', 'spread', spread);
+}
+
+/*
+ * First and second derivative of the dirty price of bond by its yield, relative to npv.
+ */
+function bondYieldDerivatives(bond, npv, compounding) {
+    if (typeof npv === 'undefined') {
+        npv = bond.notional;
+    }
+    if (typeof compounding === 'undefined') {
+        compounding = irCompounding.continuous;
+    }
+    const y = bond.yieldToMaturity(npv, compounding);
+    let first = 0,
+        second = 0;
+    for (const cf of bond.cashflows) {
+        const [, d1, d2] = compoundedDiscountFactor(y, cf.t, compounding);
+        first += cf.value * d1;
+        second += cf.value * d2;
+    }
+    return [first / npv, second / npv];
+}
+
+/**
+ * Coupon-paying bond with schedule rolled from end by default.
+ * First coupon period is (possibly) shorter than later periods unless specified otherwise by {@link stub}.
+ * Supports step-up / step-down coupons and amortizing notionals (sinking funds).
+ */
+class Bond {
+    /**
+     * Creates an instance of a coupon-paying bond.
+     * 
+     * @param {number} notional initial notional, i.e. reference amount for coupons; repaid at {@link end} unless redeemed before
+     * @param {number|Array<CouponStep>} coupon annual coupon relative to outstanding notional (i.e. 0.04 for 4%, not a currency amount), or coupon steps for step-up / step-down bonds
+     * @param {number} start start time of bond (schedule will be rolled from {@link end} unless specified otherwise by {@link stub})
+     * @param {number} end end time of bond (time of final notional payment)
+     * @param {number} frequency number of payments per year
+     * @param {string} [stub=irStub.shortFront] stub period convention, see {@link irStub}
+     * @param {Array<FixedCashflow>} [redemptions=[]] partial repayments of notional before {@link end} (sinking fund schedule); coupons accrue on the outstanding notional
+     */
+    constructor(notional, coupon, start, end, frequency, stub, redemptions) {
+        if (typeof stub === 'undefined') {
+            stub = irStub.shortFront;
+        }
+        if (typeof redemptions === 'undefined') {
+            redemptions = [];
+        }
+        assertNumber(notional, 'notional');
+        if (Array.isArray(coupon)) {
+            assertNonEmptyArray(coupon, 'coupon');
+            coupon.forEach(step => {
+                assertNumber(step.t, 't');
+                assertNumber(step.coupon, 'coupon');
+            });
+            coupon = [...coupon].sort((step1, step2) => step1.t - step2.t); // do not modify non-local array
+        } else {
+            assertNumber(coupon, 'coupon');
+        }
+        assertNumber(start, 'start');
+        assertNumber(end, 'end');
+        assertFrequency(frequency, 'frequency');
+        if (!Object.values(irStub).includes(stub)) {
+            throw new InputError(`stub must be one of ${Object.values(irStub).join(', ')}; got ${stub}`, 'stub', stub);
+        }
+        if (!Array.isArray(redemptions)) {
+            throw new InputError(`redemptions must be an array; got ${redemptions}`, 'redemptions', redemptions, errorCode.invalidType);
+        }
+        let redeemed = 0;
+        for (const redemption of redemptions) {
+            assertNumber(redemption.value, 'value');
+            assertNumber(redemption.t, 't');
+            if (redemption.t <= start || redemption.t >= end) {
+                throw new InputError(`redemptions must be paid after start and before end; got t=${redemption.t}`,
+                    'redemptions', redemptions, errorCode.outOfRange);
+            }
+            redeemed += redemption.value;
+        }
+        if (Math.abs(redeemed) > Math.abs(notional)) {
+            throw new InputError(`redemptions must not exceed notional ${notional}; got ${redeemed}`, 'redemptions', redemptions, errorCode.outOfRange);
+        }
+        this.notional = notional;
+        this.coupon = coupon;
+        this.start = start;
+        this.end = end;
+        this.frequency = frequency;
+        this.stub = stub;
+        this.redemptions = [...redemptions].sort((redemption1, redemption2) => redemption1.t - redemption2.t);
+    }
+
+    /**
+     * Cashflows of this bond as an array, sorted by time.
+     * Coupons, redemptions and final notional payment are returned separately.
+     * Coupons of zero amount (e.g. for zero bonds) are omitted.
+     * 
+     * @returns {Array<FixedCashflow>}
+     */
+    get cashflows() {
+        const schedule = bondSchedule(this.start, this.end, this.frequency, this.stub);
+        const cashflows = [];
+        let lastT = this.start;
+        for (const t of schedule) {
+            const coupon = bondCoupon(this, lastT);
+            if (coupon !== 0) {
+                cashflows.push({t: t, value: bondAccrual(this, lastT, t, coupon)});
+            }
+            lastT = t;
+        }
+        let outstanding = this.notional;
+        for (const redemption of this.redemptions) {
+            cashflows.push({t: redemption.t, value: redemption.value});
+            outstanding -= redemption.value;
+        }
+        cashflows.push({t: this.end, value: outstanding});
+        return cashflows.sort((cf1, cf2) => cf1.t - cf2.t);
+    }
+
+    /**
+     * Calculates the forward price (dirty, i.e. including accrued interest) at time {@link t} for this bond.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
+     * @param {number} t time for which the forward dirty price is to be calculated
+     * @returns {number}
+     */
+    forwardDirtyPrice(discountCurve, t) {
+        return irForwardPrice(this.cashflows, discountCurve, t);
+    }
+
+    /**
+     * Calculates the current price (dirty, i.e. including accrued interest) for this bond.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
+     * @returns {number}
+     */
+    dirtyPrice(discountCurve) {
+        return this.forwardDirtyPrice(discountCurve, 0);
+    }
+
+    /**
+     * Calculates the bond yield given {@link npv}, i.e the flat discount rate
+     * (continuously compounded by default) for which the dirty price of the bond equals {@link npv}.
+     * 
+     * @param {number} [npv=this.notional] present value of the bond for yield calculation, defaults to 100% (i.e. notional)
+     * @param {string|number} [compounding=irCompounding.continuous] compounding convention of the yield, see {@link irCompounding}
+     * @returns {number} bond yield given npv
+     */
+    yieldToMaturity(npv, compounding) {
+        if (typeof npv === 'undefined') {
+            npv = this.notional;
+        }
+        if (typeof compounding === 'undefined') {
+            compounding = irCompounding.continuous;
+        }
+        assertNumber(npv, 'npv');
+        const cashflows = [...this.cashflows];
+        cashflows.unshift({t: 0, value: -npv});
+        return irInternalRateOfReturn(cashflows, undefined, undefined, undefined, undefined, compounding);
+    }
+
+    /**
+     * Calculates the bond (Macaulay) duration given npv. There is no difference between Macaulay duration
+     * and {@link modifiedDuration} for continuously compounded yields (the default).
+     * 
+     * @param {number} [npv=this.notional] present value of the bond for yield calculation, defaults to 100% (i.e. notional)
+     * @param {string|number} [compounding=irCompounding.continuous] compounding convention of the yield, see {@link irCompounding}
+     * @returns {number} bond duration given npv
+     */
+    duration(npv, compounding) {
+        if (typeof npv === 'undefined') {
+            npv = this.notional;
+        }
+        if (typeof compounding === 'undefined') {
+            compounding = irCompounding.continuous;
+        }
+        const y = this.yieldToMaturity(npv, compounding);
+        var time_weighted_cfs = 0;
+        for (const cf of this.cashflows) {
+            time_weighted_cfs += cf.t * cf.value * compoundedDiscountFactor(y, cf.t, compounding)[0];
+        }
+        return time_weighted_cfs / npv;
+    }
+
+    /**
+     * Calculates the interest accrued at time {@link t} since the last coupon payment
+     * (or the start of the bond). Accrued interest is zero on coupon payment dates
+     * and outside of the lifetime of the bond.
+     * 
+     * @param {number} [t=0] valuation time (typically expressed in years)
+     * @returns {number} accrued interest
+     */
+    accruedInterest(t) {
+        if (typeof t === 'undefined') {
+            t = 0;
+        }
+        assertNumber(t, 't');
+        if (t <= this.start || t >= this.end) {
+            return 0;
+        }
+        let lastT = this.start;
+        for (const T of bondSchedule(this.start, this.end, this.frequency, this.stub)) {
+            if (t < T) {
+                return bondAccrual(this, lastT, t, bondCoupon(this, lastT));
+            }
+            lastT = T;
+        }
+        return 0;
+    }
+
+    /**
+     * Calculates the forward price (clean, i.e. excluding accrued interest) at time {@link t} for this bond.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
+     * @param {number} [t=0] time for which the clean price is to be calculated
+     * @returns {number}
+     */
+    cleanPrice(discountCurve, t) {
+        if (typeof t === 'undefined') {
+            t = 0;
+        }
+        return this.forwardDirtyPrice(discountCurve, t) - this.accruedInterest(t);
+    }
+
+    /**
+     * Calculates the current price (dirty) for this bond given its yield, i.e. the inverse of {@link yieldToMaturity}.
+     * 
+     * @param {number} bondYield bond yield
+     * @param {string|number} [compounding=irCompounding.continuous] compounding convention of the yield, see {@link irCompounding}
+     * @returns {number} dirty price
+     */
+    priceFromYield(bondYield, compounding) {
+        assertNumber(bondYield, 'bondYield');
+        return irForwardPrice(this.cashflows, irFlatDiscountCurve(bondYield, compounding), 0);
+    }
+
+    /**
+     * Calculates the modified duration given npv, i.e. the negative relative sensitivity
+     * of the dirty price with respect to the bond yield. For continuously compounded
+     * yields (the default), modified duration equals {@link duration} (Macaulay duration).
+     * 
+     * @param {number} [npv=this.notional] present value of the bond for yield calculation, defaults to 100% (i.e. notional)
+     * @param {string|number} [compounding=irCompounding.continuous] compounding convention of the yield, see {@link irCompounding}
+     * @returns {number} modified duration given npv
+     */
+    modifiedDuration(npv, compounding) {
+        return -bondYieldDerivatives(this, npv, compounding)[0];
+    }
+
+    /**
+     * Calculates the convexity given npv, i.e. the second derivative of the dirty price
+     * with respect to the bond yield relative to the dirty price.
+     * 
+     * @param {number} [npv=this.notional] present value of the bond for yield calculation, defaults to 100% (i.e. notional)
+     * @param {string|number} [compounding=irCompounding.continuous] compounding convention of the yield, see {@link irCompounding}
+     * @returns {number} convexity given npv
+     */
+    convexity(npv, compounding) {
+        return bondYieldDerivatives(this, npv, compounding)[1];
+    }
+
+    /**
+     * Calculates the dollar value of a basis point (DV01, also PVBP) given npv, i.e. the
+     * (first order) increase of the dirty price for a decrease of the bond yield by 0.0001.
+     * 
+     * @param {number} [npv=this.notional] present value of the bond for yield calculation, defaults to 100% (i.e. notional)
+     * @param {string|number} [compounding=irCompounding.continuous] compounding convention of the yield, see {@link irCompounding}
+     * @returns {number} DV01 given npv
+     */
+    dv01(npv, compounding) {
+        if (typeof npv === 'undefined') {
+            npv = this.notional;
+        }
+        return this.modifiedDuration(npv, compounding) * npv * 0.0001;
+    }
+
+    /**
+     * Calculates the z-spread given npv, i.e. the constant spread (continuously compounded)
+     * over the spot rates of {@link discountCurve} for which the dirty price of the bond equals {@link npv}.
+     * Newton's method is used; if no z-spread can be found after {@link maxiter} iterations, a {@link ConvergenceError} is thrown.
+     * 
+     * @param {number} npv present value (dirty price) of the bond
+     * @param {DiscountCurve} discountCurve discount curve the spread refers to
+     * @param {number} [abstol=1e-10] absolute tolerance of the price to accept the current spread as solution
+     * @param {number} [maxiter=100] maximum number of iterations after which root finding aborts
+     * @returns {number} z-spread
+     */
+    zSpread(npv, discountCurve, abstol=1e-10, maxiter=100) {
+        assertNumber(npv, 'npv');
+        assertDefined(discountCurve, 'discountCurve');
+        const discountedCashflows = this.cashflows.filter(cf => cf.t >= 0)
+            .map(cf => ({t: cf.t, value: cf.value * discountCurve(cf.t)}));
+        return solveDiscountSpread(discountedCashflows, npv, abstol, maxiter);
+    }
+}
+
+/*
+ * Returns the accrual periods {t, T} of a schedule rolled from end.
+ */
+function accrualPeriods(start, end, frequency) {
+    const schedule = irRollFromEnd(start, end, frequency);
+    const periods = [];
+    let lastT = start;
+    for (const T of schedule) {
+        periods.push({t: lastT, T: T});
+        lastT = T;
+    }
+    return periods;
+}
+
+/**
+ * Plain vanilla interest rate swap exchanging fixed against floating payments,
+ * both schedules rolled from end. Values are given from the perspective of the
+ * payer of the fixed rate (payer swap); use a negative notional for receiver swaps.
+ * Forward-starting swaps are obtained by choosing {@link start} in the future.
+ */
+class Swap {
+    /**
+     * Creates an instance of an interest rate swap.
+     * 
+     * @param {number} notional notional amount both legs refer to
+     * @param {number} fixedRate annual fixed rate (i.e. 0.04 for 4%, not a currency amount)
+     * @param {number} start start time of swap (schedules will be rolled from {@link end})
+     * @param {number} end end time of swap (time of last payments)
+     * @param {number} fixedFrequency number of fixed payments per year
+     * @param {number} [floatingFrequency=fixedFrequency] number of floating payments per year
+     */
+    constructor(notional, fixedRate, start, end, fixedFrequency, floatingFrequency) {
+        if (typeof floatingFrequency === 'undefined') {
+            floatingFrequency = fixedFrequency;
+        }
+        assertNumber(notional, 'notional');
+        assertNumber(fixedRate, 'fixedRate');
+        assertNumber(start, 'start');
+        assertNumber(end, 'end');
+        assertFrequency(fixedFrequency, 'fixedFrequency');
+        assertFrequency(floatingFrequency, 'floatingFrequency');
+        this.notional = notional;
+        this.fixedRate = fixedRate;
+        this.start = start;
+        this.end = end;
+        this.fixedFrequency = fixedFrequency;
+        this.floatingFrequency = floatingFrequency;
+    }
+
+    /**
+     * Cashflows of the fixed leg of this swap as an array.
+     * 
+     * @returns {Array<FixedCashflow>}
+     */
+    get fixedLegCashflows() {
+        return accrualPeriods(this.start, this.end, this.fixedFrequency).map(period => ({
+            t: period.T,
+            value: this.notional * this.fixedRate * (period.T - period.t)
+        }));
+    }
+
+    /**
+     * Cashflows of the floating leg of this swap as an array.
+     * 
+     * @returns {Array<FloatingCashflow>}
+     */
+    get floatingLegCashflows() {
+        return accrualPeriods(this.start, this.end, this.floatingFrequency).map(period => ({
+            t: period.t,
+            T: period.T,
+            notional: this.notional
+        }));
+    }
+
+    /**
+     * Calculates the forward annuity at time {@link t} of the fixed leg, i.e. the sum
+     * of fixed leg yearfractions weighted by (forward) discount factors, per unit of notional.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting)
+     * @param {number} [t=0] time point of the forward (typically expressed in years)
+     * @returns {number}
+     */
+    annuity(discountCurve, t) {
+        if (typeof t === 'undefined') {
+            t = 0;
+        }
+        const cashflows = accrualPeriods(this.start, this.end, this.fixedFrequency).map(period => ({
+            t: period.T,
+            value: period.T - period.t
+        }));
+        return irForwardPrice(cashflows, discountCurve, t);
+    }
+
+    /**
+     * Calculates the present value of one basis point (PV01), i.e. the change
+     * in value of the fixed leg for a change of the fixed rate by 0.0001.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting)
+     * @returns {number}
+     */
+    pv01(discountCurve) {
+        return this.notional * this.annuity(discountCurve) * 0.0001;
+    }
+
+    /**
+     * Calculates the forward price at time {@link t} of the fixed leg.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting)
+     * @param {number} [t=0] time point of the forward (typically expressed in years)
+     * @returns {number}
+     */
+    fixedLegPrice(discountCurve, t) {
+        if (typeof t === 'undefined') {
+            t = 0;
+        }
+        return irForwardPrice(this.fixedLegCashflows, discountCurve, t);
+    }
+
+    /**
+     * Calculates the forward price at time {@link t} of the floating leg.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
+     * @param {number} [t=0] time point of the forward (typically expressed in years)
+     * @returns {number}
+     */
+    floatingLegPrice(discountCurve, t) {
+        if (typeof t === 'undefined') {
+            t = 0;
+        }
+        return irForwardPrice(this.floatingLegCashflows, discountCurve, t);
+    }
+
+    /**
+     * Calculates the forward price at time {@link t} of this swap, i.e. floating leg minus fixed leg.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
+     * @param {number} t time point of the forward (typically expressed in years)
+     * @returns {number}
+     */
+    forwardPrice(discountCurve, t) {
+        return this.floatingLegPrice(discountCurve, t) - this.fixedLegPrice(discountCurve, t);
+    }
+
+    /**
+     * Calculates the current price (present value) of this swap.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
+     * @returns {number}
+     */
+    price(discountCurve) {
+        return this.forwardPrice(discountCurve, 0);
+    }
+
+    /**
+     * Calculates the par swap rate, i.e. the fixed rate for which this swap has value 0.
+     * For swaps starting in the future, this is the forward swap rate.
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
+     * @returns {number}
+     */
+    parRate(discountCurve) {
+        if (this.notional === 0) {
+            throw new InputError('par rate is undefined for swaps with zero notional', 'notional', this.notional, errorCode.outOfRange);
+        }
+        return this.floatingLegPrice(discountCurve) / (this.notional * this.annuity(discountCurve));
+    }
+}
+
+/**
+ * @typedef {Object} CapFloorPricingResult
+ * @property {number} cap price of the cap, i.e. the sum of all caplet prices
+ * @property {number} floor price of the floor, i.e. the sum of all floorlet prices
+ * @property {Array<PricingResult>} caplets pricing results of the individual caplets (`call`) and floorlets (`put`)
  */
-export const irMinimumPeriod = 1 / 1000;
 
 /**
- * Creates a payment schedule with payment frequency {@link frequency}
- * that has last payment at {@link end} and no payments before {@link start}.
- * First payment period is (possibly) shorter than later periods.
- * 
- * @param {number} start start time of schedule (usually expressed in years)
- * @param {number} end end time of schedule (usually expressed in years)
- * @param {number} frequency number of payments per time unit (usually per year)
- * @returns {Array<number>} payment times
+ * Interest rate cap / floor with caplet schedule rolled from end, priced with {@link irBlack76CapletFloorlet}.
+ * First caplet period is (possibly) shorter than later periods.
  */
-export function irRollFromEnd(start, end, frequency) {
-    assertNumber(start, 'start');
-    assertNumber(end, 'end');
-    if (start + irMinimumPeriod >= end) {
-        throw `start needs to be at least ${irMinimumPeriod} before end, got start=${start} and end=${end}`;
+class CapFloor {
+    /**
+     * Creates an instance of a cap / floor.
+     * 
+     * @param {number} notional notional amount the floating rates refer to
+     * @param {number} strike annual strike rate (i.e. 0.04 for 4%, not a currency amount)
+     * @param {number} start start time of the cap / floor (schedule will be rolled from {@link end})
+     * @param {number} end end time of the cap / floor (payment time of the last caplet)
+     * @param {number} frequency number of caplets per year
+     */
+    constructor(notional, strike, start, end, frequency) {
+        assertNumber(notional, 'notional');
+        assertNumber(strike, 'strike');
+        assertNumber(start, 'start');
+        assertNumber(end, 'end');
+        assertFrequency(frequency, 'frequency');
+        this.notional = notional;
+        this.strike = strike;
+        this.start = start;
+        this.end = end;
+        this.frequency = frequency;
     }
-    assertFrequency(frequency, 'frequency');
-    const schedule = [],
-        yearfraction = 1 / frequency,
-        nPayments = Math.ceil(frequency * (end - start));
-    let t = end;
-    for (let i = 0; i < nPayments; i++) {
-        if (t - start < irMinimumPeriod) {
-            break;
+
+    /**
+     * Underlying floating rates of the caplets / floorlets as an array.
+     * 
+     * @returns {Array<FloatingCashflow>}
+     */
+    get floatingRates() {
+        return accrualPeriods(this.start, this.end, this.frequency).map(period => ({
+            t: period.t,
+            T: period.T,
+            notional: this.notional
+        }));
+    }
+
+    /**
+     * Calculates the prices of this cap and floor, summing up the individual caplets / floorlets.
+     * 
+     * @param {number|Array<number>} sigma either a flat volatility or one volatility per caplet (see {@link floatingRates})
+     * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+     * @returns {CapFloorPricingResult}
+     */
+    price(sigma, spotCurve) {
+        const floatingRates = this.floatingRates,
+            sigmas = Array.isArray(sigma) ? sigma : floatingRates.map(() => sigma);
+        if (sigmas.length !== floatingRates.length) {
+            throw new InputError(`sigma must contain one volatility per caplet (${floatingRates.length}); got ${sigmas.length}`, 'sigma', sigma);
         }
-        schedule.unshift(t);
-        t -= yearfraction;
+        const res = {cap: 0, floor: 0, caplets: []};
+        floatingRates.forEach((floatingRate, i) => {
+            const caplet = irBlack76CapletFloorlet(floatingRate, this.strike, sigmas[i], spotCurve);
+            res.cap += caplet.call.price;
+            res.floor += caplet.put.price;
+            res.caplets.push(caplet);
+        });
+        return res;
     }
-    return schedule;
-}
 
-/**
- * Creates a {@link DiscountCurve} discounting with the constant {@link flatRate}.
- * 
- * @param {number} flatRate 
- * @returns {DiscountCurve}
- */
-export function irFlatDiscountCurve(flatRate) {
-    assertNumber(flatRate, 'flatRate');
-    return (t) => {
-        assertNumber(t, 't');
-        return Math.exp(-flatRate * t);
-    };
+    /**
+     * Calculates the flat volatility for which the price of this cap (or floor) matches {@link price}.
+     * Prices outside of the no-arbitrage bounds cause an {@link ArbitrageError}.
+     * 
+     * @param {number} price price of the cap or floor
+     * @param {string} optionType either `'cap'` or `'floor'`
+     * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+     * @returns {number} flat cap / floor implied volatility
+     */
+    impliedVolatility(price, optionType, spotCurve) {
+        assertNumber(price, 'price');
+        return capletsImpliedVolatility(price, optionType, this.floatingRates, this.strike, spotCurve);
+    }
 }
 
-/**
- * Creates a {@link SpotCurve} by linearly interpolating the given points in time.
- * Extrapolation in both directions is constant.
- * 
- * @param {Array<SpotRate>} spotRates individual spot rates used for interpolation; will be sorted automatically
- * @returns {SpotCurve}
+/*
+ * Solves for the flat volatility at which the sum of the caplets / floorlets
+ * on the given floating rates has the given price.
  */
-export function irLinearInterpolationSpotCurve(spotRates) {
-    assertNonEmptyArray(spotRates, 'spotRates');
-    spotRates = [...spotRates]; // do not modify non-local array
-    spotRates.sort((rate1, rate2) => rate1.t - rate2.t);
-    return (t) => {
-        assertNumber(t, 't');
-        if (t < spotRates[0].t) {
-            return spotRates[0].rate;
-        }
-        for (let i = 1; i < spotRates.length; i++) {
-            if (t < spotRates[i].t) {
-                const slope = (spotRates[i].rate - spotRates[i-1].rate) / (spotRates[i].t - spotRates[i-1].t);
-                return spotRates[i-1].rate + slope * (t - spotRates[i-1].t);
-            }
+function capletsImpliedVolatility(price, optionType, floatingRates, strike, spotCurve) {
+    if (optionType !== 'cap' && optionType !== 'floor') {
+        throw new InputError(`optionType must be either "cap" or "floor"; got ${optionType}`, 'optionType', optionType);
+    }
+    const key = optionType === 'cap' ? 'call' : 'put',
+        discCurve = irSpotCurve2DiscountCurve(spotCurve),
+        value = sigma => floatingRates
+            .map(floatingRate => irBlack76CapletFloorlet(floatingRate, strike, sigma, spotCurve)[key])
+            .reduce((acc, caplet) => [acc[0] + caplet.price, acc[1] + caplet.vega], [0, 0]);
+    const intrinsic = value(0)[0];
+    let upperBound = 0;
+    for (const floatingRate of floatingRates) {
+        if (floatingRate.t > 0) {
+            const forwardRate = irForwardLinearRate(floatingRate, discCurve),
+                scale = floatingRate.notional * floatingYearFraction(floatingRate) * discCurve(floatingRate.T);
+            upperBound += scale * (optionType === 'cap' ? forwardRate : strike);
+        } else {
+            upperBound += irBlack76CapletFloorlet(floatingRate, strike, 0, spotCurve)[key].price;
         }
-        return spotRates[spotRates.length - 1].rate;
-    };
+    }
+    if (!(price >= intrinsic && price < upperBound)) {
+        throw new ArbitrageError(`price of ${optionType} must be in no-arbitrage interval [${intrinsic}, ${upperBound}); got ${price}`, 'price', price);
+    }
+    const timeValue = price - intrinsic;
+    if (timeValue === 0) {
+        return 0;
+    }
+    return solveImpliedTotalVolatility(timeValue, 0.2, sigma => {
+        const [capValue, vega] = value(sigma);
+        return [capValue - intrinsic, vega];
+    });
 }
 
-
 /**
- * Turns a {@link SpotCurve} into a {@link DiscountCurve}.
- * Inverse of {@link irDiscountCurve2SpotCurve}.
- * 
- * @param {SpotCurve} spotCurve spot rate curve to be converted
- * @returns {DiscountCurve}
+ * @typedef {Object} CapVolatility
+ * @property {number} T maturity of the cap (i.e. payment time of its last caplet)
+ * @property {number} sigma quoted flat volatility of the cap
  */
-export function irSpotCurve2DiscountCurve(spotCurve) {
-    assertDefined(spotCurve, 'spotCurve');
-    return (t) => {
-        assertNumber(t, 't');
-        return Math.exp(-spotCurve(t) * t);
-    };
-}
-
-const irDiscountCurveConversionTimeCutoff = 1e-8;
 
 /**
- * Turns a {@link DiscountCurve} into a {@link SpotCurve}.
- * Inverse of {@link irSpotCurve2DiscountCurve}.
+ * Strips caplet volatilities from a strip of quoted flat cap volatilities. All caps share
+ * {@link strike}, {@link start} and {@link frequency}; their caplet schedules have to be nested,
+ * i.e. cap maturities have to be spaced in whole caplet periods. Caplet volatilities are
+ * assumed to be constant between consecutive cap maturities.
  * 
- * @param {DiscountCurve} discountCurve discount curve to be converted
- * @returns {SpotCurve}
+ * @param {Array<CapVolatility>} capVolatilities quoted cap volatilities; will be sorted automatically
+ * @param {number} strike annual strike rate of all caps
+ * @param {number} start start time of all caps
+ * @param {number} frequency number of caplets per year
+ * @param {SpotCurve} spotCurve risk-less spot curve (used for forwards and discounting)
+ * @returns {Array<number>} caplet volatilities for the caplets of the longest cap (see {@link CapFloor#floatingRates})
  */
-export function irDiscountCurve2SpotCurve(discountCurve) {
-    assertDefined(discountCurve, 'discountCurve');
-    return (t) => {
-        assertNumber(t, 't');
-        if (t >= 0 && t <= irDiscountCurveConversionTimeCutoff) {
-            t = irDiscountCurveConversionTimeCutoff;
+export function irStripCapletVolatilities(capVolatilities, strike, start, frequency, spotCurve) {
+    assertNonEmptyArray(capVolatilities, 'capVolatilities');
+    capVolatilities = [...capVolatilities]; // do not modify non-local array
+    capVolatilities.sort((vol1, vol2) => vol1.T - vol2.T);
+    const longestCap = new CapFloor(1, strike, start, capVolatilities[capVolatilities.length - 1].T, frequency),
+        floatingRates = longestCap.floatingRates,
+        capletVolatilities = [];
+    let strippedCapPrice = 0;
+    for (const {T, sigma} of capVolatilities) {
+        assertNumber(sigma, 'sigma');
+        const cap = new CapFloor(1, strike, start, T, frequency),
+            capFloatingRates = cap.floatingRates,
+            nStripped = capletVolatilities.length;
+        capFloatingRates.forEach((floatingRate, i) => {
+            const expected = floatingRates[i];
+            if (Math.abs(floatingRate.t - expected.t) > irMinimumPeriod || Math.abs(floatingRate.T - expected.T) > irMinimumPeriod) {
+                throw new InputError(`caplet schedule of cap with maturity ${T} is not nested in caplet schedule of longest cap`,
+                    'capVolatilities', capVolatilities);
+            }
+        });
+        if (capFloatingRates.length <= nStripped) {
+            throw new InputError(`cap with maturity ${T} does not add any caplets`, 'capVolatilities', capVolatilities);
         }
-        return -Math.log(discountCurve(t)) / t;
-    };
+        const capPrice = cap.price(sigma, spotCurve).cap,
+            capletSigma = capletsImpliedVolatility(capPrice - strippedCapPrice, 'cap',
+                capFloatingRates.slice(nStripped), strike, spotCurve);
+        for (let i = nStripped; i < capFloatingRates.length; i++) {
+            capletVolatilities.push(capletSigma);
+        }
+        strippedCapPrice = capPrice;
+    }
+    return capletVolatilities;
 }
 
-/**
- * Calculates the internal rate of return (IRR) of the given series of cashflows,
- * i.e. the flat discount rate (continuously compounded) for which the total NPV of
- * the given cashflows is 0. The secant method is used. If no IRR can be found
- * after {@link maxiter} iteration, an exception is thrown.
- * 
- * @param {Array<FixedCashflow>} cashflows cashflows for which the IRR is to be calculated
- * @param {number} [r0=0] first guess for IRR
- * @param {number} [r1=0.05] second guess for IRR, may not be equal to {@link r0}
- * @param {number} [abstol=1e-8] absolute tolerance to accept the current rate as solution
- * @param {number} [maxiter=100] maximum number of secant method iteration after which root finding aborts
- * @returns {number} continuously compounded IRR
+/*
+ * Returns the already fixed coupon rate of the current period of a floating rate note.
  */
-export function irInternalRateOfReturn(cashflows, r0=0, r1=0.05, abstol=1e-8, maxiter=100) {
-    assertNonEmptyArray(cashflows, 'cashflows');
-    assertNumber(r0, 'r0');
-    assertNumber(r1, 'r1');
-    assertNumber(abstol, 'abstol');
-    assertNumber(maxiter, 'maxiter');
-    if (r0 === r1) {
-        throw 'r0 and r1 initial IRR guesses have to be different';
+function fixedCurrentCoupon(note) {
+    if (typeof note.currentCoupon === 'undefined') {
+        throw new InputError(`currentCoupon is required for floating rate notes with coupon period fixed before time 0; got start=${note.start}`,
+            'currentCoupon', note.currentCoupon, errorCode.missing);
     }
-    const npv = (r) => irForwardPrice(cashflows, irFlatDiscountCurve(r), 0);
-    let last = r0,
-        current = r1,
-        npv_last = npv(last);
-    for (let i=0; i<=maxiter; i++) {
-        const npv_current = npv(current);
-        if (Math.abs(npv_current) <= abstol) {
-            return current;
-        }
-        const next = current - npv_current * (current - last) / (npv_current - npv_last);
-        last = current;
-        npv_last = npv_current;
-        current = next;
-    }
-    throw 'maximum number of iterations reached';
+    return note.currentCoupon;
 }
 
 /**
- * Coupon-paying bond with schedule rolled from end.
+ * Floating rate note paying a floating rate plus a quoted spread, with schedule rolled from end.
+ * The coupon rate (floating rate plus spread) may be capped and / or floored; such embedded
+ * caplets / floorlets are priced with {@link irBlack76CapletFloorlet}.
  * First coupon period is (possibly) shorter than later periods.
  */
-class Bond {
+class FloatingRateNote {
     /**
-     * Creates an instance of a coupon-paying bond.
+     * Creates an instance of a floating rate note.
      * 
-     * @param {number} notional notional payment, i.e. last cashflow and reference amount for {@link notional}
-     * @param {number} coupon annual coupon relative to {@link notional} (i.e. 0.04 for 4%, not a currency amount)
-     * @param {number} start start time of bond (schedule will be rolled from {@link end})
-     * @param {number} end end time of bond (time of notional payment)
+     * @param {number} notional notional payment, i.e. last cashflow and reference amount for the coupons
+     * @param {number} spread annual spread over the floating rate (i.e. 0.01 for 100bp, not a currency amount)
+     * @param {number} start start time of the note (schedule will be rolled from {@link end})
+     * @param {number} end end time of the note (time of notional payment)
      * @param {number} frequency number of payments per year
+     * @param {number} [cap] maximum annual coupon rate (including spread), no cap if undefined
+     * @param {number} [floor] minimum annual coupon rate (including spread), no floor if undefined
+     * @param {number} [currentCoupon] annual coupon rate (including spread) of the current period, required if the current period has already been fixed (i.e. {@link start} is negative)
      */
-    constructor(notional, coupon, start, end, frequency) {
+    constructor(notional, spread, start, end, frequency, cap, floor, currentCoupon) {
         assertNumber(notional, 'notional');
-        assertNumber(coupon, 'coupon');
+        assertNumber(spread, 'spread');
         assertNumber(start, 'start');
         assertNumber(end, 'end');
         assertFrequency(frequency, 'frequency');
+        if (typeof cap !== 'undefined') {
+            assertNumber(cap, 'cap');
+        }
+        if (typeof floor !== 'undefined') {
+            assertNumber(floor, 'floor');
+        }
+        if (typeof cap !== 'undefined' && typeof floor !== 'undefined' && floor > cap) {
+            throw new InputError(`floor must not exceed cap; got cap=${cap} and floor=${floor}`, 'floor', floor, errorCode.outOfRange);
+        }
+        if (typeof currentCoupon !== 'undefined') {
+            assertNumber(currentCoupon, 'currentCoupon');
+        }
         this.notional = notional;
-        this.coupon = coupon;
+        this.spread = spread;
         this.start = start;
         this.end = end;
         this.frequency = frequency;
+        this.cap = cap;
+        this.floor = floor;
+        this.currentCoupon = currentCoupon;
     }
 
     /**
-     * Cashflows of this bond as an array.
-     * Last coupon and notional payment are returned separately.
-     * For zero bonds (i.e. coupon === 0), only the notional payment is returned as cashflow.
+     * Underlying floating rates of the coupons as an array, excluding periods
+     * that have been paid already (i.e. with payment time before 0).
      * 
-     * @returns {Array<FixedCashflow>}
+     * @returns {Array<FloatingCashflow>}
+     */
+    get floatingRates() {
+        return accrualPeriods(this.start, this.end, this.frequency).filter(period => period.T >= 0).map(period => ({
+            t: period.t,
+            T: period.T,
+            notional: this.notional
+        }));
+    }
+
+    /**
+     * Cashflows of this floating rate note as an array, ignoring cap and floor.
+     * The current coupon (if already fixed) and spread payments are returned as fixed cashflows,
+     * notional payment is returned separately.
+     * 
+     * @returns {Array<Cashflow>}
      */
     get cashflows() {
-        const notionalCashflow = {t: this.end, value: this.notional};
-        if (this.coupon === 0) {
-            return [notionalCashflow];
+        const cashflows = [];
+        for (const floatingRate of this.floatingRates) {
+            const yearFraction = floatingRate.T - floatingRate.t;
+            if (floatingRate.t < 0) {
+                cashflows.push({t: floatingRate.T, value: this.notional * fixedCurrentCoupon(this) * yearFraction});
+            } else {
+                cashflows.push(floatingRate);
+                cashflows.push({t: floatingRate.T, value: this.notional * this.spread * yearFraction});
+            }
+        }
+        cashflows.push({t: this.end, value: this.notional});
+        return cashflows;
+    }
+
+    /**
+     * Calculates the projected cashflows of this floating rate note, i.e. the expected coupons
+     * (under the respective payment time forward measure) including the effect of cap and floor.
+     * Capped or floored notes require positive forward rates (lognormal rates of Black 76).
+     * 
+     * @param {DiscountCurve} discountCurve discount curve (used for forwards)
+     * @param {number} [sigma] volatility of the floating rates, required if the note is capped or floored
+     * @returns {Array<FixedCashflow>}
+     */
+    projectedCashflows(discountCurve, sigma) {
+        assertDefined(discountCurve, 'discountCurve');
+        const hasOptionality = typeof this.cap !== 'undefined' || typeof this.floor !== 'undefined',
+            spotCurve = irDiscountCurve2SpotCurve(discountCurve);
+        if (hasOptionality) {
+            assertPositive(sigma, 'sigma');
         }
-        const schedule = irRollFromEnd(this.start, this.end, this.frequency);
         const cashflows = [];
-        let lastT = this.start;
-        for (const t of schedule) {
-            const yearfraction = t - lastT;
-            cashflows.push({t: t, value: this.notional * this.coupon * yearfraction});
-            lastT = t;
+        for (const floatingRate of this.floatingRates) {
+            const yearFraction = floatingRate.T - floatingRate.t;
+            if (floatingRate.t < 0) {
+                cashflows.push({t: floatingRate.T, value: this.notional * fixedCurrentCoupon(this) * yearFraction});
+                continue;
+            }
+            const forwardRate = irForwardLinearRate(floatingRate, discountCurve),
+                df = discountCurve(floatingRate.T);
+            if (hasOptionality && forwardRate <= 0) {
+                throw new InputError(`forward rate must be greater than 0 for capped or floored notes; got ${forwardRate} for period from ${floatingRate.t} to ${floatingRate.T}`,
+                    'forwardRate', forwardRate, errorCode.outOfRange);
+            }
+            let value = this.notional * (forwardRate + this.spread) * yearFraction;
+            if (typeof this.cap !== 'undefined') {
+                const K = this.cap - this.spread;
+                // a positive forward rate stays positive, i.e. above K <= 0
+                value -= K > 0 ? irBlack76CapletFloorlet(floatingRate, K, sigma, spotCurve).call.price / df
+                    : this.notional * (forwardRate - K) * yearFraction;
+            }
+            if (typeof this.floor !== 'undefined') {
+                const K = this.floor - this.spread;
+                value += K > 0 ? irBlack76CapletFloorlet(floatingRate, K, sigma, spotCurve).put.price / df : 0;
+            }
+            cashflows.push({t: floatingRate.T, value: value});
         }
-        cashflows.push(notionalCashflow);
+        cashflows.push({t: this.end, value: this.notional});
         return cashflows;
     }
 
     /**
-     * Calculates the forward price (dirty, i.e. including accrued interest) at time {@link t} for this bond.
+     * Calculates the current price (dirty, i.e. including accrued interest) for this floating rate note,
+     * discounting projected cashflows with {@link discountCurve} shifted by {@link margin}.
      * 
      * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
-     * @param {number} t time for which the forward dirty price is to be calculated
+     * @param {number} [sigma] volatility of the floating rates, required if the note is capped or floored
+     * @param {number} [margin=0] discount margin, i.e. spread (continuously compounded) over the spot rates of {@link discountCurve} used for discounting only
      * @returns {number}
      */
-    forwardDirtyPrice(discountCurve, t) {
-        return irForwardPrice(this.cashflows, discountCurve, t);
+    dirtyPrice(discountCurve, sigma, margin) {
+        if (typeof margin === 'undefined') {
+            margin = 0;
+        }
+        assertNumber(margin, 'margin');
+        let price = 0;
+        for (const cf of this.projectedCashflows(discountCurve, sigma)) {
+            price += cf.value * discountCurve(cf.t) * Math.exp(-margin * cf.t);
+        }
+        return price;
     }
 
     /**
-     * Calculates the current price (dirty, i.e. including accrued interest) for this bond.
+     * Calculates the discount margin given npv, i.e. the constant spread (continuously compounded)
+     * over the spot rates of {@link discountCurve} used for discounting (but not for forwards)
+     * for which the dirty price of the note equals {@link npv}. Newton's method is used;
+     * if no discount margin can be found after {@link maxiter} iterations, a {@link ConvergenceError} is thrown.
      * 
+     * @param {number} npv present value (dirty price) of the note
      * @param {DiscountCurve} discountCurve discount curve (used for discounting and forwards)
-     * @returns {number}
+     * @param {number} [sigma] volatility of the floating rates, required if the note is capped or floored
+     * @param {number} [abstol=1e-10] absolute tolerance of the price to accept the current margin as solution
+     * @param {number} [maxiter=100] maximum number of iterations after which root finding aborts
+     * @returns {number} discount margin
      */
-    dirtyPrice(discountCurve) {
-        return this.forwardDirtyPrice(discountCurve, 0);
+    discountMargin(npv, discountCurve, sigma, abstol=1e-10, maxiter=100) {
+        assertNumber(npv, 'npv');
+        const discountedCashflows = this.projectedCashflows(discountCurve, sigma)
+            .map(cf => ({t: cf.t, value: cf.value * discountCurve(cf.t)}));
+        return solveDiscountSpread(discountedCashflows, npv, abstol, maxiter);
+    }
+}
+
+/**
+ * @typedef {Object} VolatilityQuote
+ * @property {number} T time to maturity (typically expressed in years)
+ * @property {number} [K] strike price (either {@link K} or {@link moneyness} must be given)
+ * @property {number} [moneyness] simple moneyness, i.e. strike / forward
+ * @property {number} sigma quoted (lognormal) volatility
+ */
+
+/**
+ * @typedef {Object} ArbitrageViolation
+ * @property {string} type either `'calendar'` (total variance decreasing in time to maturity) or `'butterfly'`
+ * (negative risk-neutral density)
+ * @property {number} T time to maturity of the violation; for calendar violations the later of both expiries
+ * @property {number} K strike price of the violation
+ * @property {number} value size of the violation, i.e. the decrease of total variance for calendar violations and
+ * Gatheral's density function `g` for butterfly violations (both negative)
+ */
+
+/*
+ * Smile of total variance per log-moneyness for one expiry, interpolated by a natural cubic spline
+ * and extrapolated flat beyond the quoted log-moneyness range.
+ */
+function totalVarianceSlice(ys, ws) {
+    const first = ys[0],
+        last = ys[ys.length - 1],
+        spline = ys.length === 1 ? {value: () => ws[0], slope: () => 0, curvature: () => 0} : naturalCubicSpline(ys, ws),
+        inside = y => y >= first && y <= last;
+    return {
+        ys: ys,
+        value: y => spline.value(Math.min(Math.max(y, first), last)),
+        slope: y => inside(y) ? spline.slope(y) : 0,
+        curvature: y => inside(y) ? spline.curvature(y) : 0
+    };
+}
+
+/*
+ * Gatheral's g(y) of a total variance w with derivatives dw, d2w by log-moneyness y;
+ * the density is non-negative iff g >= 0.
+ */
+function butterflyDensity(y, w, dw, d2w) {
+    return (1 - y * dw / (2 * w))**2 - dw * dw / 4 * (1 / w + 1 / 4) + d2w / 2;
+}
+
+/*
+ * Total variance of the surface and its derivatives at log-moneyness y and time to maturity T,
+ * interpolating total variance linearly in time at constant log-moneyness.
+ */
+function surfaceTotalVariance(surface, y, T) {
+    const expiries = surface.expiries,
+        slices = surface.slices,
+        last = expiries.length - 1;
+    const weighted = (slice0, slice1, weight, dWeight) => ({
+        w: (1 - weight) * slice0.value(y) + weight * slice1.value(y),
+        dwdT: dWeight * (slice1.value(y) - slice0.value(y)),
+        dwdy: (1 - weight) * slice0.slope(y) + weight * slice1.slope(y),
+        d2wdy2: (1 - weight) * slice0.curvature(y) + weight * slice1.curvature(y)
+    });
+    const zero = {value: () => 0, slope: () => 0, curvature: () => 0};
+    if (T <= expiries[0]) {
+        return weighted(zero, slices[0], T / expiries[0], 1 / expiries[0]);
+    }
+    if (T > expiries[last]) {
+        return weighted(zero, slices[last], T / expiries[last], 1 / expiries[last]);
     }
+    const i = findInterval(expiries, T),
+        dT = expiries[i] - expiries[i-1];
+    return weighted(slices[i-1], slices[i], (T - expiries[i-1]) / dT, 1 / dT);
+}
 
+/**
+ * Implied volatility surface built from quotes of several expiries. Between quoted log-moneyness ln(strike / forward)
+ * of one expiry, total variance is interpolated by a natural cubic spline, outside the quoted range volatility is
+ * extrapolated flat. Across expiries, total variance is interpolated linearly at constant log-moneyness
+ * (and volatility is extrapolated flat before the first and after the last expiry).
+ */
+class VolatilitySurface {
     /**
-     * Calculates the bond yield given {@link npv}, i.e the flat discount rate
-     * (continuously compounded) for which the dirty price of the bond equals {@link npv}.
+     * Creates an instance of a volatility surface.
      * 
-     * @param {number} [npv=this.notional] present value of the bond for yield calculation, defaults to 100% (i.e. notional)
-     * @returns {number} bond yield given npv
+     * @param {number} S spot price of the underlying (or forward price if both rates are zero)
+     * @param {Array<VolatilityQuote>} quotes quoted volatilities, each with positive time to maturity
+     * @param {number} [q=0] dividend yield of the underlying (foreign rate for FX)
+     * @param {number} [r=0] risk-less rate of return (domestic rate for FX)
      */
-    yieldToMaturity(npv) {
-        if (typeof npv === 'undefined') {
-            npv = this.notional;
+    constructor(S, quotes, q, r) {
+        if (typeof q === 'undefined') {
+            q = 0;
         }
-        assertNumber(npv);
-        const cashflows = [...this.cashflows];
-        cashflows.unshift({t: 0, value: -npv});
-        return irInternalRateOfReturn(cashflows);
+        if (typeof r === 'undefined') {
+            r = 0;
+        }
+        assertStrictlyPositive(S, 'S');
+        assertNonEmptyArray(quotes, 'quotes');
+        assertNumber(q, 'q');
+        assertNumber(r, 'r');
+        this.S = S;
+        this.q = q;
+        this.r = r;
+        const byExpiry = new Map();
+        for (const quote of quotes) {
+            assertStrictlyPositive(quote.T, 'T');
+            assertStrictlyPositive(quote.sigma, 'sigma');
+            if ((typeof quote.K === 'undefined') === (typeof quote.moneyness === 'undefined')) {
+                throw new InputError(`either K or moneyness must be given for quote with T=${quote.T}`, 'quotes', quotes);
+            }
+            const moneyness = typeof quote.K === 'undefined' ? quote.moneyness : quote.K / this.forward(quote.T);
+            assertStrictlyPositive(moneyness, typeof quote.K === 'undefined' ? 'moneyness' : 'K');
+            if (!byExpiry.has(quote.T)) {
+                byExpiry.set(quote.T, []);
+            }
+            byExpiry.get(quote.T).push({y: Math.log(moneyness), w: quote.sigma**2 * quote.T});
+        }
+        this.expiries = [...byExpiry.keys()].sort((T1, T2) => T1 - T2);
+        this.slices = this.expiries.map(T => {
+            const points = byExpiry.get(T).sort((p1, p2) => p1.y - p2.y);
+            for (let i = 1; i < points.length; i++) {
+                if (points[i].y === points[i-1].y) {
+                    throw new InputError(`quotes need to have distinct strikes per expiry; got multiple quotes for T=${T}`, 'quotes', quotes);
+                }
+            }
+            return totalVarianceSlice(points.map(p => p.y), points.map(p => p.w));
+        });
     }
 
     /**
-     * Calculates the bond duration given npv. There is no difference between Macaulay duration
-     * and Modified duration here as we use continuous yields for discounting.
+     * Forward price of the underlying.
      * 
-     * @param {number} [npv=this.notional] present value of the bond for yield calculation, defaults to 100% (i.e. notional)
-     * @returns {number} bond duration given npv
+     * @param {number} T time to maturity (typically expressed in years)
+     * @returns {number}
      */
-    duration(npv) {
-        if (typeof npv === 'undefined') {
-            npv = this.notional;
-        }
-        const y = this.yieldToMaturity(npv);
-        var time_weighted_cfs = 0;
-        for (const cf of this.cashflows) {
-            time_weighted_cfs += cf.t * cf.value * Math.exp(-y * cf.t);
+    forward(T) {
+        return this.S * Math.exp((this.r - this.q) * T);
+    }
+
+    /**
+     * Total implied variance, i.e. `sigma^2 T`.
+     * 
+     * @param {number} K (positive) strike price
+     * @param {number} T (positive) time to maturity (typically expressed in years)
+     * @returns {number}
+     */
+    totalVariance(K, T) {
+        assertStrictlyPositive(K, 'K');
+        assertStrictlyPositive(T, 'T');
+        return surfaceTotalVariance(this, Math.log(K / this.forward(T)), T).w;
+    }
+
+    /**
+     * Implied volatility, e.g. to be used as `sigma` in {@link eqBlackScholes} (with the same `S`, `q` and `r`).
+     * 
+     * @param {number} K (positive) strike price
+     * @param {number} T (positive) time to maturity (typically expressed in years)
+     * @returns {number}
+     */
+    volatility(K, T) {
+        return Math.sqrt(this.totalVariance(K, T) / T);
+    }
+
+    /**
+     * Volatility smile of one expiry.
+     * 
+     * @param {number} T (positive) time to maturity (typically expressed in years)
+     * @returns {VolatilitySmile}
+     */
+    smile(T) {
+        assertStrictlyPositive(T, 'T');
+        return K => this.volatility(K, T);
+    }
+
+    /**
+     * Local volatility by Dupire's formula, expressed in total implied variance `w` and log-moneyness `y`.
+     * Intended for diagnostics: derivatives by time are taken from the linear interpolation across expiries
+     * (right-sided at quoted expiries), and the result is `NaN` where the surface admits arbitrage.
+     * 
+     * See Gatheral, The Volatility Surface: A Practitioner's Guide, Wiley, 2006, equation (1.10).
+     * 
+     * @param {number} K (positive) strike price
+     * @param {number} T (positive) time to maturity (typically expressed in years)
+     * @returns {number}
+     */
+    localVolatility(K, T) {
+        assertStrictlyPositive(K, 'K');
+        assertStrictlyPositive(T, 'T');
+        const y = Math.log(K / this.forward(T)),
+            {w, dwdT, dwdy, d2wdy2} = surfaceTotalVariance(this, y, T),
+            density = butterflyDensity(y, w, dwdy, d2wdy2);
+        if (dwdT < 0 || density <= 0) {
+            return NaN;
         }
-        return time_weighted_cfs / npv;
+        return Math.sqrt(dwdT / density);
+    }
+
+    /**
+     * Checks the quoted expiries for static arbitrage: calendar spread arbitrage (total variance decreasing
+     * between consecutive expiries) at the quoted log-moneyness of both expiries and butterfly arbitrage
+     * (negative density) at the quoted log-moneyness and midpoints in between.
+     * 
+     * See Gatheral and Jacquier, [Arbitrage-free SVI volatility surfaces](https://doi.org/10.1080/14697688.2013.819986),
+     * Quantitative Finance, 2014.
+     * 
+     * @returns {Array<ArbitrageViolation>} all violations found, empty if none
+     */
+    arbitrageViolations() {
+        const violations = [],
+            strike = (y, T) => this.forward(T) * Math.exp(y);
+        this.slices.forEach((slice, j) => {
+            const T = this.expiries[j];
+            if (j > 0) {
+                const previous = this.slices[j-1],
+                    ys = [...new Set(previous.ys.concat(slice.ys))].sort((y1, y2) => y1 - y2);
+                for (const y of ys) {
+                    const value = slice.value(y) - previous.value(y);
+                    if (value < 0) {
+                        violations.push({type: 'calendar', T: T, K: strike(y, T), value: value});
+                    }
+                }
+            }
+            const ys = slice.ys.flatMap((y, i) => i === 0 ? [y] : [(slice.ys[i-1] + y) / 2, y]);
+            for (const y of ys) {
+                const value = butterflyDensity(y, slice.value(y), slice.slope(y), slice.curvature(y));
+                if (value < 0) {
+                    violations.push({type: 'butterfly', T: T, K: strike(y, T), value: value});
+                }
+            }
+        });
+        return violations;
     }
 }
 
-export {Bond};
+export {Bond, Swap, CapFloor, FloatingRateNote, VolatilitySurface, AnalyticsError, InputError, ConvergenceError, ArbitrageError};
@@ -17,6 +17,11 @@ function assertEqualRounded(actual, expected, digits) {
     }
 }
 
+function assertEqualRelative(actual, expected, relativeTolerance) {
+    const tolerance = relativeTolerance * Math.max(1, Math.abs(expected));
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${actual} to be within ${tolerance} of ${expected}`);
+}
+
 const eps = 2.2 * 1E-16;
 const sqrt_eps = Math.sqrt(eps);
 const sqrt_sqrt_eps = Math.sqrt(sqrt_eps);
@@ -115,12 +120,133 @@ describe('cdf()', function() {
         );
     });
 
+    it('should retain relative accuracy in the lower tail', function() {
+        const tailValues = [ // 0.5 * erfc(-x / sqrt(2))
+            [-1, 0.15865525393145707],
+            [-3, 0.0013498980316300957],
+            [-5, 2.866515718791946e-07],
+            [-8, 6.220960574271819e-16],
+            [-12, 1.776482112077702e-33],
+            [-20, 2.7536241186063314e-89],
+            [-30, 4.906713927148764e-198]
+        ];
+        for (const [x, expected] of tailValues) {
+            const relativeError = Math.abs(gauss.cdf(x) - expected) / expected;
+            assert.ok(relativeError < 1e-12, `relative error ${relativeError} at ${x}`);
+        }
+    });
+
+    it('should handle infinite values', function() {
+        assert.strictEqual(gauss.cdf(-Infinity), 0);
+        assert.strictEqual(gauss.cdf(Infinity), 1);
+        assert.strictEqual(gauss.cdf(-100), 0);
+        assert.strictEqual(gauss.cdf(100), 1);
+    });
+
     it('should fail with bad parameters', function() {
         assert.throws(() => gauss.cdf('0'));
         assert.throws(() => gauss.cdf());
     });
 });
 
+describe('cdfFast()', function() {
+    it('should be symmetric', function() {
+        positive_example_values.forEach(
+            x => assert.strictEqual(gauss.cdfFast(x), 1 - gauss.cdfFast(-x))
+        );
+    });
+
+    it('should be close to cdf', function() {
+        for (let x=-10; x<=10; x+=0.1) {
+            assert.ok(Math.abs(gauss.cdfFast(x) - gauss.cdf(x)) < 7.5e-8);
+        }
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.cdfFast('0'));
+        assert.throws(() => gauss.cdfFast());
+    });
+});
+
+describe('inverseCdf()', function() {
+    it('should invert cdf', function() {
+        for (let x=-37; x<=0; x+=0.25) { // upper tail is ill-conditioned as cdf(x) approaches 1
+            assertEqualRelative(gauss.inverseCdf(gauss.cdf(x)), x, 1e-13);
+        }
+        for (const probability of [1e-300, 1e-20, 1e-5, 0.01, 0.02425, 0.1, 0.5, 0.75, 0.99, 1 - 1e-10]) {
+            assertEqualRelative(gauss.cdf(gauss.inverseCdf(probability)), probability, 1e-13);
+        }
+    });
+
+    it('should match well-known quantiles', function() {
+        assert.strictEqual(gauss.inverseCdf(0.5), 0);
+        assertEqualRounded(gauss.inverseCdf(0.975), 1.959963984540054, 14);
+        assertEqualRounded(gauss.inverseCdf(0.01), -2.3263478740408408, 14);
+        assert.strictEqual(gauss.inverseCdf(0), -Infinity);
+        assert.strictEqual(gauss.inverseCdf(1), Infinity);
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.inverseCdf('0.5'));
+        assert.throws(() => gauss.inverseCdf());
+        assert.throws(() => gauss.inverseCdf(-0.1));
+        assert.throws(() => gauss.inverseCdf(1.1));
+    });
+});
+
+
+describe('bivariateCdf()', function() {
+    it('should factorize for zero correlation', function() {
+        for (let x=-3; x<=3; x+=0.5) {
+            for (let y=-3; y<=3; y+=0.5) {
+                assertEqualRounded(gauss.bivariateCdf(x, y, 0), gauss.cdf(x) * gauss.cdf(y), 15);
+            }
+        }
+    });
+
+    it('should match orthant probabilities', function() {
+        for (let rho=-1; rho<=1; rho+=0.05) {
+            assertEqualRounded(gauss.bivariateCdf(0, 0, rho), 0.25 + Math.asin(rho) / 2 / Math.PI, 14);
+        }
+    });
+
+    it('should match values obtained by numerical integration', function() {
+        const referenceValues = [ // Simpson's rule on int_{-inf}^x pdf(u) cdf((y - rho*u) / sqrt(1 - rho^2)) du
+            [-1.5, -0.5, -0.95, 2.1547938628368808e-12],
+            [-1.5, -0.5, -0.5, 0.0032356926273993934],
+            [-1.5, -0.5, 0.2, 0.03036279971128923],
+            [-1.5, -0.5, 0.93, 0.06670228734237525],
+            [0.7, 1.1, -0.8, 0.6225384749753163],
+            [0.7, 1.1, 0.6, 0.7066151465252298],
+            [2.5, -2.2, 0.999, 0.013903447513498604],
+            [-3, 3, -0.1, 0.0013449903122589157]
+        ];
+        for (const [x, y, rho, expected] of referenceValues) {
+            assertEqualRounded(gauss.bivariateCdf(x, y, rho), expected, 11);
+        }
+    });
+
+    it('should be symmetric in its arguments', function() {
+        for (let rho=-0.95; rho<=0.95; rho+=0.15) {
+            assertEqualRounded(gauss.bivariateCdf(0.3, -1.2, rho), gauss.bivariateCdf(-1.2, 0.3, rho), 15);
+        }
+    });
+
+    it('should handle perfect correlation and infinite values', function() {
+        assertEqualRounded(gauss.bivariateCdf(0.5, -0.2, 1), gauss.cdf(-0.2), 15);
+        assertEqualRounded(gauss.bivariateCdf(0.5, -0.2, -1), gauss.cdf(0.5) - gauss.cdf(0.2), 15);
+        assertEqualRounded(gauss.bivariateCdf(-0.5, -0.2, -1), 0, 15);
+        assert.strictEqual(gauss.bivariateCdf(Infinity, 0.3, 0.5), gauss.cdf(0.3));
+        assert.strictEqual(gauss.bivariateCdf(-Infinity, 0.3, 0.5), 0);
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.bivariateCdf('0', 0, 0));
+        assert.throws(() => gauss.bivariateCdf(0, '0', 0));
+        assert.throws(() => gauss.bivariateCdf(0, 0, 1.1));
+        assert.throws(() => gauss.bivariateCdf(0, 0));
+    });
+});
 
 describe('margrabesFormula()', function() {
     it('should match example from https://xplaind.com/793334/black-scholes', function() {
@@ -193,6 +319,10 @@ describe('margrabesFormula()', function() {
             assertEqualRounded(resScaled.put.price, scale * res1.put.price, 11);
             assertEqualRounded(resScaled.put.delta, scale * res1.put.delta, 11);
             assertEqualRounded(resScaled.put.gamma, scale * res1.put.gamma, 11);
+            for (const greek of ['vega', 'theta', 'rhoDom', 'rhoFor', 'vanna', 'volga', 'charm']) {
+                assertEqualRounded(resScaled.call[greek], scale * res1.call[greek], 10);
+                assertEqualRounded(resScaled.put[greek], scale * res1.put[greek], 10);
+            }
         }
         // add 1 and subtract one to prevent sign of 0 issues
         const res0 = gauss.margrabesFormula(S1, S2, T, sigma1, sigma2, rho, q1, q2, 0);
@@ -342,6 +472,32 @@ describe('margrabesFormulaShort()', function() {
         }
     });
 
+    it('higher order greeks should be equal to numerical differentiation', function() {
+        const S1 = 123,
+            T = 2.5,
+            sigma = 0.23,
+            q1 = 0.012,
+            q2 = 0.023;
+        const tolerance = 1e-6;
+        for (let S2=80; S2<=160; S2+=5) {
+            const res = gauss.margrabesFormulaShort(S1, S2, T, sigma, q1, q2);
+            for (const optionType of ['call', 'put']) {
+                const bySigma = s => gauss.margrabesFormulaShort(S1, S2, T, s, q1, q2)[optionType],
+                    byT = t => gauss.margrabesFormulaShort(S1, S2, t, sigma, q1, q2)[optionType],
+                    byQ1 = q => gauss.margrabesFormulaShort(S1, S2, T, sigma, q, q2)[optionType],
+                    byQ2 = q => gauss.margrabesFormulaShort(S1, S2, T, sigma, q1, q)[optionType],
+                    greeks = res[optionType];
+                assertEqualRelative(greeks.vega, diffquot(s => bySigma(s).price, sigma), tolerance);
+                assertEqualRelative(greeks.theta, -diffquot(t => byT(t).price, T), tolerance);
+                assertEqualRelative(greeks.rhoFor, diffquot(q => byQ1(q).price, q1), tolerance);
+                assertEqualRelative(greeks.rhoDom, diffquot(q => byQ2(q).price, q2), tolerance);
+                assertEqualRelative(greeks.vanna, diffquot(s => bySigma(s).delta, sigma), tolerance);
+                assertEqualRelative(greeks.volga, diffquot(s => bySigma(s).vega, sigma), tolerance);
+                assertEqualRelative(greeks.charm, -diffquot(t => byT(t).delta, T), tolerance);
+            }
+        }
+    });
+
     it('should logSimpleMoneyness relate to d1 / d2', function() {
         const S1 = 123,
             T = 2.5,
@@ -518,6 +674,348 @@ describe('eqBlackScholes', function() {
             }
         }
     });
+
+    it('higher order greeks of digital options should be equal to numerical differentiation', function() {
+        const S = 123,
+            T = 2.5,
+            sigma = 0.23,
+            q = 0.012,
+            r = 0.023;
+        const tolerance = 1e-6;
+        for (const scale of [-1, 0.5, 2]) {
+            for (let K=80; K<=160; K+=5) {
+                const res = gauss.eqBlackScholes(S, K, T, sigma, q, r, scale);
+                for (const optionType of ['digitalCall', 'digitalPut']) {
+                    const bySpot = x => gauss.eqBlackScholes(x, K, T, sigma, q, r, scale)[optionType],
+                        bySigma = s => gauss.eqBlackScholes(S, K, T, s, q, r, scale)[optionType],
+                        byT = t => gauss.eqBlackScholes(S, K, t, sigma, q, r, scale)[optionType],
+                        byQ = x => gauss.eqBlackScholes(S, K, T, sigma, x, r, scale)[optionType],
+                        byR = x => gauss.eqBlackScholes(S, K, T, sigma, q, x, scale)[optionType],
+                        greeks = res[optionType];
+                    assertEqualRelative(greeks.gamma, diffquot(x => bySpot(x).delta, S), tolerance);
+                    assertEqualRelative(greeks.vega, diffquot(s => bySigma(s).price, sigma), tolerance);
+                    assertEqualRelative(greeks.theta, -diffquot(t => byT(t).price, T), tolerance);
+                    assertEqualRelative(greeks.rhoFor, diffquot(x => byQ(x).price, q), tolerance);
+                    assertEqualRelative(greeks.rhoDom, diffquot(x => byR(x).price, r), tolerance);
+                    assertEqualRelative(greeks.vanna, diffquot(s => bySigma(s).delta, sigma), tolerance);
+                    assertEqualRelative(greeks.volga, diffquot(s => bySigma(s).vega, sigma), tolerance);
+                    assertEqualRelative(greeks.charm, -diffquot(t => byT(t).delta, T), tolerance);
+                }
+            }
+        }
+    });
+});
+
+describe('eqBarrierOption', function() {
+    const S = 100,
+        T = 0.5,
+        sigma = 0.25,
+        q = 0.04,
+        r = 0.08,
+        rebate = 3;
+    const keys = ['downAndInCall', 'downAndOutCall', 'upAndInCall', 'upAndOutCall',
+        'downAndInPut', 'downAndOutPut', 'upAndInPut', 'upAndOutPut'];
+
+    it('should match examples from Haug, The Complete Guide to Option Pricing Formulas', function() {
+        const expected = {
+            90: {downAndOutCall: 9.0246, downAndInCall: 7.7627, upAndInCall: 14.1112, upAndOutCall: 2.6789,
+                downAndInPut: 2.9586, upAndInPut: 1.4653, downAndOutPut: 2.2798, upAndOutPut: 3.7760},
+            100: {downAndOutCall: 6.7924, downAndInCall: 4.0109, upAndInCall: 8.4482, upAndOutCall: 2.3580,
+                downAndInPut: 6.5677, upAndInPut: 3.3721, downAndOutPut: 2.2947, upAndOutPut: 5.4932},
+            110: {downAndOutCall: 4.8759, downAndInCall: 2.0576, upAndInCall: 4.5910, upAndOutCall: 2.3453,
+                downAndInPut: 11.9752, upAndInPut: 7.0846, downAndOutPut: 2.6252, upAndOutPut: 7.5187}
+        };
+        for (const K of [90, 100, 110]) {
+            const down = gauss.eqBarrierOption(S, K, 95, T, sigma, q, r, rebate),
+                up = gauss.eqBarrierOption(S, K, 105, T, sigma, q, r, rebate);
+            for (const key of keys) {
+                const res = key.startsWith('down') ? down : up;
+                assertEqualRounded(res[key].price, expected[K][key], 4);
+            }
+        }
+    });
+
+    it('In-Out-Parity should hold', function() {
+        for (const K of [80, 95, 100, 105, 120]) {
+            for (const H of [90, 98, 102, 110]) {
+                const res = gauss.eqBarrierOption(S, K, H, T, sigma, q, r),
+                    vanilla = gauss.eqBlackScholes(S, K, T, sigma, q, r);
+                for (const [inKey, outKey, option] of [
+                    ['downAndInCall', 'downAndOutCall', vanilla.call], ['upAndInCall', 'upAndOutCall', vanilla.call],
+                    ['downAndInPut', 'downAndOutPut', vanilla.put], ['upAndInPut', 'upAndOutPut', vanilla.put]]) {
+                    assertEqualRounded(res[inKey].price + res[outKey].price, option.price, 10);
+                    assertEqualRounded(res[inKey].delta + res[outKey].delta, option.delta, 10);
+                    assertEqualRounded(res[inKey].gamma + res[outKey].gamma, option.gamma, 10);
+                }
+            }
+        }
+    });
+
+    it('delta and gamma should match numerical derivatives', function() {
+        for (const K of [90, 100, 110]) {
+            for (const H of [95, 105]) {
+                const res = gauss.eqBarrierOption(S, K, H, T, sigma, q, r, rebate);
+                for (const key of keys) {
+                    const price = x => gauss.eqBarrierOption(x, K, H, T, sigma, q, r, rebate)[key].price;
+                    assertEqualRelative(res[key].delta, diffquot(price, S), 1e-6);
+                    assertEqualRelative(res[key].gamma, diffquot2(price, S), 1e-4);
+                }
+            }
+        }
+    });
+
+    it('should be knocked in or out if the barrier is already breached', function() {
+        const down = gauss.eqBarrierOption(S, 100, 105, T, sigma, q, r, rebate, 2),
+            up = gauss.eqBarrierOption(S, 100, 95, T, sigma, q, r, rebate, 2),
+            vanilla = gauss.eqBlackScholes(S, 100, T, sigma, q, r, 2);
+        assert.strictEqual(down.downAndInCall.price, vanilla.call.price);
+        assert.strictEqual(down.downAndOutPut.price, 2 * rebate);
+        assert.strictEqual(up.upAndInPut.price, vanilla.put.price);
+        assert.strictEqual(up.upAndOutCall.price, 2 * rebate);
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.eqBarrierOption(S, 100, -95, T, sigma, q, r));
+        assert.throws(() => gauss.eqBarrierOption(S, 100, 95, T, 0, q, r));
+        assert.throws(() => gauss.eqBarrierOption(S, 100, 95, T, sigma, q, r, '3'));
+    });
+});
+
+describe('eqTouchOption', function() {
+    const S = 100,
+        T = 0.75,
+        sigma = 0.3,
+        q = 0.02,
+        r = 0.05;
+
+    it('one-touch at expiry and no-touch should sum up to a zero bond', function() {
+        for (const H of [70, 95, 105, 130]) {
+            const res = gauss.eqTouchOption(S, H, T, sigma, q, r);
+            assertEqualRounded(res.oneTouchAtExpiry.price + res.noTouch.price, Math.exp(-r*T), 14);
+        }
+    });
+
+    it('one-touch should be worth more than one-touch at expiry for positive rates', function() {
+        for (const H of [70, 95, 105, 130]) {
+            const res = gauss.eqTouchOption(S, H, T, sigma, q, r);
+            assert.ok(res.oneTouch.price > res.oneTouchAtExpiry.price);
+        }
+        const res = gauss.eqTouchOption(S, 90, T, sigma, 0, 0);
+        assertEqualRounded(res.oneTouch.price, res.oneTouchAtExpiry.price, 14);
+    });
+
+    it('should match driftless reflection principle', function() {
+        const H = 110,
+            s = sigma * Math.sqrt(T),
+            res = gauss.eqTouchOption(S, H, T, sigma, 0, sigma**2 / 2);
+        // for zero drift of log S, P(hit) = 2 N(ln(S/H) / sigma sqrt(T))
+        assertEqualRounded(res.oneTouchAtExpiry.price / Math.exp(-(sigma**2) / 2 * T), 2 * gauss.cdf(Math.log(S / H) / s), 12);
+    });
+
+    it('delta and gamma should match numerical derivatives', function() {
+        for (const H of [80, 120]) {
+            const res = gauss.eqTouchOption(S, H, T, sigma, q, r);
+            for (const key of ['oneTouch', 'oneTouchAtExpiry', 'noTouch']) {
+                const price = x => gauss.eqTouchOption(x, H, T, sigma, q, r)[key].price;
+                assertEqualRelative(res[key].delta, diffquot(price, S), 1e-6);
+                assertEqualRelative(res[key].gamma, diffquot2(price, S), 1e-4);
+            }
+        }
+    });
+
+    it('should fail with bad barrier', function() {
+        assert.throws(() => gauss.eqTouchOption(S, -5, T, sigma, q, r), {name: 'InputError', parameter: 'H', message: 'H must be greater than 0; got -5'});
+    });
+});
+
+describe('eqDoubleBarrierOption', function() {
+    it('should match examples from Haug, The Complete Guide to Option Pricing Formulas', function() {
+        const expected = [
+            [50, 150, [4.3515, 6.1645, 7.0373]],
+            [60, 140, [4.3505, 5.8500, 5.7726]],
+            [70, 130, [4.3139, 4.8293, 3.7765]],
+            [80, 120, [3.7516, 2.6387, 1.4903]],
+            [90, 110, [1.2055, 0.3098, 0.0477]]
+        ];
+        for (const [L, U, prices] of expected) {
+            [0.15, 0.25, 0.35].forEach((sigma, i) => {
+                assertEqualRounded(gauss.eqDoubleBarrierOption(100, 100, L, U, 0.25, sigma, 0, 0.1).call.price, prices[i], 4);
+            });
+        }
+    });
+
+    it('should converge to vanilla options for far away barriers', function() {
+        const res = gauss.eqDoubleBarrierOption(100, 95, 1, 10000, 0.5, 0.2, 0.01, 0.03),
+            vanilla = gauss.eqBlackScholes(100, 95, 0.5, 0.2, 0.01, 0.03);
+        assertEqualRounded(res.call.price, vanilla.call.price, 10);
+        assertEqualRounded(res.put.price, vanilla.put.price, 10);
+        assertEqualRounded(res.call.delta, vanilla.call.delta, 10);
+        assertEqualRounded(res.put.gamma, vanilla.put.gamma, 10);
+    });
+
+    it('should be bounded by the single barrier knock-out options', function() {
+        const res = gauss.eqDoubleBarrierOption(100, 100, 85, 120, 1, 0.25, 0.02, 0.04),
+            down = gauss.eqBarrierOption(100, 100, 85, 1, 0.25, 0.02, 0.04),
+            up = gauss.eqBarrierOption(100, 100, 120, 1, 0.25, 0.02, 0.04);
+        assert.ok(res.call.price > 0 && res.call.price < Math.min(down.downAndOutCall.price, up.upAndOutCall.price));
+        assert.ok(res.put.price > 0 && res.put.price < Math.min(down.downAndOutPut.price, up.upAndOutPut.price));
+    });
+
+    it('delta and gamma should match numerical derivatives', function() {
+        const res = gauss.eqDoubleBarrierOption(100, 100, 80, 130, 0.5, 0.25, 0.02, 0.04);
+        for (const key of ['call', 'put']) {
+            const price = x => gauss.eqDoubleBarrierOption(x, 100, 80, 130, 0.5, 0.25, 0.02, 0.04)[key].price;
+            assertEqualRelative(res[key].delta, diffquot(price, 100), 1e-5);
+            assertEqualRelative(res[key].gamma, diffquot2(price, 100), 1e-4);
+        }
+    });
+
+    it('should be worthless outside the barriers', function() {
+        const res = gauss.eqDoubleBarrierOption(75, 100, 80, 130, 0.5, 0.25, 0.02, 0.04);
+        assert.strictEqual(res.call.price, 0);
+        assert.strictEqual(res.put.price, 0);
+        assert.throws(() => gauss.eqDoubleBarrierOption(100, 100, 130, 80, 0.5, 0.25, 0.02, 0.04));
+    });
+});
+
+describe('stulzFormula', function() {
+    const S1 = 100,
+        S2 = 105,
+        T = 0.5,
+        sigma1 = 0.11,
+        sigma2 = 0.16,
+        rho = 0.63,
+        q1 = 0.06,
+        q2 = 0.09,
+        r = 0.05;
+
+    it('should match example from Haug, The Complete Guide to Option Pricing Formulas', function() {
+        const res = gauss.stulzFormula(S1, S2, 98, T, sigma1, sigma2, rho, q1, q2, r);
+        assertEqualRounded(res.callOnMin.price, 2.934, 3);
+    });
+
+    it('options on max and min should add up to vanilla options', function() {
+        for (let K=80; K<=130; K+=5) {
+            const res = gauss.stulzFormula(S1, S2, K, T, sigma1, sigma2, rho, q1, q2, r),
+                vanilla1 = gauss.eqBlackScholes(S1, K, T, sigma1, q1, r),
+                vanilla2 = gauss.eqBlackScholes(S2, K, T, sigma2, q2, r);
+            assertEqualRounded(res.callOnMax.price + res.callOnMin.price, vanilla1.call.price + vanilla2.call.price, 12);
+            assertEqualRounded(res.putOnMax.price + res.putOnMin.price, vanilla1.put.price + vanilla2.put.price, 12);
+        }
+    });
+
+    it('call on max with zero strike should be first asset plus exchange option', function() {
+        const res = gauss.stulzFormula(S1, S2, 0, T, sigma1, sigma2, rho, q1, q2, r),
+            exchange = gauss.margrabesFormula(S2, S1, T, sigma2, sigma1, rho, q2, q1);
+        assertEqualRounded(res.callOnMax.price, Math.exp(-q1*T) * S1 + exchange.call.price, 12);
+        assertEqualRounded(res.callOnMin.price, Math.exp(-q2*T) * S2 - exchange.call.price, 12);
+    });
+
+    it('should properly scale prices', function() {
+        const res = gauss.stulzFormula(S1, S2, 98, T, sigma1, sigma2, rho, q1, q2, r),
+            resScaled = gauss.stulzFormula(S1, S2, 98, T, sigma1, sigma2, rho, q1, q2, r, -2.5);
+        for (const option of ['callOnMax', 'putOnMax', 'callOnMin', 'putOnMin']) {
+            assertEqualRounded(resScaled[option].price, -2.5 * res[option].price, 12);
+        }
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.stulzFormula(-S1, S2, 98, T, sigma1, sigma2, rho, q1, q2, r));
+        assert.throws(() => gauss.stulzFormula(S1, S2, -98, T, sigma1, sigma2, rho, q1, q2, r));
+        assert.throws(() => gauss.stulzFormula(S1, S2, 98, T, sigma1, sigma2, 1.5, q1, q2, r));
+        assert.throws(() => gauss.stulzFormula(S1, S2, 98, T, 0.2, 0.2, 1, q1, q2, r));
+        assert.throws(() => gauss.stulzFormula(S1, S2, 98, T, sigma1, sigma2, rho, q1, q2, '0.05'));
+    });
+});
+
+describe('twoAssetCorrelationOption', function() {
+    it('should match example from Haug, The Complete Guide to Option Pricing Formulas', function() {
+        const res = gauss.twoAssetCorrelationOption(52, 65, 50, 70, 0.5, 0.2, 0.3, 0.75, 0, 0, 0.1);
+        assertEqualRounded(res.call.price, 4.7073, 4);
+    });
+
+    it('should factorize for zero correlation', function() {
+        const S1 = 52,
+            S2 = 65,
+            T = 0.5,
+            sigma1 = 0.2,
+            q1 = 0.01,
+            r = 0.1;
+        for (let K1=40; K1<=60; K1+=5) {
+            const res = gauss.twoAssetCorrelationOption(S1, S2, K1, 70, T, sigma1, 0.3, 0, q1, 0.02, r),
+                vanilla = gauss.eqBlackScholes(S2, 70, T, 0.3, 0.02, r),
+                trigger = gauss.eqBlackScholes(S1, K1, T, sigma1, q1, r);
+            assertEqualRounded(res.call.price, vanilla.call.price * trigger.N_d2, 12);
+            assertEqualRounded(res.put.price, vanilla.put.price * (1 - trigger.N_d2), 12);
+        }
+    });
+
+    it('should equal vanilla options for trivial trigger', function() {
+        const res = gauss.twoAssetCorrelationOption(52, 65, 1e-50, 70, 0.5, 0.2, 0.3, 0.4, 0, 0.02, 0.1),
+            vanilla = gauss.eqBlackScholes(65, 70, 0.5, 0.3, 0.02, 0.1);
+        assertEqualRounded(res.call.price, vanilla.call.price, 12);
+        assertEqualRounded(res.put.price, 0, 12);
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.twoAssetCorrelationOption(52, 65, 0, 70, 0.5, 0.2, 0.3, 0.75, 0, 0, 0.1));
+        assert.throws(() => gauss.twoAssetCorrelationOption(52, 65, 50, 70, 0.5, 0.2, 0.3, -1.75, 0, 0, 0.1));
+        assert.throws(() => gauss.twoAssetCorrelationOption(52, 65, 50, 70, 0.5, 0.2, 0.3, 0.75, '0', 0, 0.1));
+    });
+});
+
+describe('geskeFormula', function() {
+    const S = 500,
+        K1 = 50,
+        K2 = 520,
+        T1 = 0.25,
+        T2 = 0.5,
+        sigma = 0.35,
+        q = 0.03,
+        r = 0.08;
+
+    it('should match example from Haug, The Complete Guide to Option Pricing Formulas', function() {
+        const res = gauss.geskeFormula(S, K1, K2, T1, T2, sigma, q, r);
+        assertEqualRounded(res.putOnCall.price, 21.1965, 2);
+    });
+
+    it('Put-Call-Parity should hold', function() {
+        for (let compoundStrike=5; compoundStrike<=80; compoundStrike+=15) {
+            const res = gauss.geskeFormula(S, compoundStrike, K2, T1, T2, sigma, q, r),
+                vanilla = gauss.eqBlackScholes(S, K2, T2, sigma, q, r),
+                pvK1 = Math.exp(-r*T1) * compoundStrike;
+            assertEqualRounded(res.callOnCall.price - res.putOnCall.price, vanilla.call.price - pvK1, 10);
+            assertEqualRounded(res.callOnPut.price - res.putOnPut.price, vanilla.put.price - pvK1, 10);
+        }
+    });
+
+    it('critical prices should make underlying option worth the compound strike', function() {
+        const res = gauss.geskeFormula(S, K1, K2, T1, T2, sigma, q, r);
+        assertEqualRounded(gauss.eqBlackScholes(res.criticalPriceCall, K2, T2 - T1, sigma, q, r).call.price, K1, 10);
+        assertEqualRounded(gauss.eqBlackScholes(res.criticalPricePut, K2, T2 - T1, sigma, q, r).put.price, K1, 10);
+    });
+
+    it('should equal vanilla options for zero compound strike', function() {
+        const res = gauss.geskeFormula(S, 0, K2, T1, T2, sigma, q, r),
+            vanilla = gauss.eqBlackScholes(S, K2, T2, sigma, q, r);
+        assertEqualRounded(res.callOnCall.price, vanilla.call.price, 10);
+        assertEqualRounded(res.callOnPut.price, vanilla.put.price, 10);
+    });
+
+    it('call on put should be worthless if put can never exceed the compound strike', function() {
+        const res = gauss.geskeFormula(S, K2, K2, T1, T2, sigma, q, r),
+            vanilla = gauss.eqBlackScholes(S, K2, T2, sigma, q, r);
+        assert.strictEqual(res.criticalPricePut, 0);
+        assertEqualRounded(res.callOnPut.price, 0, 12);
+        assertEqualRounded(res.putOnPut.price, Math.exp(-r*T1) * K2 - vanilla.put.price, 10);
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.geskeFormula(S, K1, K2, T2, T1, sigma, q, r));
+        assert.throws(() => gauss.geskeFormula(S, -K1, K2, T1, T2, sigma, q, r));
+        assert.throws(() => gauss.geskeFormula(S, K1, K2, T1, T2, 0, q, r));
+        assert.throws(() => gauss.geskeFormula('500', K1, K2, T1, T2, sigma, q, r));
+    });
 });
 
 describe('fxBlackScholes', function() {
@@ -622,6 +1120,95 @@ describe('irBlack76', function() {
     });
 });
 
+describe('implied volatility', function() {
+    it('should invert eqBlackScholes for calls and puts', function() {
+        const S = 100,
+            T = 0.75,
+            q = 0.02,
+            r = 0.03;
+        for (let K = 20; K <= 400; K *= 1.25) {
+            for (const sigma of [0.01, 0.1, 0.25, 0.5, 1.5]) {
+                const res = gauss.eqBlackScholes(S, K, T, sigma, q, r),
+                    timeValue = Math.min(res.call.price, res.put.price);
+                for (const optionType of ['call', 'put']) {
+                    if (timeValue > 1e-12 * S) { // time values of the order of rounding errors carry no information
+                        const impliedVol = gauss.eqBlackScholesImpliedVolatility(res[optionType].price, optionType, S, K, T, q, r);
+                        assertEqualRounded(impliedVol, sigma, 6);
+                    }
+                }
+            }
+        }
+    });
+
+    it('should invert fxBlackScholes, irBlack76 and margrabesFormulaShort', function() {
+        const sigma = 0.17,
+            T = 1.5,
+            digits = 8,
+            fx = gauss.fxBlackScholes(1.2, 1.3, T, sigma, 0.01, 0.04),
+            ir = gauss.irBlack76(0.02, 0.025, T, sigma, 0.03),
+            margrabe = gauss.margrabesFormulaShort(123, 110, T, sigma, 0.02, 0.01);
+        assertEqualRounded(gauss.fxBlackScholesImpliedVolatility(fx.call.price, 'call', 1.2, 1.3, T, 0.01, 0.04), sigma, digits);
+        assertEqualRounded(gauss.fxBlackScholesImpliedVolatility(fx.put.price, 'put', 1.2, 1.3, T, 0.01, 0.04), sigma, digits);
+        assertEqualRounded(gauss.irBlack76ImpliedVolatility(ir.call.price, 'call', 0.02, 0.025, T, 0.03), sigma, digits);
+        assertEqualRounded(gauss.irBlack76ImpliedVolatility(ir.put.price, 'put', 0.02, 0.025, T, 0.03), sigma, digits);
+        assertEqualRounded(gauss.margrabesFormulaShortImpliedVolatility(margrabe.call.price, 'call', 123, 110, T, 0.02, 0.01), sigma, digits);
+        assertEqualRounded(gauss.margrabesFormulaShortImpliedVolatility(margrabe.put.price, 'put', 123, 110, T, 0.02, 0.01), sigma, digits);
+    });
+
+    it('should handle short expiries', function() {
+        const S = 100,
+            sigma = 0.3;
+        for (const T of [1e-6, 1e-4, 1/365]) {
+            for (const K of [S*Math.exp(-sigma*Math.sqrt(T)), S, S*Math.exp(sigma*Math.sqrt(T))]) {
+                const res = gauss.eqBlackScholes(S, K, T, sigma, 0, 0.01);
+                assertEqualRounded(gauss.eqBlackScholesImpliedVolatility(res.call.price, 'call', S, K, T, 0, 0.01), sigma, 6);
+                assertEqualRounded(gauss.eqBlackScholesImpliedVolatility(res.put.price, 'put', S, K, T, 0, 0.01), sigma, 6);
+            }
+        }
+    });
+
+    it('should respect scale', function() {
+        const S = 100,
+            K = 110,
+            T = 2,
+            sigma = 0.22;
+        for (const scale of [-3, 0.5, 1000]) {
+            const res = gauss.eqBlackScholes(S, K, T, sigma, 0.01, 0.02, scale);
+            assertEqualRounded(gauss.eqBlackScholesImpliedVolatility(res.call.price, 'call', S, K, T, 0.01, 0.02, scale), sigma, 10);
+        }
+    });
+
+    it('should return zero volatility for discounted intrinsic value', function() {
+        const S = 100,
+            T = 1,
+            r = 0.05,
+            df = Math.exp(-r*T);
+        assert.strictEqual(gauss.eqBlackScholesImpliedVolatility(S - 90*df, 'call', S, 90, T, 0, r), 0);
+        assert.strictEqual(gauss.eqBlackScholesImpliedVolatility(0, 'put', S, 90, T, 0, r), 0);
+    });
+
+    it('should fail for prices outside of no-arbitrage bounds', function() {
+        const S = 100,
+            K = 90,
+            T = 1,
+            r = 0.05;
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(-1, 'put', S, K, T, 0, r), /no-arbitrage/);
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(5, 'call', S, K, T, 0, r), /no-arbitrage/);
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(S, 'call', S, K, T, 0, r), /no-arbitrage/);
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(K, 'put', S, K, T, 0, r), /no-arbitrage/);
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility('1', 'call', 100, 100, 1, 0, 0));
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(1, 'straddle', 100, 100, 1, 0, 0));
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(1, 'call', 0, 100, 1, 0, 0));
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(1, 'call', 100, 0, 1, 0, 0));
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(1, 'call', 100, 100, 0, 0, 0));
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(1, 'call', 100, 100, 1, 0, 0, 0));
+        assert.throws(() => gauss.irBlack76ImpliedVolatility(1, 'call', '100', 100, 1, 0));
+    });
+});
+
 describe('irBlack76CapletFloorlet', function() {
     it('should match caplet example from Hull 28.3', function() {
         const volatility = 0.2,
@@ -711,6 +1298,227 @@ describe('irBlack76CapletFloorlet', function() {
     });
 });
 
+describe('irBachelier', function() {
+    it('should match closed form at-the-money price', function() {
+        const F = -0.002,
+            T = 2,
+            sigma = 0.007,
+            r = 0.01;
+        const res = gauss.irBachelier(F, F, T, sigma, r);
+        assertEqualRounded(res.call.price, Math.exp(-r*T) * sigma * Math.sqrt(T) / Math.sqrt(2 * Math.PI), 15);
+        assertEqualRounded(res.put.price, res.call.price, 15);
+        assertEqualRounded(res.digitalCall.price, Math.exp(-r*T) / 2, 15);
+    });
+
+    it('Put-Call-Parity should hold for negative forwards and strikes', function() {
+        const T = 1.5,
+            sigma = 0.008,
+            r = -0.005,
+            df = Math.exp(-r*T);
+        for (let F = -0.02; F <= 0.02; F += 0.005) {
+            for (let K = -0.02; K <= 0.02; K += 0.0025) {
+                const res = gauss.irBachelier(F, K, T, sigma, r);
+                assertEqualRounded(res.call.price - res.put.price, df * (F - K), 15);
+                assertEqualRounded(res.digitalCall.price + res.digitalPut.price, df, 15);
+            }
+        }
+    });
+
+    it('should be close to irBlack76 at-the-money with matching volatilities', function() {
+        const F = 0.03,
+            T = 0.5,
+            sigma = 0.1,
+            r = 0.02;
+        const black = gauss.irBlack76(F, F, T, sigma, r),
+            bachelier = gauss.irBachelier(F, F, T, sigma * F, r);
+        assertEqualRounded(bachelier.call.price, black.call.price, 6);
+        assertEqualRounded(bachelier.put.price, black.put.price, 6);
+    });
+
+    it('should handle zero volatility', function() {
+        const T = 1,
+            r = 0.02,
+            df = Math.exp(-r*T);
+        for (let K = -0.01; K <= 0.01; K += 0.0025) {
+            const res = gauss.irBachelier(0.001, K, T, 0, r);
+            assertEqualRounded(res.call.price, df * Math.max(0.001 - K, 0), 15);
+            assertEqualRounded(res.put.price, df * Math.max(K - 0.001, 0), 15);
+        }
+    });
+
+    it('greeks should be equal to numerical differentiation', function() {
+        const T = 1.5,
+            sigma = 0.008,
+            r = 0.01,
+            tolerance = 1e-5;
+        for (let K = -0.01; K <= 0.01; K += 0.0025) {
+            const F = 0.002,
+                res = gauss.irBachelier(F, K, T, sigma, r, 10000);
+            for (const optionType of ['call', 'put', 'digitalCall', 'digitalPut']) {
+                const byF = f => gauss.irBachelier(f, K, T, sigma, r, 10000)[optionType],
+                    bySigma = s => gauss.irBachelier(F, K, T, s, r, 10000)[optionType],
+                    byT = t => gauss.irBachelier(F, K, t, sigma, r, 10000)[optionType],
+                    byR = x => gauss.irBachelier(F, K, T, sigma, x, 10000)[optionType],
+                    greeks = res[optionType];
+                assertEqualRelative(greeks.delta, diffquot(f => byF(f).price, F), tolerance);
+                assertEqualRelative(greeks.gamma, diffquot(f => byF(f).delta, F), tolerance);
+                assertEqualRelative(greeks.vega, diffquot(s => bySigma(s).price, sigma), tolerance);
+                assertEqualRelative(greeks.theta, -diffquot(t => byT(t).price, T), tolerance);
+                assertEqualRelative(greeks.rhoDom, diffquot(x => byR(x).price, r), tolerance);
+                assertEqualRelative(greeks.vanna, diffquot(s => bySigma(s).delta, sigma), tolerance);
+                assertEqualRelative(greeks.volga, diffquot(s => bySigma(s).vega, sigma), tolerance);
+                assertEqualRelative(greeks.charm, -diffquot(t => byT(t).delta, T), tolerance);
+            }
+        }
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.irBachelier('0.01', 0.01, 1, 0.01, 0));
+        assert.throws(() => gauss.irBachelier(0.01, '0.01', 1, 0.01, 0));
+        assert.throws(() => gauss.irBachelier(0.01, 0.01, -1, 0.01, 0));
+        assert.throws(() => gauss.irBachelier(0.01, 0.01, 1, -0.01, 0));
+        assert.throws(() => gauss.irBachelier(0.01, 0.01, 1, 0.01, '0'));
+    });
+});
+
+describe('irBachelierImpliedVolatility', function() {
+    it('should invert irBachelier', function() {
+        const T = 2,
+            r = 0.01;
+        for (let F = -0.01; F <= 0.03; F += 0.01) {
+            for (let K = -0.02; K <= 0.04; K += 0.005) {
+                for (const sigma of [0.001, 0.005, 0.01, 0.02]) {
+                    const res = gauss.irBachelier(F, K, T, sigma, r),
+                        timeValue = Math.min(res.call.price, res.put.price);
+                    if (timeValue > 1e-12 * sigma) { // time values of the order of rounding errors carry no information
+                        assertEqualRounded(gauss.irBachelierImpliedVolatility(res.call.price, 'call', F, K, T, r), sigma, 8);
+                        assertEqualRounded(gauss.irBachelierImpliedVolatility(res.put.price, 'put', F, K, T, r), sigma, 8);
+                    }
+                }
+            }
+        }
+    });
+
+    it('should respect scale', function() {
+        const res = gauss.irBachelier(0.01, 0.015, 3, 0.006, 0.02, -1e6);
+        assertEqualRounded(gauss.irBachelierImpliedVolatility(res.call.price, 'call', 0.01, 0.015, 3, 0.02, -1e6), 0.006, 12);
+    });
+
+    it('should fail for prices below intrinsic value', function() {
+        assert.throws(() => gauss.irBachelierImpliedVolatility(0.001, 'call', 0.01, 0, 1, 0), /no-arbitrage/);
+        assert.throws(() => gauss.irBachelierImpliedVolatility(-0.001, 'put', 0.01, 0, 1, 0), /no-arbitrage/);
+        assert.throws(() => gauss.irBachelierImpliedVolatility(1, 'straddle', 0.01, 0, 1, 0));
+    });
+});
+
+describe('irBachelierCapletFloorlet', function() {
+    it('should be close to irBlack76CapletFloorlet at-the-money with matching volatilities', function() {
+        const spotCurve = gauss.irLinearInterpolationSpotCurve([{t: 0.5, rate: 0.02}, {t: 3, rate: 0.03}]),
+            libor = {t: 1, T: 1.5, notional: 1e6},
+            forwardRate = gauss.irForwardLinearRate(libor, gauss.irSpotCurve2DiscountCurve(spotCurve)),
+            sigma = 0.1,
+            black = gauss.irBlack76CapletFloorlet(libor, forwardRate, sigma, spotCurve),
+            bachelier = gauss.irBachelierCapletFloorlet(libor, forwardRate, sigma * forwardRate, spotCurve);
+        assertEqualRelative(bachelier.call.price, black.call.price, 1e-3);
+        assertEqualRelative(bachelier.put.price, black.put.price, 1e-3);
+    });
+
+    it('should price negative strikes and fixed rates', function() {
+        const spotCurve = gauss.irLinearInterpolationSpotCurve([{t: 0.5, rate: -0.004}, {t: 3, rate: -0.001}]),
+            discountCurve = gauss.irSpotCurve2DiscountCurve(spotCurve),
+            notional = 10000;
+        for (const libor of [{t: -0.25, T: 0.25, notional: notional}, {t: 1, T: 1.5, notional: notional}]) {
+            const forwardRate = gauss.irForwardLinearRate(libor, discountCurve),
+                res = gauss.irBachelierCapletFloorlet(libor, -0.002, 0.005, spotCurve),
+                forward = notional * (libor.T - libor.t) * (forwardRate + 0.002) * discountCurve(libor.T);
+            assertEqualRounded(res.call.price - res.put.price, forward, 10);
+        }
+    });
+});
+
+describe('irBachelierBondOption', function() {
+    it('should be close to irBlack76BondOption at-the-money with matching volatilities', function() {
+        const bond = new gauss.Bond(100, 0.03, 0, 10, gauss.irFrequency.annually),
+            spotCurve = gauss.irLinearInterpolationSpotCurve([{t: 1, rate: 0.02}, {t: 10, rate: 0.03}]),
+            T = 0.5,
+            sigma = 0.05,
+            bondForward = bond.forwardDirtyPrice(gauss.irSpotCurve2DiscountCurve(spotCurve), T),
+            black = gauss.irBlack76BondOption(bond, bondForward, T, sigma, spotCurve),
+            bachelier = gauss.irBachelierBondOption(bond, bondForward, T, sigma * bondForward, spotCurve);
+        assertEqualRelative(bachelier.call.price, black.call.price, 1e-3);
+        assertEqualRelative(bachelier.put.price, black.put.price, 1e-3);
+    });
+});
+
+describe('swaptions', function() {
+    const spotCurve = gauss.irLinearInterpolationSpotCurve([{t: 0.5, rate: 0.01}, {t: 2, rate: 0.02}, {t: 10, rate: 0.03}]),
+        discCurve = gauss.irSpotCurve2DiscountCurve(spotCurve),
+        swaps = [
+            new gauss.Swap(100, 0.025, 1, 6, gauss.irFrequency.annually, gauss.irFrequency.semiannually),
+            new gauss.Swap(250, 0.035, 2, 4.5, gauss.irFrequency.semiannually),
+            new gauss.Swap(-100, 0.02, 0.5, 10, gauss.irFrequency.annually, gauss.irFrequency.quarterly)
+        ];
+
+    it('payer minus receiver swaption should equal the swap value if physically settled', function() {
+        for (const swap of swaps) {
+            const black = gauss.irBlack76Swaption(swap, 0.2, spotCurve),
+                bachelier = gauss.irBachelierSwaption(swap, 0.006, spotCurve, gauss.irSwaptionSettlement.physical);
+            assertEqualRounded(black.call.price - black.put.price, swap.price(discCurve), 10);
+            assertEqualRounded(bachelier.call.price - bachelier.put.price, swap.price(discCurve), 10);
+        }
+    });
+
+    it('payer minus receiver swaption should equal discounted par-yield annuity value if cash-settled', function() {
+        const swap = new gauss.Swap(100, 0.025, 1, 3, gauss.irFrequency.annually),
+            F = swap.parRate(discCurve),
+            annuity = 1 / (1 + F) + 1 / (1 + F)**2,
+            expected = 100 * (F - 0.025) * annuity * discCurve(1),
+            black = gauss.irBlack76Swaption(swap, 0.2, spotCurve, gauss.irSwaptionSettlement.cash),
+            bachelier = gauss.irBachelierSwaption(swap, 0.006, spotCurve, gauss.irSwaptionSettlement.cash);
+        assertEqualRounded(black.call.price - black.put.price, expected, 10);
+        assertEqualRounded(bachelier.call.price - bachelier.put.price, expected, 10);
+    });
+
+    it('cash-settled swaptions should be close to physically settled swaptions', function() {
+        for (const swap of swaps) {
+            const physical = gauss.irBlack76Swaption(swap, 0.2, spotCurve, gauss.irSwaptionSettlement.physical),
+                cash = gauss.irBlack76Swaption(swap, 0.2, spotCurve, gauss.irSwaptionSettlement.cash);
+            assertEqualRelative(cash.call.price, physical.call.price, 2e-2);
+            assertEqualRelative(cash.put.price, physical.put.price, 2e-2);
+        }
+    });
+
+    it('swaption on single period swap should equal caplet / floorlet', function() {
+        const swap = new gauss.Swap(100, 0.02, 1, 2, gauss.irFrequency.annually),
+            floatingRate = {t: 1, T: 2, notional: 100},
+            swaption = gauss.irBlack76Swaption(swap, 0.2, spotCurve),
+            caplet = gauss.irBlack76CapletFloorlet(floatingRate, 0.02, 0.2, spotCurve),
+            normalSwaption = gauss.irBachelierSwaption(swap, 0.006, spotCurve),
+            normalCaplet = gauss.irBachelierCapletFloorlet(floatingRate, 0.02, 0.006, spotCurve);
+        assertEqualRounded(swaption.call.price, caplet.call.price, 12);
+        assertEqualRounded(swaption.put.price, caplet.put.price, 12);
+        assertEqualRounded(normalSwaption.call.price, normalCaplet.call.price, 12);
+        assertEqualRounded(normalSwaption.put.price, normalCaplet.put.price, 12);
+    });
+
+    it('normal swaptions should be close to lognormal swaptions at-the-money with matching volatilities', function() {
+        const swap = swaps[0],
+            atmSwap = new gauss.Swap(swap.notional, swap.parRate(discCurve), swap.start, swap.end,
+                swap.fixedFrequency, swap.floatingFrequency),
+            black = gauss.irBlack76Swaption(atmSwap, 0.2, spotCurve),
+            bachelier = gauss.irBachelierSwaption(atmSwap, 0.2 * atmSwap.fixedRate, spotCurve);
+        assertEqualRelative(bachelier.call.price, black.call.price, 5e-3);
+        assertEqualRelative(bachelier.put.price, black.put.price, 5e-3);
+    });
+
+    it('should fail with bad parameters', function() {
+        const spotSwap = new gauss.Swap(100, 0.02, 0, 5, gauss.irFrequency.annually);
+        assert.throws(() => gauss.irBlack76Swaption(spotSwap, 0.2, spotCurve));
+        assert.throws(() => gauss.irBlack76Swaption(swaps[0], 0.2, spotCurve, 'physically'));
+        assert.throws(() => gauss.irBachelierSwaption(undefined, 0.006, spotCurve));
+    });
+});
+
 describe('irForwardPrice', function() {
     const rate = 0.05;
     const flatDiscCurve = gauss.irFlatDiscountCurve(rate);
@@ -1120,4 +1928,1398 @@ describe('Bond', function() {
             }
         }
     });
-});
\ No newline at end of file
+});
+
+describe('Bond analytics', function() {
+    const bond = new gauss.Bond(100, 0.04, 0, 5, gauss.irFrequency.annually),
+        seasonedBond = new gauss.Bond(100, 0.05, -0.25, 4.75, gauss.irFrequency.semiannually),
+        curve = gauss.irSpotCurve2DiscountCurve(gauss.irLinearInterpolationSpotCurve([{t: 1, rate: 0.02}, {t: 5, rate: 0.035}])),
+        bonds = [bond, seasonedBond];
+
+    it('should accrue interest since last coupon payment', function() {
+        assert.strictEqual(bond.accruedInterest(), 0);
+        assertEqualRounded(bond.accruedInterest(1.25), 1, 14);
+        assert.strictEqual(bond.accruedInterest(1), 0);
+        assert.strictEqual(bond.accruedInterest(5), 0);
+        assert.strictEqual(bond.accruedInterest(-1), 0);
+        assertEqualRounded(seasonedBond.accruedInterest(), 1.25, 14);
+        assert.strictEqual(new gauss.Bond(100, 0, -1, 4, gauss.irFrequency.annually).accruedInterest(), 0);
+        assert.throws(() => bond.accruedInterest('1'));
+    });
+
+    it('clean price should equal dirty price minus accrued interest', function() {
+        assertEqualRounded(seasonedBond.cleanPrice(curve), seasonedBond.dirtyPrice(curve) - 1.25, 12);
+        assertEqualRounded(bond.cleanPrice(curve, 1.25), bond.forwardDirtyPrice(curve, 1.25) - 1, 12);
+        assert.strictEqual(bond.cleanPrice(curve), bond.dirtyPrice(curve));
+    });
+
+    it('price from yield should invert yield to maturity', function() {
+        for (const b of bonds) {
+            for (const npv of [80, 100, 120]) {
+                assertEqualRounded(b.priceFromYield(b.yieldToMaturity(npv)), npv, 7);
+            }
+        }
+    });
+
+    it('modified duration, convexity and DV01 should match numerical derivatives', function() {
+        for (const b of bonds) {
+            for (const npv of [80, 100, 120]) {
+                const y0 = b.yieldToMaturity(npv),
+                    price = y => b.priceFromYield(y);
+                assertEqualRelative(b.modifiedDuration(npv), -diffquot(price, y0) / npv, 1e-6);
+                assertEqualRelative(b.convexity(npv), diffquot2(price, y0) / npv, 1e-4);
+                assertEqualRelative(b.dv01(npv), (price(y0 - 0.00005) - price(y0 + 0.00005)), 1e-8);
+            }
+        }
+        assertEqualRounded(new gauss.Bond(100, 0, 0, 5, gauss.irFrequency.annually).convexity(70), 25, 8);
+    });
+
+    it('z-spread should reproduce given spread over curve', function() {
+        for (const b of bonds) {
+            for (const spread of [-0.01, 0, 0.005, 0.02]) {
+                const spreadCurve = t => curve(t) * Math.exp(-spread * t),
+                    npv = b.dirtyPrice(spreadCurve);
+                assertEqualRounded(b.zSpread(npv, curve), spread, 10);
+            }
+        }
+    });
+
+    it('z-spread over zero curve should equal yield to maturity', function() {
+        for (const npv of [90, 100, 110]) {
+            assertEqualRounded(bond.zSpread(npv, gauss.irFlatDiscountCurve(0)), bond.yieldToMaturity(npv), 7);
+        }
+        assert.throws(() => bond.zSpread('100', curve));
+        assert.throws(() => bond.zSpread(100));
+    });
+});
+
+describe('Bond with stubs, step coupons and amortization', function() {
+    const coupons = bond => bond.cashflows.slice(0, -1).map(cf => [cf.t, cf.value]);
+
+    it('should support front and back, short and long stubs', function() {
+        const bond = stub => new gauss.Bond(100, 0.04, 0, 2.5, gauss.irFrequency.annually, stub);
+        assert.deepStrictEqual(coupons(bond()), [[0.5, 2], [1.5, 4], [2.5, 4]]);
+        assert.deepStrictEqual(coupons(bond(gauss.irStub.shortFront)), [[0.5, 2], [1.5, 4], [2.5, 4]]);
+        assert.deepStrictEqual(coupons(bond(gauss.irStub.longFront)), [[1.5, 6], [2.5, 4]]);
+        assert.deepStrictEqual(coupons(bond(gauss.irStub.shortBack)), [[1, 4], [2, 4], [2.5, 2]]);
+        assert.deepStrictEqual(coupons(bond(gauss.irStub.longBack)), [[1, 4], [2.5, 6]]);
+        const regular = new gauss.Bond(100, 0.04, 0, 3, gauss.irFrequency.annually, gauss.irStub.longBack);
+        assert.deepStrictEqual(coupons(regular), [[1, 4], [2, 4], [3, 4]]);
+        assertEqualRounded(bond(gauss.irStub.longFront).accruedInterest(1), 4, 14);
+    });
+
+    it('should support step-up coupons', function() {
+        const bond = new gauss.Bond(100, [{t: 2, coupon: 0.04}, {t: 0, coupon: 0.02}], 0, 4, gauss.irFrequency.annually);
+        assert.deepStrictEqual(coupons(bond), [[1, 2], [2, 2], [3, 4], [4, 4]]);
+        assertEqualRounded(bond.accruedInterest(2.5), 2, 14);
+        const zeroThenCoupon = new gauss.Bond(100, [{t: 0, coupon: 0}, {t: 1, coupon: 0.03}], 0, 2, gauss.irFrequency.annually);
+        assert.deepStrictEqual(zeroThenCoupon.cashflows, [{t: 2, value: 3}, {t: 2, value: 100}]);
+    });
+
+    it('should support amortizing notionals', function() {
+        const bond = new gauss.Bond(100, 0.05, 0, 3, gauss.irFrequency.annually, undefined,
+            [{t: 2, value: 30}, {t: 1, value: 30}]);
+        assert.deepStrictEqual(bond.cashflows, [{t: 1, value: 5}, {t: 1, value: 30}, {t: 2, value: 3.5},
+            {t: 2, value: 30}, {t: 3, value: 2}, {t: 3, value: 40}]);
+        const curve = gauss.irFlatDiscountCurve(0.03),
+            bullets = [[30, 1], [30, 2], [40, 3]].map(([notional, end]) =>
+                new gauss.Bond(notional, 0.05, 0, end, gauss.irFrequency.annually).dirtyPrice(curve));
+        assertEqualRounded(bond.dirtyPrice(curve), bullets.reduce((x, y) => x + y, 0), 12);
+        assertEqualRounded(bond.accruedInterest(1.5), 0.05 * 70 * 0.5, 14);
+    });
+
+    it('should accrue coupons on outstanding notional for redemptions within coupon periods', function() {
+        const bond = new gauss.Bond(100, 0.04, 0, 2, gauss.irFrequency.annually, undefined, [{t: 0.5, value: 50}]);
+        assert.deepStrictEqual(bond.cashflows, [{t: 0.5, value: 50}, {t: 1, value: 3}, {t: 2, value: 2}, {t: 2, value: 50}]);
+        assertEqualRounded(bond.accruedInterest(0.75), 2 + 0.5, 14);
+    });
+
+    it('yield and duration should work unchanged on generalized cashflows', function() {
+        const bonds = [
+            new gauss.Bond(100, 0.05, 0, 3, gauss.irFrequency.annually, undefined, [{t: 1, value: 30}, {t: 2, value: 30}]),
+            new gauss.Bond(100, [{t: 0, coupon: 0.02}, {t: 2, coupon: 0.06}], 0, 4.5, gauss.irFrequency.semiannually, gauss.irStub.longBack)
+        ];
+        for (const bond of bonds) {
+            for (const npv of [90, 100, 110]) {
+                const y0 = bond.yieldToMaturity(npv),
+                    price = y => bond.dirtyPrice(gauss.irFlatDiscountCurve(y));
+                assertEqualRounded(price(y0), npv, 7);
+                assert.ok(bond.duration(npv) > 0 && bond.duration(npv) < bond.end);
+                assertEqualRelative(bond.duration(npv), -diffquot(price, y0) / npv, 1e-6);
+            }
+        }
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => new gauss.Bond(100, 0.04, 0, 2, gauss.irFrequency.annually, 'front'));
+        assert.throws(() => new gauss.Bond(100, [], 0, 2, gauss.irFrequency.annually));
+        assert.throws(() => new gauss.Bond(100, [{t: 0, coupon: '0.04'}], 0, 2, gauss.irFrequency.annually));
+        assert.throws(() => new gauss.Bond(100, 0.04, 0, 2, gauss.irFrequency.annually, undefined, [{t: 2, value: 50}]));
+        assert.throws(() => new gauss.Bond(100, 0.04, 0, 2, gauss.irFrequency.annually, undefined, [{t: 1, value: 150}]));
+        assert.throws(() => new gauss.Bond(100, 0.04, 0, 2, gauss.irFrequency.annually, undefined, {t: 1, value: 50}));
+    });
+});
+
+describe('Swap', function() {
+    const swap1 = new gauss.Swap(100, 0.03, 0, 5, gauss.irFrequency.annually),
+        swap2 = new gauss.Swap(100, 0.02, 0, 2, gauss.irFrequency.annually, gauss.irFrequency.quarterly),
+        swap3 = new gauss.Swap(-50, 0.04, 2, 7.5, gauss.irFrequency.semiannually, gauss.irFrequency.quarterly),
+        curve0 = gauss.irFlatDiscountCurve(0.0),
+        curve1 = gauss.irFlatDiscountCurve(0.02),
+        curve2 = gauss.irSpotCurve2DiscountCurve(gauss.irLinearInterpolationSpotCurve(
+            [{t: 0, rate: -0.01}, {t: 2, rate: 0.01}, {t: 10, rate: 0.03}])),
+        swaps = [swap1, swap2, swap3],
+        curves = [curve0, curve1, curve2];
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => new gauss.Swap('100', 0.03, 0, 5, gauss.irFrequency.annually));
+        assert.throws(() => new gauss.Swap(100, '0.03', 0, 5, gauss.irFrequency.annually));
+        assert.throws(() => new gauss.Swap(100, 0.03, 0, 5, 'annually'));
+        assert.throws(() => new gauss.Swap(100, 0.03, 0, 5, gauss.irFrequency.annually, 0));
+        assert.throws(() => new gauss.Swap(0, 0.03, 0, 5, gauss.irFrequency.annually).parRate(curve1));
+    });
+
+    it('should have some expected example cashflows', function() {
+        assert.deepStrictEqual(swap2.fixedLegCashflows, [{t: 1, value: 2}, {t: 2, value: 2}]);
+        assert.deepStrictEqual(swap2.floatingLegCashflows.slice(0, 2),
+            [{t: 0, T: 0.25, notional: 100}, {t: 0.25, T: 0.5, notional: 100}]);
+        assert.strictEqual(swap2.floatingLegCashflows.length, 8);
+    });
+
+    it('should have value 0 when fixed rate equals par rate', function() {
+        for (const swap of swaps) {
+            for (const curve of curves) {
+                const parRate = swap.parRate(curve),
+                    parSwap = new gauss.Swap(swap.notional, parRate, swap.start, swap.end,
+                        swap.fixedFrequency, swap.floatingFrequency);
+                assertEqualRounded(parSwap.price(curve), 0, 12);
+                assertEqualRounded(swap.price(curve), swap.notional * (parRate - swap.fixedRate) * swap.annuity(curve), 12);
+            }
+        }
+    });
+
+    it('par rate should match discount factor formula', function() {
+        for (const swap of swaps) {
+            for (const curve of curves) {
+                const expected = (curve(swap.start) - curve(swap.end)) / swap.annuity(curve);
+                assertEqualRounded(swap.parRate(curve), expected, 12);
+            }
+        }
+    });
+
+    it('should have annuity equal to sum of yearfractions if interest rate is 0', function() {
+        assert.strictEqual(swap1.annuity(curve0), 5);
+        assert.strictEqual(swap3.annuity(curve0), 5.5);
+        assertEqualRounded(swap1.pv01(curve0), 0.05, 14);
+    });
+
+    it('PV01 should match numerical derivative by fixed rate', function() {
+        for (const swap of swaps) {
+            const price = fixedRate => new gauss.Swap(swap.notional, fixedRate, swap.start, swap.end,
+                swap.fixedFrequency, swap.floatingFrequency).price(curve2);
+            assertEqualRounded(swap.pv01(curve2), -diffquot(price, swap.fixedRate) * 0.0001, 8);
+        }
+    });
+
+    it('forward price should match discounted price', function() {
+        for (const swap of swaps) {
+            for (const curve of curves) {
+                assertEqualRounded(swap.forwardPrice(curve, swap.start) * curve(swap.start), swap.price(curve), 12);
+                assertEqualRounded(swap.annuity(curve, swap.start) * curve(swap.start), swap.annuity(curve), 12);
+            }
+        }
+    });
+});
+
+describe('CapFloor', function() {
+    const spotCurve = gauss.irLinearInterpolationSpotCurve([{t: 0.5, rate: 0.01}, {t: 2, rate: 0.02}, {t: 10, rate: 0.03}]),
+        discCurve = gauss.irSpotCurve2DiscountCurve(spotCurve),
+        cap = new gauss.CapFloor(100, 0.025, 0, 5, gauss.irFrequency.quarterly),
+        forwardCap = new gauss.CapFloor(100, 0.02, 1, 3.5, gauss.irFrequency.semiannually);
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => new gauss.CapFloor('100', 0.025, 0, 5, gauss.irFrequency.quarterly));
+        assert.throws(() => new gauss.CapFloor(100, 0.025, 0, 5, 'quarterly'));
+        assert.throws(() => cap.price([0.2, 0.2], spotCurve));
+        assert.throws(() => cap.impliedVolatility(1, 'call', spotCurve));
+        assert.throws(() => cap.impliedVolatility(-1, 'cap', spotCurve));
+        assert.throws(() => cap.impliedVolatility(100, 'cap', spotCurve));
+    });
+
+    it('should have expected example floating rates', function() {
+        assert.deepStrictEqual(forwardCap.floatingRates.slice(0, 2),
+            [{t: 1, T: 1.5, notional: 100}, {t: 1.5, T: 2, notional: 100}]);
+        assert.strictEqual(forwardCap.floatingRates.length, 5);
+        assert.strictEqual(cap.floatingRates.length, 20);
+    });
+
+    it('should sum up individual caplets and floorlets', function() {
+        const res = forwardCap.price(0.2, spotCurve);
+        let capPrice = 0,
+            floorPrice = 0;
+        for (const floatingRate of forwardCap.floatingRates) {
+            capPrice += gauss.irBlack76CapletFloorlet(floatingRate, 0.02, 0.2, spotCurve).call.price;
+            floorPrice += gauss.irBlack76CapletFloorlet(floatingRate, 0.02, 0.2, spotCurve).put.price;
+        }
+        assert.strictEqual(res.caplets.length, 5);
+        assertEqualRounded(res.cap, capPrice, 13);
+        assertEqualRounded(res.floor, floorPrice, 13);
+    });
+
+    it('cap minus floor should equal the corresponding swap', function() {
+        const res = forwardCap.price(0.2, spotCurve),
+            swap = new gauss.Swap(100, 0.02, 1, 3.5, gauss.irFrequency.semiannually);
+        assertEqualRounded(res.cap - res.floor, swap.price(discCurve), 12);
+    });
+
+    it('implied volatility should reproduce flat volatility', function() {
+        for (const sigma of [0.05, 0.2, 0.5, 1.2]) {
+            const res = cap.price(sigma, spotCurve),
+                forwardRes = forwardCap.price(sigma, spotCurve);
+            assertEqualRounded(cap.impliedVolatility(res.cap, 'cap', spotCurve), sigma, 10);
+            assertEqualRounded(cap.impliedVolatility(res.floor, 'floor', spotCurve), sigma, 10);
+            assertEqualRounded(forwardCap.impliedVolatility(forwardRes.cap, 'cap', spotCurve), sigma, 10);
+        }
+        assert.strictEqual(cap.impliedVolatility(cap.price(0, spotCurve).cap, 'cap', spotCurve), 0);
+    });
+
+    it('stripped caplet volatilities should reprice quoted caps', function() {
+        const capVolatilities = [{T: 2, sigma: 0.3}, {T: 1, sigma: 0.25}, {T: 3, sigma: 0.28}, {T: 5, sigma: 0.24}],
+            capletVolatilities = gauss.irStripCapletVolatilities(capVolatilities, 0.025, 0, gauss.irFrequency.quarterly, spotCurve);
+        assert.strictEqual(capletVolatilities.length, 20);
+        for (const {T, sigma} of capVolatilities) {
+            const quotedCap = new gauss.CapFloor(100, 0.025, 0, T, gauss.irFrequency.quarterly),
+                nCaplets = quotedCap.floatingRates.length;
+            assertEqualRounded(quotedCap.price(capletVolatilities.slice(0, nCaplets), spotCurve).cap,
+                quotedCap.price(sigma, spotCurve).cap, 10);
+        }
+        assert.ok(capletVolatilities[5] > 0.3); // second year caplets need higher vol
+    });
+
+    it('stripping flat cap volatilities should yield flat caplet volatilities', function() {
+        const capletVolatilities = gauss.irStripCapletVolatilities([{T: 1, sigma: 0.2}, {T: 2.5, sigma: 0.2}],
+            0.02, 0.5, gauss.irFrequency.semiannually, spotCurve);
+        for (const sigma of capletVolatilities) {
+            assertEqualRounded(sigma, 0.2, 10);
+        }
+    });
+
+    it('stripping should fail for non-nested schedules', function() {
+        assert.throws(() => gauss.irStripCapletVolatilities([{T: 1.1, sigma: 0.2}, {T: 2, sigma: 0.2}],
+            0.02, 0, gauss.irFrequency.quarterly, spotCurve));
+    });
+});
+
+describe('irBootstrapCurve', function() {
+    const instruments = [
+        {type: 'deposit', T: 0.25, rate: 0.011},
+        {type: gauss.irCurveInstrumentType.deposit, T: 0.5, rate: 0.012},
+        {type: 'fra', t: 0.5, T: 1, rate: 0.014},
+        {type: 'future', t: 1, T: 1.25, price: 98.45},
+        {type: 'future', t: 1.25, T: 1.5, price: 98.35, convexityAdjustment: 0.0001},
+        {type: 'swap', T: 3, rate: 0.018, frequency: gauss.irFrequency.annually},
+        {type: 'swap', T: 2, rate: 0.0165, frequency: gauss.irFrequency.semiannually},
+        {type: 'swap', T: 5, rate: 0.021, frequency: gauss.irFrequency.annually},
+        {type: 'swap', T: 10, rate: 0.025, frequency: gauss.irFrequency.annually}
+    ];
+
+    it('should reprice all instruments to par', function() {
+        const res = gauss.irBootstrapCurve(instruments);
+        assert.strictEqual(res.errors.length, instruments.length);
+        for (const error of res.errors) {
+            assert.ok(Math.abs(error) < 1e-13);
+        }
+        const curve = res.discountCurve;
+        assertEqualRounded((1 / curve(0.5) - 1) / 0.5, 0.012, 13);
+        assertEqualRounded(gauss.irForwardLinearRate({t: 1, T: 1.25}, curve), 0.0155, 13);
+        assertEqualRounded(gauss.irForwardLinearRate({t: 1.25, T: 1.5}, curve), 0.0164, 13);
+        assertEqualRounded(new gauss.Swap(100, 0.025, 0, 10, gauss.irFrequency.annually).price(curve), 0, 11);
+    });
+
+    it('should report sorted pillars at instrument maturities', function() {
+        const res = gauss.irBootstrapCurve(instruments);
+        assert.deepStrictEqual(res.pillars.map(pillar => pillar.t), [0.25, 0.5, 1, 1.25, 1.5, 2, 3, 5, 10]);
+        for (const pillar of res.pillars) {
+            assert.strictEqual(res.spotCurve(pillar.t), pillar.rate);
+        }
+    });
+
+    it('should recover a flat curve', function() {
+        const rate = 0.03,
+            flatCurve = gauss.irFlatDiscountCurve(rate),
+            flatInstruments = [
+                {type: 'deposit', T: 0.5, rate: (Math.exp(rate * 0.5) - 1) / 0.5},
+                {type: 'fra', t: 0.5, T: 1, rate: gauss.irForwardLinearRate({t: 0.5, T: 1}, flatCurve)},
+                {type: 'swap', T: 4, rate: new gauss.Swap(1, 0, 0, 4, 2).parRate(flatCurve), frequency: 2}
+            ],
+            res = gauss.irBootstrapCurve(flatInstruments);
+        for (const pillar of res.pillars) {
+            assertEqualRounded(pillar.rate, rate, 12);
+        }
+    });
+
+    it('should converge if the repricing error cannot be reduced further', function() {
+        const res = gauss.irBootstrapCurve([
+            {type: 'deposit', T: 1, rate: 0.03},
+            {type: 'fra', t: 1, T: 1.0001, rate: 0.05}
+        ]);
+        for (const error of res.errors) {
+            assert.ok(Math.abs(error) < 1e-10);
+        }
+    });
+
+    it('should fail with bad instruments', function() {
+        assert.throws(() => gauss.irBootstrapCurve([]));
+        assert.throws(() => gauss.irBootstrapCurve([{type: 'bond', T: 1, rate: 0.01}]));
+        assert.throws(() => gauss.irBootstrapCurve([{type: 'deposit', T: 1}]));
+        assert.throws(() => gauss.irBootstrapCurve([{type: 'fra', t: 1, T: 0.5, rate: 0.01}]));
+        assert.throws(() => gauss.irBootstrapCurve([{type: 'swap', T: 2, rate: 0.01}]));
+        assert.throws(() => gauss.irBootstrapCurve([{type: 'deposit', T: 1, rate: 0.01}, {type: 'fra', t: 0.5, T: 1, rate: 0.01}]));
+    });
+});
+
+describe('interpolation schemes', function() {
+    const rates = [
+            {t: 0.25, rate: 0.01},
+            {t: 0.5, rate: 0.012},
+            {t: 1, rate: 0.018},
+            {t: 2, rate: 0.017},
+            {t: 3, rate: 0.022},
+            {t: 5, rate: 0.027},
+            {t: 10, rate: 0.03}
+        ],
+        schemes = [
+            gauss.irLinearInterpolationSpotCurve,
+            gauss.irFlatForwardSpotCurve,
+            gauss.irNaturalCubicSplineSpotCurve,
+            gauss.irMonotoneCubicSplineSpotCurve,
+            gauss.irMonotoneConvexSpotCurve
+        ],
+        instantaneousForward = (curve, t) => diffquot(s => s * curve(s), t);
+
+    it('should match control points', function() {
+        for (const scheme of schemes) {
+            const curve = scheme(rates);
+            for (const rate of rates) {
+                assertEqualRounded(curve(rate.t), rate.rate, 15);
+            }
+        }
+    });
+
+    it('should be continuous', function() {
+        for (const scheme of schemes) {
+            const curve = scheme(rates);
+            for (const rate of rates) {
+                assertEqualRounded(curve(rate.t - 1e-9), curve(rate.t + 1e-9), 9);
+            }
+        }
+    });
+
+    it('should be flat for a single spot rate', function() {
+        for (const scheme of schemes) {
+            for (const extrapolation of Object.values(gauss.irExtrapolation)) {
+                const curve = scheme([{t: 2, rate: 0.02}], extrapolation);
+                for (const t of [0.1, 1, 2, 3, 20]) {
+                    assertEqualRounded(curve(t), 0.02, 15);
+                }
+            }
+        }
+    });
+
+    it('flat forward interpolation should have piecewise constant forward rates', function() {
+        const curve = gauss.irFlatForwardSpotCurve(rates);
+        for (let i = 1; i < rates.length; i++) {
+            const discreteForward = (rates[i].rate * rates[i].t - rates[i-1].rate * rates[i-1].t) / (rates[i].t - rates[i-1].t);
+            for (const alpha of [0.1, 0.5, 0.9]) {
+                const t = rates[i-1].t + alpha * (rates[i].t - rates[i-1].t);
+                assertEqualRounded(instantaneousForward(curve, t), discreteForward, 7);
+            }
+        }
+    });
+
+    it('natural cubic spline should be twice continuously differentiable with natural boundary conditions', function() {
+        const curve = gauss.irNaturalCubicSplineSpotCurve(rates),
+            h = 1e-4,
+            secondDerivative = t => (curve(t + h) - 2 * curve(t) + curve(t - h)) / h**2;
+        for (let i = 1; i < rates.length - 1; i++) {
+            assertEqualRounded(diffquot(curve, rates[i].t - 1e-6), diffquot(curve, rates[i].t + 1e-6), 5);
+            assertEqualRounded(secondDerivative(rates[i].t - 2 * h), secondDerivative(rates[i].t + 2 * h), 3);
+        }
+        assertEqualRounded(secondDerivative(rates[0].t + h), 0, 3);
+        assertEqualRounded(secondDerivative(rates[rates.length - 1].t - h), 0, 3);
+    });
+
+    it('monotone cubic spline should not overshoot', function() {
+        const curve = gauss.irMonotoneCubicSplineSpotCurve(rates);
+        for (let i = 1; i < rates.length; i++) {
+            for (let alpha = 0; alpha <= 1; alpha += 0.05) {
+                const t = rates[i-1].t + alpha * (rates[i].t - rates[i-1].t);
+                assert.ok(curve(t) >= Math.min(rates[i].rate, rates[i-1].rate) - 1e-15);
+                assert.ok(curve(t) <= Math.max(rates[i].rate, rates[i-1].rate) + 1e-15);
+            }
+        }
+    });
+
+    it('monotone convex interpolation should have continuous forward rates preserving discrete forwards', function() {
+        const curve = gauss.irMonotoneConvexSpotCurve(rates);
+        for (let i = 0; i < rates.length - 1; i++) {
+            assertEqualRounded(instantaneousForward(curve, rates[i].t - 1e-5), instantaneousForward(curve, rates[i].t + 1e-5), 4);
+        }
+        const discCurve = gauss.irSpotCurve2DiscountCurve(curve);
+        for (let i = 1; i < rates.length; i++) {
+            const floatingRate = {t: rates[i-1].t, T: rates[i].t},
+                expected = (Math.exp(rates[i].rate * rates[i].t - rates[i-1].rate * rates[i-1].t) - 1) / (rates[i].t - rates[i-1].t);
+            assertEqualRounded(gauss.irForwardLinearRate(floatingRate, discCurve), expected, 12);
+        }
+        assert.throws(() => gauss.irMonotoneConvexSpotCurve([{t: 0, rate: 0.01}, {t: 1, rate: 0.02}]));
+    });
+
+    it('monotone convex interpolation should keep forward rates within bounds for monotone discrete forwards', function() {
+        const increasing = [{t: 1, rate: 0.03}, {t: 2, rate: 0.035}, {t: 3, rate: 0.04}, {t: 4, rate: 0.045}, {t: 5, rate: 0.05}],
+            curve = gauss.irMonotoneConvexSpotCurve(increasing);
+        let last = -Infinity;
+        for (let i = 1; i < 100; i++) {
+            const forward = instantaneousForward(curve, 0.05 * i);
+            assert.ok(forward > 0 && forward < 0.08);
+            assert.ok(forward >= last - 1e-6);
+            last = forward;
+        }
+    });
+
+    it('should extrapolate as configured', function() {
+        for (const scheme of schemes) {
+            const flat = scheme(rates),
+                linear = scheme(rates, gauss.irExtrapolation.linear),
+                flatForward = scheme(rates, 'flatForward'),
+                lastRate = rates[rates.length - 1];
+            assert.strictEqual(flat(20), lastRate.rate);
+            assertEqualRounded(linear(20) - linear(15), linear(15) - lastRate.rate, 12);
+            assertEqualRounded(diffquot(linear, lastRate.t - 1e-5), diffquot(linear, 15), 5);
+            assertEqualRounded(instantaneousForward(flatForward, 12), instantaneousForward(flatForward, 30), 6);
+            assertEqualRounded(instantaneousForward(flatForward, lastRate.t - 1e-6), instantaneousForward(flatForward, 12), 5);
+        }
+        assert.strictEqual(gauss.irLinearInterpolationSpotCurve(rates, 'linear')(0), 0.01 - 0.25 * 0.002 / 0.25);
+    });
+
+    it('should fail with bad parameters', function() {
+        for (const scheme of schemes) {
+            assert.throws(() => scheme());
+            assert.throws(() => scheme([]));
+            assert.throws(() => scheme(rates, 'constant'));
+            assert.throws(() => scheme([{t: 1, rate: 0.01}, {t: 1, rate: 0.02}]));
+            assert.throws(() => scheme(rates)('1'));
+        }
+    });
+});
+
+describe('dates and schedules', function() {
+    const date = isoDate => new Date(isoDate);
+
+    it('should calculate year fractions for day count conventions', function() {
+        assert.strictEqual(gauss.irYearFraction(date('2024-01-15'), date('2024-07-15'), gauss.irDayCount.act360), 182 / 360);
+        assert.strictEqual(gauss.irYearFraction(date('2024-01-15'), date('2024-07-15'), 'ACT/365F'), 182 / 365);
+        assert.strictEqual(gauss.irYearFraction(date('2024-01-31'), date('2024-03-31'), gauss.irDayCount.thirty360), 60 / 360);
+        assert.strictEqual(gauss.irYearFraction(date('2024-02-28'), date('2024-08-31'), gauss.irDayCount.thirty360), 183 / 360);
+        assertEqualRounded(gauss.irYearFraction(date('2023-11-01'), date('2024-03-01'), gauss.irDayCount.actActIsda),
+            61 / 365 + 60 / 366, 15);
+        assertEqualRounded(gauss.irYearFraction(date('2020-01-01'), date('2030-01-01'), gauss.irDayCount.actActIsda), 10, 14);
+        assertEqualRounded(gauss.irYearFraction(date('2024-03-01'), date('2023-11-01'), gauss.irDayCount.actActIsda),
+            -61 / 365 - 60 / 366, 15);
+    });
+
+    it('should adjust dates according to business day conventions', function() {
+        const saturday = date('2024-03-30');
+        assert.deepStrictEqual(gauss.irAdjustDate(saturday, gauss.irBusinessDayConvention.unadjusted), saturday);
+        assert.deepStrictEqual(gauss.irAdjustDate(saturday, gauss.irBusinessDayConvention.following), date('2024-04-01'));
+        assert.deepStrictEqual(gauss.irAdjustDate(saturday, gauss.irBusinessDayConvention.modifiedFollowing), date('2024-03-29'));
+        assert.deepStrictEqual(gauss.irAdjustDate(saturday, gauss.irBusinessDayConvention.preceding), date('2024-03-29'));
+        assert.deepStrictEqual(gauss.irAdjustDate(date('2024-03-28'), 'following'), date('2024-03-28'));
+    });
+
+    it('should respect holiday calendars', function() {
+        const easter = gauss.irHolidayCalendar([date('2024-03-29'), date('2024-04-01')]),
+            christmas = gauss.irHolidayCalendar([date('2024-12-25'), date('2024-12-26')]),
+            joint = gauss.irJointCalendar(easter, christmas);
+        assert.strictEqual(easter(date('2024-03-29')), false);
+        assert.strictEqual(easter(date('2024-03-28')), true);
+        assert.deepStrictEqual(gauss.irAdjustDate(date('2024-03-30'), 'following', easter), date('2024-04-02'));
+        assert.deepStrictEqual(gauss.irAdjustDate(date('2024-03-30'), 'modifiedFollowing', easter), date('2024-03-28'));
+        assert.deepStrictEqual(gauss.irAdjustDate(date('2024-12-25'), 'following', joint), date('2024-12-27'));
+        assert.strictEqual(joint(date('2024-04-01')), false);
+    });
+
+    it('should generate schedules rolled from end', function() {
+        assert.deepStrictEqual(gauss.irDateSchedule(date('2024-01-15'), date('2026-01-15'), gauss.irFrequency.semiannually),
+            ['2024-01-15', '2024-07-15', '2025-01-15', '2025-07-15', '2026-01-15'].map(date));
+        assert.deepStrictEqual(gauss.irDateSchedule(date('2024-03-01'), date('2025-01-31'), gauss.irFrequency.quarterly),
+            ['2024-03-01', '2024-04-30', '2024-07-31', '2024-10-31', '2025-01-31'].map(date));
+        assert.deepStrictEqual(gauss.irDateSchedule(date('2024-01-01'), date('2024-12-31'), gauss.irFrequency.quarterly),
+            ['2024-01-01', '2024-03-29', '2024-06-28', '2024-09-30', '2024-12-31'].map(date));
+        assert.deepStrictEqual(gauss.irDateSchedule(date('2024-01-01'), date('2024-12-31'), gauss.irFrequency.quarterly,
+            gauss.irBusinessDayConvention.following),
+        ['2024-01-01', '2024-04-01', '2024-07-01', '2024-09-30', '2024-12-31'].map(date));
+    });
+
+    it('should create cashflows usable with time-based functions', function() {
+        const valuationDate = date('2024-01-10'),
+            schedule = gauss.irDateSchedule(date('2024-01-15'), date('2026-01-15'), gauss.irFrequency.semiannually),
+            fixed = gauss.irDateFixedCashflows(valuationDate, schedule, 100, 0.04, gauss.irDayCount.thirty360),
+            floating = gauss.irDateFloatingCashflows(valuationDate, schedule, 100, gauss.irDayCount.act360),
+            curve = gauss.irFlatDiscountCurve(0.03);
+        assert.deepStrictEqual(fixed.map(cf => cf.value), [2, 2, 2, 2]);
+        assert.strictEqual(fixed[0].t, 187 / 365);
+        assert.strictEqual(floating[0].t, 5 / 365);
+        assert.strictEqual(floating[0].yearFraction, 182 / 360);
+        assertEqualRounded(gauss.irForwardPrice(floating, curve, 0) / 100, curve(5 / 365) - curve(fixed[3].t), 14);
+        const forwardRate = gauss.irForwardLinearRate(floating[1], curve),
+            caplet = gauss.irBlack76CapletFloorlet(floating[1], 0.03, 0.2, gauss.irDiscountCurve2SpotCurve(curve)),
+            capletWithoutDayCount = gauss.irBlack76CapletFloorlet({t: floating[1].t, T: floating[1].T, notional: 100},
+                0.03, 0.2, gauss.irDiscountCurve2SpotCurve(curve));
+        assertEqualRounded(forwardRate * floating[1].yearFraction, curve(floating[1].t) / curve(floating[1].T) - 1, 15);
+        assert.notStrictEqual(caplet.call.price, capletWithoutDayCount.call.price);
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.irYearFraction('2024-01-01', date('2024-02-01'), gauss.irDayCount.act360));
+        assert.throws(() => gauss.irYearFraction(date('2024-01-01'), date('2024-02-01'), 'ACT/ACT'));
+        assert.throws(() => gauss.irAdjustDate(date('2024-01-01'), 'nearest'));
+        assert.throws(() => gauss.irAdjustDate(date('2024-03-30'), gauss.irBusinessDayConvention.following, () => false),
+            {name: 'InputError', parameter: 'calendar'});
+        assert.throws(() => gauss.irDateSchedule(date('2024-01-01'), date('2025-01-01'), gauss.irFrequency.weekly));
+        assert.throws(() => gauss.irDateSchedule(date('2025-01-01'), date('2024-01-01'), gauss.irFrequency.annually));
+        assert.throws(() => gauss.irHolidayCalendar(date('2024-01-01')));
+        assert.throws(() => gauss.irYearFraction(new Date('no date'), date('2024-01-01'), gauss.irDayCount.act360));
+    });
+});
+
+describe('compounding conventions', function() {
+    const compoundings = [gauss.irCompounding.continuous, gauss.irCompounding.simple,
+        gauss.irFrequency.annually, gauss.irFrequency.semiannually, gauss.irFrequency.monthly];
+
+    it('should convert rates between compounding conventions', function() {
+        assertEqualRounded(gauss.irConvertRate(0.05, 1, 'continuous', gauss.irFrequency.annually), Math.exp(0.05) - 1, 15);
+        assertEqualRounded(gauss.irConvertRate(0.05, 3, 'continuous', gauss.irFrequency.semiannually), 2 * (Math.exp(0.025) - 1), 15);
+        assertEqualRounded(gauss.irConvertRate(0.05, 2, 'continuous', 'simple'), (Math.exp(0.1) - 1) / 2, 15);
+        assertEqualRounded(gauss.irConvertRate(0.04, 5, gauss.irFrequency.semiannually, gauss.irFrequency.annually), 1.02**2 - 1, 15);
+        for (const from of compoundings) {
+            for (const to of compoundings) {
+                for (const t of [0.25, 1, 7.5]) {
+                    const converted = gauss.irConvertRate(0.03, t, from, to);
+                    assertEqualRelative(gauss.irDiscountFactorFromRate(converted, t, to), gauss.irDiscountFactorFromRate(0.03, t, from), 1e-14);
+                    assertEqualRelative(gauss.irConvertRate(converted, t, to, from), 0.03, 1e-14);
+                }
+            }
+        }
+    });
+
+    it('should support compounding for flat discount curves', function() {
+        assertEqualRounded(gauss.irFlatDiscountCurve(0.04, gauss.irFrequency.semiannually)(1), 1 / 1.02**2, 15);
+        assertEqualRounded(gauss.irFlatDiscountCurve(0.04, gauss.irCompounding.simple)(0.5), 1 / 1.02, 15);
+        assert.strictEqual(gauss.irFlatDiscountCurve(0.04, 'continuous')(2), gauss.irFlatDiscountCurve(0.04)(2));
+    });
+
+    it('should calculate yields to maturity for compounding conventions', function() {
+        const bond = new gauss.Bond(100, 0.05, 0, 10, gauss.irFrequency.semiannually),
+            zeroBond = new gauss.Bond(100, 0, 0, 0.5, gauss.irFrequency.annually);
+        assertEqualRounded(bond.yieldToMaturity(100, gauss.irFrequency.semiannually), 0.05, 8);
+        assertEqualRounded(bond.yieldToMaturity(100, gauss.irFrequency.annually), 1.025**2 - 1, 8);
+        assertEqualRounded(zeroBond.yieldToMaturity(98, gauss.irCompounding.simple), (100 / 98 - 1) / 0.5, 8);
+        const cashflows = [{t: 0, value: -100}, {t: 1, value: 106}];
+        assertEqualRounded(gauss.irInternalRateOfReturn(cashflows, 0, 0.05, 1e-10, 100, gauss.irFrequency.annually), 0.06, 10);
+    });
+
+    it('modified duration should match example from Wikipedia https://en.wikipedia.org/wiki/Bond_duration Fig. 1', function() {
+        const bond = new gauss.Bond(100, 0.2, 0, 2, gauss.irFrequency.semiannually),
+            npv = bond.priceFromYield(0.04, gauss.irFrequency.semiannually);
+        assertEqualRounded(bond.yieldToMaturity(npv, gauss.irFrequency.semiannually), 0.04, 8);
+        assertEqualRounded(bond.duration(npv, gauss.irFrequency.semiannually), 1.78, 2);
+        assertEqualRounded(bond.modifiedDuration(npv, gauss.irFrequency.semiannually), 1.74, 2);
+        assertEqualRounded(new gauss.Bond(100, 0.05, 0, 10, 2).modifiedDuration(100, 2), 7.79, 2);
+    });
+
+    it('price from yield, modified duration, convexity and DV01 should be consistent for compounding conventions', function() {
+        const bonds = [new gauss.Bond(100, 0.04, 0, 5, gauss.irFrequency.annually),
+            new gauss.Bond(100, 0.06, 0, 2.25, gauss.irFrequency.quarterly)];
+        for (const bond of bonds) {
+            for (const compounding of compoundings) {
+                const npv = 97,
+                    y0 = bond.yieldToMaturity(npv, compounding),
+                    price = y => bond.priceFromYield(y, compounding);
+                assertEqualRounded(price(y0), npv, 7);
+                assertEqualRelative(bond.modifiedDuration(npv, compounding), -diffquot(price, y0) / npv, 1e-6);
+                assertEqualRelative(bond.convexity(npv, compounding), diffquot2(price, y0) / npv, 1e-4);
+                assertEqualRelative(bond.dv01(npv, compounding), price(y0 - 0.00005) - price(y0 + 0.00005), 1e-8);
+            }
+        }
+    });
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => gauss.irFlatDiscountCurve(0.04, 'annually'));
+        assert.throws(() => gauss.irFlatDiscountCurve(0.04, 0));
+        assert.throws(() => gauss.irDiscountFactorFromRate(-3, 1, gauss.irFrequency.annually));
+        assert.throws(() => gauss.irRateFromDiscountFactor(0.9, 0));
+        assert.throws(() => gauss.irRateFromDiscountFactor(-0.9, 1));
+        assert.throws(() => gauss.irConvertRate(0.03, 1, 'continuous', 'discrete'));
+    });
+});
+
+describe('FloatingRateNote', function() {
+    const curve = gauss.irSpotCurve2DiscountCurve(gauss.irLinearInterpolationSpotCurve([{t: 0.5, rate: 0.015}, {t: 5, rate: 0.03}])),
+        spotCurve = gauss.irDiscountCurve2SpotCurve(curve),
+        frn = new gauss.FloatingRateNote(100, 0.005, 0, 5, gauss.irFrequency.quarterly),
+        seasonedFrn = new gauss.FloatingRateNote(100, 0, -0.1, 2.9, gauss.irFrequency.quarterly, undefined, undefined, 0.02);
+
+    it('should fail with bad parameters', function() {
+        assert.throws(() => new gauss.FloatingRateNote('100', 0.005, 0, 5, gauss.irFrequency.quarterly));
+        assert.throws(() => new gauss.FloatingRateNote(100, 0.005, 0, 5, gauss.irFrequency.quarterly, 0.03, 0.04));
+        assert.throws(() => new gauss.FloatingRateNote(100, 0.005, -0.1, 5, gauss.irFrequency.quarterly).dirtyPrice(curve));
+        assert.throws(() => new gauss.FloatingRateNote(100, 0.005, 0, 5, gauss.irFrequency.quarterly, 0.04).dirtyPrice(curve));
+        assert.throws(() => frn.discountMargin('100', curve));
+    });
+
+    it('should be worth par without spread', function() {
+        const parFrn = new gauss.FloatingRateNote(100, 0, 0, 5, gauss.irFrequency.quarterly);
+        assertEqualRounded(parFrn.dirtyPrice(curve), 100, 12);
+        assertEqualRounded(gauss.irForwardPrice(parFrn.cashflows, curve, 0), 100, 12);
+    });
+
+    it('should use already fixed current coupon', function() {
+        const firstPeriod = seasonedFrn.floatingRates[0];
+        assert.strictEqual(firstPeriod.t, -0.1);
+        assertEqualRounded(firstPeriod.T, 0.15, 14);
+        assertEqualRounded(seasonedFrn.dirtyPrice(curve), 100 * (1 + 0.02 * 0.25) * curve(firstPeriod.T), 12);
+    });
+
+    it('should equal sum of cashflows including spread without cap or floor', function() {
+        assertEqualRounded(frn.dirtyPrice(curve), gauss.irForwardPrice(frn.cashflows, curve, 0), 12);
+        const annuity = new gauss.Swap(1, 0, 0, 5, gauss.irFrequency.quarterly).annuity(curve);
+        assertEqualRounded(frn.dirtyPrice(curve), 100 + 100 * 0.005 * annuity, 12);
+    });
+
+    it('should subtract caplets and add floorlets', function() {
+        const capped = new gauss.FloatingRateNote(100, 0.005, 0, 5, gauss.irFrequency.quarterly, 0.03, 0.01),
+            cap = new gauss.CapFloor(100, 0.025, 0, 5, gauss.irFrequency.quarterly).price(0.2, spotCurve),
+            floor = new gauss.CapFloor(100, 0.005, 0, 5, gauss.irFrequency.quarterly).price(0.2, spotCurve);
+        assertEqualRounded(capped.dirtyPrice(curve, 0.2), frn.dirtyPrice(curve) - cap.cap + floor.floor, 10);
+    });
+
+    it('should equal fixed rate bond if cap equals floor or cap is below spread', function() {
+        const collared = new gauss.FloatingRateNote(100, 0.005, 0, 5, gauss.irFrequency.quarterly, 0.03, 0.03),
+            lowCap = new gauss.FloatingRateNote(100, 0.035, 0, 5, gauss.irFrequency.quarterly, 0.03),
+            bond = new gauss.Bond(100, 0.03, 0, 5, gauss.irFrequency.quarterly);
+        assertEqualRounded(collared.dirtyPrice(curve, 0.2), bond.dirtyPrice(curve), 10);
+        assertEqualRounded(lowCap.dirtyPrice(curve, 0.2), bond.dirtyPrice(curve), 10);
+    });
+
+    it('should reject capped or floored notes with negative forward rates', function() {
+        const negativeCurve = gauss.irFlatDiscountCurve(-0.01),
+            floored = new gauss.FloatingRateNote(100, 0.001, 0, 3, gauss.irFrequency.quarterly, undefined, 0),
+            lowCap = new gauss.FloatingRateNote(100, 0.035, 0, 3, gauss.irFrequency.quarterly, 0.03),
+            capped = new gauss.FloatingRateNote(100, 0.001, 0, 3, gauss.irFrequency.quarterly, 0.03);
+        for (const note of [floored, lowCap, capped]) {
+            assert.throws(() => note.dirtyPrice(negativeCurve, 0.2), {name: 'InputError', parameter: 'forwardRate'});
+        }
+        assert.ok(Number.isFinite(new gauss.FloatingRateNote(100, 0.001, 0, 3, gauss.irFrequency.quarterly).dirtyPrice(negativeCurve)));
+    });
+
+    it('discount margin should reproduce given margin', function() {
+        const capped = new gauss.FloatingRateNote(100, 0.005, 0, 5, gauss.irFrequency.quarterly, 0.03, 0.01);
+        for (const margin of [-0.005, 0, 0.0025, 0.01]) {
+            assertEqualRounded(frn.discountMargin(frn.dirtyPrice(curve, undefined, margin), curve), margin, 10);
+            assertEqualRounded(seasonedFrn.discountMargin(seasonedFrn.dirtyPrice(curve, undefined, margin), curve), margin, 10);
+            assertEqualRounded(capped.discountMargin(capped.dirtyPrice(curve, 0.2, margin), curve, 0.2), margin, 10);
+        }
+        assertEqualRounded(frn.discountMargin(frn.dirtyPrice(curve), curve), 0, 12);
+    });
+});
+
+describe('volatility smiles', function() {
+    const F = 0.03, T = 2, strikes = [0.015, 0.02, 0.025, 0.03, 0.035, 0.04, 0.05];
+
+    it('SABR should reduce to constant volatility without vol of vol', function() {
+        const lognormal = gauss.sabrLognormalSmile(F, T, 0.2, 1, -0.5, 0),
+            normal = gauss.sabrNormalSmile(F, T, 0.006, 0, 0.5, 0);
+        for (const K of strikes) {
+            assertEqualRounded(lognormal(K), 0.2, 15);
+            assertEqualRounded(normal(K), 0.006, 15);
+        }
+        assertEqualRounded(gauss.sabrNormalSmile(-0.005, T, 0.006, 0, 0.5, 0)(-0.01), 0.006, 15);
+    });
+
+    it('SABR should be continuous at the money', function() {
+        const lognormal = gauss.sabrLognormalSmile(F, T, 0.035, 0.5, -0.3, 0.4),
+            normal = gauss.sabrNormalSmile(F, T, 0.035, 0.5, -0.3, 0.4);
+        assertEqualRelative(lognormal(F * (1 + 1e-9)), lognormal(F), 1e-9);
+        assertEqualRelative(normal(F * (1 + 1e-9)), normal(F), 1e-9);
+        assertEqualRounded(normal(F), 0.035 * F**0.5 * (1 + (-0.5 * 1.5 * 0.035**2 / 24 / F + -0.3 * 0.035 * 0.4 * 0.5 / 4 / F**0.5 + (2 - 3 * 0.09) * 0.16 / 24) * T), 15);
+    });
+
+    it('SABR lognormal and normal expansions should give similar prices', function() {
+        const lognormal = gauss.sabrLognormalSmile(F, T, 0.035, 0.5, -0.3, 0.4),
+            normal = gauss.sabrNormalSmile(F, T, 0.035, 0.5, -0.3, 0.4);
+        for (const K of strikes.slice(0, 6)) {
+            const black = gauss.irBlack76(F, K, T, lognormal(K), 0.02).call.price,
+                bachelier = gauss.irBachelier(F, K, T, normal(K), 0.02).call.price;
+            assertEqualRelative(bachelier, black, 1e-5);
+        }
+    });
+
+    it('SABR calibration should reproduce quotes and parameters', function() {
+        for (const beta of [0, 0.5, 1]) {
+            for (const normal of [false, true]) {
+                const createSmile = normal ? gauss.sabrNormalSmile : gauss.sabrLognormalSmile,
+                    alpha = normal ? 0.006 / F**beta : 0.2 * F**(1 - beta),
+                    smile = createSmile(F, T, alpha, beta, -0.3, 0.4),
+                    result = gauss.sabrCalibration(F, T, strikes, strikes.map(smile), beta, normal);
+                assertEqualRounded(result.alpha / alpha, 1, 8);
+                assertEqualRounded(result.rho, -0.3, 8);
+                assertEqualRounded(result.nu, 0.4, 8);
+                assert.strictEqual(result.beta, beta);
+                result.errors.forEach(error => assertEqualRounded(error, 0, 10));
+                assertEqualRounded(result.smile(0.045), smile(0.045), 10);
+            }
+        }
+    });
+
+    it('SABR calibration should reject invalid quotes', function() {
+        assert.throws(() => gauss.sabrCalibration(F, T, [0.02, 0.03], [0.2, 0.2]));
+        assert.throws(() => gauss.sabrCalibration(F, T, strikes, [0.2, 0.2]));
+        assert.throws(() => gauss.sabrCalibration(F, T, [-0.01, 0.02, 0.03], [0.2, 0.2, 0.2]));
+        assert.throws(() => gauss.sabrCalibration(F, T, strikes, strikes.map(() => 0.2), 1.5));
+    });
+
+    it('SVI should have total variance of the raw parameterisation', function() {
+        const smile = gauss.sviSmile(100, 0.5, 0.02, 0.1, -0.4, 0.05, 0.2);
+        assertEqualRounded(smile(100 * Math.exp(0.05))**2 * 0.5, 0.02 + 0.1 * 0.2, 15);
+        const k = Math.log(80 / 100) - 0.05;
+        assertEqualRounded(smile(80)**2 * 0.5, 0.02 + 0.1 * (-0.4 * k + Math.sqrt(k * k + 0.04)), 15);
+        assert.throws(() => gauss.sviSmile(100, 0.5, -0.05, 0.1, -0.4, 0.05, 0.2));
+    });
+
+    it('SVI calibration should reproduce quotes and parameters', function() {
+        const smile = gauss.sviSmile(100, 1, 0.02, 0.1, -0.4, 0.05, 0.2),
+            sviStrikes = [60, 70, 80, 90, 100, 110, 120, 140],
+            result = gauss.sviCalibration(100, 1, sviStrikes, sviStrikes.map(smile));
+        assertEqualRounded(result.a, 0.02, 8);
+        assertEqualRounded(result.b, 0.1, 8);
+        assertEqualRounded(result.rho, -0.4, 8);
+        assertEqualRounded(result.m, 0.05, 8);
+        assertEqualRounded(result.sigma, 0.2, 8);
+        result.errors.forEach(error => assertEqualRounded(error, 0, 10));
+    });
+
+    it('smiles should be usable as volatility of option pricing', function() {
+        const smile = gauss.sviSmile(100, 1, 0.02, 0.1, -0.4, 0.05, 0.2),
+            S = 100 * Math.exp(-0.03), price = gauss.eqBlackScholes(S, 90, 1, smile(90), 0, -0.03).put.price,
+            fxPrice = gauss.fxBlackScholes(S, 90, 1, smile(90), 0, -0.03).put.price;
+        assertEqualRounded(gauss.eqBlackScholesImpliedVolatility(price, 'put', S, 90, 1, 0, -0.03), smile(90), 10);
+        assertEqualRounded(fxPrice, price, 14);
+    });
+});
+
+describe('VolatilitySurface', function() {
+    const S = 100, q = 0.01, r = 0.03,
+        expiries = [0.5, 1, 2],
+        strikes = [70, 80, 90, 100, 110, 120, 130],
+        sviSmiles = expiries.map(T => {
+            const F = S * Math.exp((r - q) * T);
+            return gauss.sviSmile(F, T, 0.02 * T, 0.1 * Math.sqrt(T), -0.4, 0.02, 0.2);
+        }),
+        quotes = expiries.flatMap((T, j) => strikes.map(K => ({T, K, sigma: sviSmiles[j](K)}))),
+        surface = new gauss.VolatilitySurface(S, quotes, q, r);
+
+    it('should reproduce quotes given by strike or moneyness', function() {
+        for (const quote of quotes) {
+            assertEqualRounded(surface.volatility(quote.K, quote.T), quote.sigma, 14);
+        }
+        const byMoneyness = new gauss.VolatilitySurface(S, quotes.map(quote => ({
+            T: quote.T, moneyness: quote.K / surface.forward(quote.T), sigma: quote.sigma
+        })), q, r);
+        for (const T of [0.25, 0.75, 1.5, 3]) {
+            for (const K of [65, 85, 105, 135]) {
+                assertEqualRounded(byMoneyness.volatility(K, T), surface.volatility(K, T), 14);
+            }
+        }
+    });
+
+    it('should interpolate total variance linearly in time at constant moneyness', function() {
+        const y = Math.log(95 / surface.forward(0.5)),
+            K = T => surface.forward(T) * Math.exp(y);
+        assertEqualRounded(surface.totalVariance(K(0.75), 0.75), (surface.totalVariance(K(0.5), 0.5) + surface.totalVariance(K(1), 1)) / 2, 14);
+        assertEqualRounded(surface.volatility(K(0.25), 0.25), surface.volatility(K(0.5), 0.5), 14);
+        assertEqualRounded(surface.volatility(K(3), 3), surface.volatility(K(2), 2), 14);
+        assertEqualRounded(surface.volatility(60, 1), surface.volatility(70, 1), 14);
+        assertEqualRounded(surface.smile(1.5)(95), surface.volatility(95, 1.5), 15);
+    });
+
+    it('should reject invalid quotes', function() {
+        assert.throws(() => new gauss.VolatilitySurface(S, []));
+        assert.throws(() => new gauss.VolatilitySurface(S, [{T: 1, sigma: 0.2}]));
+        assert.throws(() => new gauss.VolatilitySurface(S, [{T: 1, K: 100, moneyness: 1, sigma: 0.2}]));
+        assert.throws(() => new gauss.VolatilitySurface(S, [{T: 0, K: 100, sigma: 0.2}]));
+        assert.throws(() => new gauss.VolatilitySurface(S, [{T: 1, K: 100, sigma: 0.2}, {T: 1, moneyness: 1, sigma: 0.3}]));
+    });
+
+    it('local volatility should equal forward volatility without smile', function() {
+        const termStructure = new gauss.VolatilitySurface(S, [{T: 1, K: 100, sigma: 0.2}, {T: 2, K: 100, sigma: 0.25}]);
+        assertEqualRounded(termStructure.localVolatility(90, 0.5), 0.2, 14);
+        assertEqualRounded(termStructure.localVolatility(120, 1.5), Math.sqrt((0.25**2 * 2 - 0.2**2) / 1), 14);
+        assertEqualRounded(termStructure.localVolatility(120, 3), 0.25, 14);
+    });
+
+    it('local volatility should match Dupire formula of call prices', function() {
+        const call = (K, T) => gauss.eqBlackScholes(S, K, T, surface.volatility(K, T), q, r).call.price,
+            dK = 1e-2, dT = 1e-5;
+        for (const T of [0.75, 1.5]) {
+            for (const K of [85, 100, 115]) {
+                const C = call(K, T),
+                    dCdT = (call(K, T + dT) - call(K, T - dT)) / (2 * dT),
+                    dCdK = (call(K + dK, T) - call(K - dK, T)) / (2 * dK),
+                    d2CdK2 = (call(K + dK, T) - 2 * C + call(K - dK, T)) / dK**2,
+                    dupire = Math.sqrt((dCdT + (r - q) * K * dCdK + q * C) / (K * K * d2CdK2 / 2));
+                assertEqualRelative(surface.localVolatility(K, T), dupire, 1e-5);
+            }
+        }
+    });
+
+    it('should not flag arbitrage free surfaces', function() {
+        assert.deepStrictEqual(surface.arbitrageViolations(), []);
+    });
+
+    it('should flag calendar spread arbitrage', function() {
+        const violations = new gauss.VolatilitySurface(S, [{T: 1, K: 100, sigma: 0.3}, {T: 2, K: 100, sigma: 0.2}]).arbitrageViolations();
+        assert.strictEqual(violations.length, 1);
+        assert.strictEqual(violations[0].type, 'calendar');
+        assert.strictEqual(violations[0].T, 2);
+        assertEqualRounded(violations[0].K, 100, 14);
+        assertEqualRounded(violations[0].value, 0.2**2 * 2 - 0.3**2, 14);
+        assert.ok(isNaN(new gauss.VolatilitySurface(S, [{T: 1, K: 100, sigma: 0.3}, {T: 2, K: 100, sigma: 0.2}]).localVolatility(100, 1.5)));
+    });
+
+    it('should flag butterfly arbitrage', function() {
+        const spiked = new gauss.VolatilitySurface(S, [
+                {T: 1, K: 90, sigma: 0.2}, {T: 1, K: 100, sigma: 0.4}, {T: 1, K: 110, sigma: 0.2}
+            ]),
+            violations = spiked.arbitrageViolations();
+        assert.ok(violations.length > 0);
+        for (const violation of violations) {
+            assert.strictEqual(violation.type, 'butterfly');
+            assert.ok(violation.value < 0);
+        }
+        assert.ok(violations.some(violation => Math.abs(violation.K - 100) < 1e-12));
+        assert.ok(isNaN(spiked.localVolatility(100, 1)));
+    });
+});
+
+describe('errors', function() {
+    it('should reject NaN and infinite numbers', function() {
+        for (const strike of [NaN, Infinity, -Infinity]) {
+            assert.throws(() => new gauss.CapFloor(100, strike, 0, 5, gauss.irFrequency.quarterly), error =>
+                error instanceof gauss.InputError && error.code === gauss.errorCode.notFinite
+                && error.parameter === 'strike' && Object.is(error.value, strike));
+        }
+        assert.throws(() => gauss.eqBlackScholes(NaN, 100, 1, 0.2, 0, 0), gauss.InputError);
+        assert.throws(() => gauss.cdf(NaN), gauss.InputError);
+        assert.strictEqual(gauss.cdf(Infinity), 1);
+    });
+
+    it('should carry parameter, value and code of invalid input', function() {
+        assert.throws(() => new gauss.CapFloor(100, '0.03', 0, 5, gauss.irFrequency.quarterly), error =>
+            error instanceof gauss.InputError && error.code === gauss.errorCode.invalidType
+            && error.parameter === 'strike' && error.value === '0.03');
+        assert.throws(() => new gauss.CapFloor(100, 0.03, 0, 5, -4), error =>
+            error.code === gauss.errorCode.outOfRange && error.parameter === 'frequency' && error.value === -4);
+        assert.throws(() => gauss.irYearFraction(new Date(2020, 0, 1), new Date(2021, 0, 1), 'ACT/ACT'), error =>
+            error.code === gauss.errorCode.invalidValue && error.parameter === 'dayCount');
+    });
+
+    it('should name the public parameters of delegating pricers', function() {
+        assert.throws(() => gauss.eqBlackScholes(100, NaN, 1, 0.2, 0, 0), {parameter: 'K'});
+        assert.throws(() => gauss.eqBlackScholes(100, 100, 1, 0.2, 0, NaN), {parameter: 'r'});
+        assert.throws(() => gauss.eqBlackScholes(100, 100, 1, 0.2, 0, 0, '1'), {parameter: 'scale', message: 'scale must be a number'});
+        assert.throws(() => gauss.fxBlackScholes(1.1, 1.1, 1, 0.1, NaN, 0.01), {parameter: 'rFor'});
+        assert.throws(() => gauss.fxBlackScholes(1.1, 1.1, 1, 0.1, 0.02, NaN), {parameter: 'rDom'});
+        assert.throws(() => gauss.irBlack76(0.03, NaN, 1, 0.2, 0.01), {parameter: 'K'});
+        assert.throws(() => gauss.irBlack76(-0.03, 0.03, 1, 0.2, 0.01), {parameter: 'F'});
+        assert.throws(() => gauss.margrabesFormulaShort(100, 100, 1, 0.2, 0, 0, NaN), {parameter: 'scale'});
+        assert.throws(() => new gauss.Bond(100, 0.05, 0, 5, gauss.irFrequency.annually).yieldToMaturity('100'), {parameter: 'npv'});
+    });
+
+    it('should be instances of Error with stack trace', function() {
+        try {
+            gauss.inverseCdf(2);
+            assert.fail('no error thrown');
+        } catch (error) {
+            assert.ok(error instanceof Error);
+            assert.ok(error instanceof gauss.AnalyticsError);
+            assert.strictEqual(error.name, 'InputError');
+            assert.strictEqual(error.message, 'probability must be in interval [0, 1]; got 2');
+            assert.ok(error.stack.includes('inverseCdf'));
+        }
+    });
+
+    it('should distinguish convergence failures', function() {
+        assert.throws(() => gauss.irInternalRateOfReturn([{t: 0, value: -100}, {t: 1, value: 110}], 0.5, 0.6, 1e-15, 1), error =>
+            error instanceof gauss.ConvergenceError && !(error instanceof gauss.InputError)
+            && error.code === gauss.errorCode.noConvergence && error.parameter === 'rate');
+        const bond = new gauss.Bond(100, 0.05, 0, 5, gauss.irFrequency.annually);
+        assert.throws(() => bond.zSpread(90, () => 0.02, 1e-10, 1), gauss.ConvergenceError);
+    });
+
+    it('should distinguish arbitrage violations', function() {
+        assert.throws(() => gauss.eqBlackScholesImpliedVolatility(101, 'call', 100, 100, 1, 0, 0), error =>
+            error instanceof gauss.ArbitrageError && error.code === gauss.errorCode.arbitrage
+            && error.parameter === 'price' && error.value === 101);
+        assert.throws(() => gauss.irBlack76ImpliedVolatility(-1, 'put', 0.03, 0.02, 1, 0.01), gauss.ArbitrageError);
+    });
+});
+
+describe('batch pricing', function() {
+    const S = [80, 95, 100, 105, 120, 100],
+        K = new Float64Array([100, 100, 90, 110, 100, 100]),
+        T = [0.5, 1, 2, 0.25, 1.5, 0],
+        sigma = new Float64Array([0.2, 0.3, 0.15, 0.25, 0.4, 0.2]),
+        scale = [1, 2, -1, 0.5, 10, 1],
+        keys = {
+            callPrice: ['call', 'price'], putPrice: ['put', 'price'], callDelta: ['call', 'delta'], putDelta: ['put', 'delta'],
+            gamma: ['call', 'gamma'], vega: ['call', 'vega'], callTheta: ['call', 'theta'], putTheta: ['put', 'theta'],
+            callRhoDom: ['call', 'rhoDom'], putRhoDom: ['put', 'rhoDom'], callRhoFor: ['call', 'rhoFor'], putRhoFor: ['put', 'rhoFor'],
+            vanna: ['call', 'vanna'], volga: ['call', 'volga'], callCharm: ['call', 'charm'], putCharm: ['put', 'charm']
+        },
+        allocate = () => Object.fromEntries(Object.keys(keys).map(key => [key, new Float64Array(S.length)]));
+
+    it('should equal individual pricing with broadcast scalars', function() {
+        const output = gauss.eqBlackScholesBatch(S, K, T, sigma, 0.01, 0.03, allocate(), scale);
+        for (let i = 0; i < S.length; i++) {
+            const res = gauss.eqBlackScholes(S[i], K[i], T[i], sigma[i], 0.01, 0.03, scale[i]);
+            for (const [key, [optionType, greek]] of Object.entries(keys)) {
+                assert.ok(Object.is(output[key][i], res[optionType][greek]), `${key}[${i}]: ${output[key][i]} != ${res[optionType][greek]}`);
+            }
+        }
+    });
+
+    it('should equal individual pricing of currency options', function() {
+        const rFor = [0.01, 0.02, 0.03, 0.04, 0.05, 0.06],
+            output = gauss.fxBlackScholesBatch(S, K, 1, sigma, rFor, 0.02, {callPrice: new Array(6), putDelta: new Array(6)});
+        for (let i = 0; i < S.length; i++) {
+            const res = gauss.fxBlackScholes(S[i], K[i], 1, sigma[i], rFor[i], 0.02);
+            assert.strictEqual(output.callPrice[i], res.call.price);
+            assert.strictEqual(output.putDelta[i], res.put.delta);
+        }
+    });
+
+    it('should only fill requested columns and broadcast scalars to output length', function() {
+        const output = {putPrice: new Float64Array(3)};
+        assert.strictEqual(gauss.eqBlackScholesBatch(100, 100, 1, 0.2, 0, 0.02, output), output);
+        assert.deepStrictEqual(Object.keys(output), ['putPrice']);
+        for (const price of output.putPrice) {
+            assert.strictEqual(price, gauss.eqBlackScholes(100, 100, 1, 0.2, 0, 0.02).put.price);
+        }
+    });
+
+    it('should validate columns', function() {
+        assert.throws(() => gauss.eqBlackScholesBatch(S, K, T, sigma, 0, 0, {}), gauss.InputError);
+        assert.throws(() => gauss.eqBlackScholesBatch(S, K, T, sigma, 0, 0, {callPrice: new Float64Array(5)}), gauss.InputError);
+        assert.throws(() => gauss.eqBlackScholesBatch(S, [100], T, sigma, 0, 0, {callPrice: new Float64Array(6)}), gauss.InputError);
+        assert.throws(() => gauss.eqBlackScholesBatch([100, NaN], 100, 1, 0.2, 0, 0, {callPrice: new Float64Array(2)}), error =>
+            error instanceof gauss.InputError && error.parameter === 'S[1]' && error.code === gauss.errorCode.notFinite);
+        assert.throws(() => gauss.eqBlackScholesBatch(100, [100, NaN], 1, 0.2, 0, 0, {callPrice: new Float64Array(2)}), {parameter: 'K[1]'});
+        assert.throws(() => gauss.eqBlackScholesBatch(100, 100, 1, 0.2, NaN, 0, {callPrice: new Float64Array(2)}), {parameter: 'q'});
+        assert.throws(() => gauss.eqBlackScholesBatch(100, 100, 1, 0.2, 0, [0, NaN], {callPrice: new Float64Array(2)}), {parameter: 'r[1]'});
+        assert.throws(() => gauss.fxBlackScholesBatch(1.1, 1.1, 1, 0.1, NaN, 0, {callPrice: new Float64Array(2)}), {parameter: 'rFor'});
+        assert.throws(() => gauss.fxBlackScholesBatch(1.1, 1.1, 1, 0.1, 0, [0, NaN], {callPrice: new Float64Array(2)}), {parameter: 'rDom[1]'});
+        assert.throws(() => gauss.eqBlackScholesBatch(100, 100, 1, 0.2, 0, 0, {callPrice: 1}), gauss.InputError);
+    });
+});
+
+describe('FX market conventions', function() {
+    const S = 1.3465, T = 0.5, sigma = 0.1, rFor = 0.03, rDom = 0.02,
+        F = S * Math.exp((rDom - rFor) * T);
+
+    it('should relate delta conventions', function() {
+        for (const K of [1.2, 1.3465, 1.45]) {
+            const res = gauss.fxBlackScholes(S, K, T, sigma, rFor, rDom),
+                spot = gauss.fxDelta(S, K, T, sigma, rFor, rDom),
+                forward = gauss.fxDelta(S, K, T, sigma, rFor, rDom, gauss.fxDeltaConvention.forward),
+                spotPA = gauss.fxDelta(S, K, T, sigma, rFor, rDom, gauss.fxDeltaConvention.spotPremiumAdjusted),
+                forwardPA = gauss.fxDelta(S, K, T, sigma, rFor, rDom, gauss.fxDeltaConvention.forwardPremiumAdjusted);
+            for (const optionType of ['call', 'put']) {
+                assertEqualRelative(spot[optionType], res[optionType].delta, 1e-15);
+                assertEqualRelative(forward[optionType], spot[optionType] * Math.exp(rFor * T), 1e-15);
+                assertEqualRelative(spotPA[optionType], spot[optionType] - res[optionType].price / S, 1e-15);
+                assertEqualRelative(forwardPA[optionType], spotPA[optionType] * Math.exp(rFor * T), 1e-15);
+            }
+            assertEqualRelative(forward.call - forward.put, 1, 1e-15);
+            assertEqualRelative(forwardPA.call - forwardPA.put, K / F, 1e-15);
+        }
+    });
+
+    it('should determine ATM strikes', function() {
+        assertEqualRounded(gauss.fxAtmStrike(S, T, sigma, rFor, rDom, gauss.fxAtmConvention.forward), F, 15);
+        for (const deltaConvention of Object.values(gauss.fxDeltaConvention)) {
+            const K = gauss.fxAtmStrike(S, T, sigma, rFor, rDom, gauss.fxAtmConvention.deltaNeutral, deltaConvention),
+                delta = gauss.fxDelta(S, K, T, sigma, rFor, rDom, deltaConvention);
+            assertEqualRounded(delta.call + delta.put, 0, 14);
+        }
+        assert.throws(() => gauss.fxAtmStrike(S, T, sigma, rFor, rDom, 'spot'), gauss.InputError);
+    });
+
+    it('should invert delta for all conventions', function() {
+        for (const deltaConvention of Object.values(gauss.fxDeltaConvention)) {
+            for (const [delta, optionType] of [[0.1, 'call'], [0.25, 'call'], [0.5, 'call'], [-0.1, 'put'], [-0.25, 'put'], [-0.9, 'put']]) {
+                const K = gauss.fxStrikeFromDelta(delta, optionType, S, T, sigma, rFor, rDom, deltaConvention);
+                assertEqualRounded(gauss.fxDelta(S, K, T, sigma, rFor, rDom, deltaConvention)[optionType], delta, 13);
+            }
+        }
+        const K = gauss.fxStrikeFromDelta(-1.2, 'put', S, T, sigma, rFor, rDom, gauss.fxDeltaConvention.forwardPremiumAdjusted);
+        assertEqualRounded(gauss.fxDelta(S, K, T, sigma, rFor, rDom, gauss.fxDeltaConvention.forwardPremiumAdjusted).put, -1.2, 13);
+    });
+
+    it('should return upper strike for premium-adjusted call deltas', function() {
+        const K = gauss.fxStrikeFromDelta(0.5, 'call', S, T, sigma, rFor, rDom, gauss.fxDeltaConvention.forwardPremiumAdjusted),
+            dK = 1e-6,
+            deltaAt = strike => gauss.fxDelta(S, strike, T, sigma, rFor, rDom, gauss.fxDeltaConvention.forwardPremiumAdjusted).call;
+        assert.ok(deltaAt(K + dK) < deltaAt(K - dK));
+        assert.throws(() => gauss.fxStrikeFromDelta(0.99, 'call', S, T, sigma, rFor, rDom, gauss.fxDeltaConvention.forwardPremiumAdjusted),
+            error => error instanceof gauss.InputError && error.parameter === 'delta');
+    });
+
+    it('should reject unattainable deltas', function() {
+        assert.throws(() => gauss.fxStrikeFromDelta(-0.25, 'call', S, T, sigma, rFor, rDom), gauss.InputError);
+        assert.throws(() => gauss.fxStrikeFromDelta(0.999, 'call', S, T, sigma, rFor, rDom), gauss.InputError);
+        assert.throws(() => gauss.fxStrikeFromDelta(0.25, 'call', S, T, sigma, rFor, rDom, 'premiumAdjusted'), gauss.InputError);
+    });
+
+    it('should express premium in both currencies', function() {
+        const K = 1.4, price = gauss.fxBlackScholes(S, K, T, sigma, rFor, rDom).call.price,
+            premium = gauss.fxPremium(price, S, K);
+        assert.strictEqual(premium.domesticPips, price);
+        assertEqualRounded(premium.foreignPercent, price / S, 15);
+        assertEqualRounded(premium.domesticPercent, price / K, 15);
+        // call on foreign is put on domestic with inverted spot and strike, domestic notional K
+        const inverted = gauss.fxBlackScholes(1 / S, 1 / K, T, sigma, rDom, rFor, K).put.price;
+        assertEqualRounded(premium.foreignPips, inverted / K, 15);
+    });
+});
+
+describe('FX smile construction', function() {
+    const S = 1.3465, T = 0.5, rFor = 0.03, rDom = 0.02, atm = 0.1,
+        quotes = [{delta: 0.25, riskReversal: -0.005, butterfly: 0.0025}, {delta: 0.1, riskReversal: -0.01, butterfly: 0.009}];
+
+    it('should reproduce ATM, risk reversals and smile butterflies', function() {
+        for (const deltaConvention of Object.values(gauss.fxDeltaConvention)) {
+            const {smile, atmStrike, pillars} = gauss.fxSmileFromQuotes(S, T, rFor, rDom, atm, quotes, gauss.fxButterflyType.smile, deltaConvention);
+            assertEqualRounded(smile(atmStrike), atm, 13);
+            assert.strictEqual(pillars.length, 5);
+            for (const pillar of pillars) {
+                assertEqualRounded(smile(pillar.K), pillar.sigma, 13);
+            }
+            // pillars sorted by strike: 10D put, 25D put, ATM, 25D call, 10D call
+            for (const [quote, put, call] of [[quotes[0], pillars[1], pillars[3]], [quotes[1], pillars[0], pillars[4]]]) {
+                const callSigma = smile(call.K),
+                    putSigma = smile(put.K);
+                assertEqualRounded(gauss.fxDelta(S, call.K, T, callSigma, rFor, rDom, deltaConvention).call, quote.delta, 13);
+                assertEqualRounded(gauss.fxDelta(S, put.K, T, putSigma, rFor, rDom, deltaConvention).put, -quote.delta, 13);
+                assertEqualRounded(callSigma - putSigma, quote.riskReversal, 13);
+                assertEqualRounded((callSigma + putSigma) / 2 - atm, quote.butterfly, 13);
+            }
+        }
+    });
+
+    it('should have flat smile without risk reversal and butterfly', function() {
+        const {smile} = gauss.fxSmileFromQuotes(S, T, rFor, rDom, atm, [{delta: 0.25, riskReversal: 0, butterfly: 0}]);
+        for (const K of [0.8, 1.2, 1.35, 1.5, 2]) {
+            assertEqualRounded(smile(K), atm, 14);
+        }
+    });
+
+    it('should reprice market strangles of broker butterflies', function() {
+        const {smile, smileButterflies} = gauss.fxSmileFromQuotes(S, T, rFor, rDom, atm, quotes, gauss.fxButterflyType.broker);
+        quotes.forEach((quote, i) => {
+            const sigma = atm + quote.butterfly,
+                callStrike = gauss.fxStrikeFromDelta(quote.delta, 'call', S, T, sigma, rFor, rDom),
+                putStrike = gauss.fxStrikeFromDelta(-quote.delta, 'put', S, T, sigma, rFor, rDom),
+                strangle = (callSigma, putSigma) => gauss.fxBlackScholes(S, callStrike, T, callSigma, rFor, rDom).call.price
+                    + gauss.fxBlackScholes(S, putStrike, T, putSigma, rFor, rDom).put.price;
+            assertEqualRounded(strangle(smile(callStrike), smile(putStrike)), strangle(sigma, sigma), 12);
+            assert.ok(Math.abs(smileButterflies[i] - quote.butterfly) < 1e-3);
+        });
+    });
+
+    it('should reject invalid quotes', function() {
+        assert.throws(() => gauss.fxSmileFromQuotes(S, T, rFor, rDom, atm, []), gauss.InputError);
+        assert.throws(() => gauss.fxSmileFromQuotes(S, T, rFor, rDom, atm, [{delta: 0.6, riskReversal: 0, butterfly: 0}]), gauss.InputError);
+        assert.throws(() => gauss.fxSmileFromQuotes(S, T, rFor, rDom, atm, [quotes[0], quotes[0]]), gauss.InputError);
+        assert.throws(() => gauss.fxSmileFromQuotes(S, T, rFor, rDom, atm, quotes, 'strangle'), gauss.InputError);
+    });
+});
+
+describe('American option approximations', function() {
+    const approximations = {baroneAdesiWhaley: gauss.eqBaroneAdesiWhaley, bjerksundStensland: gauss.eqBjerksundStensland},
+        greeks = ['delta', 'gamma', 'vega', 'theta', 'rhoDom', 'rhoFor', 'vanna', 'volga', 'charm'];
+
+    // Cox-Ross-Rubinstein binomial tree as reference for American options
+    function binomialTree(optionType, S, K, T, sigma, q, r, steps) {
+        const dt = T / steps,
+            u = Math.exp(sigma * Math.sqrt(dt)),
+            p = (Math.exp((r - q) * dt) - 1 / u) / (u - 1 / u),
+            df = Math.exp(-r * dt),
+            payoff = St => Math.max(optionType === 'call' ? St - K : K - St, 0),
+            spots = [],
+            values = [];
+        // spots[steps + k] = S u^k
+        for (let k = -steps; k <= steps; k++) {
+            spots.push(S * u**k);
+        }
+        for (let i = 0; i <= steps; i++) {
+            values.push(payoff(spots[2 * (steps - i)]));
+        }
+        for (let j = steps - 1; j >= 0; j--) {
+            for (let i = 0; i <= j; i++) {
+                values[i] = Math.max(df * (p * values[i] + (1 - p) * values[i + 1]), payoff(spots[steps + j - 2 * i]));
+            }
+        }
+        return values[0];
+    }
+
+    it('should be close to binomial tree', function() {
+        for (const [S, K, T, sigma, q, r] of [[100, 100, 1, 0.2, 0.05, 0.03], [90, 100, 0.5, 0.3, 0.1, 0.05], [110, 100, 0.25, 0.25, 0.02, 0.08], [100, 100, 1, 0.25, 0.05, 0]]) {
+            for (const optionType of ['call', 'put']) {
+                const reference = binomialTree(optionType, S, K, T, sigma, q, r, 1000);
+                for (const approximation of Object.values(approximations)) {
+                    assertEqualRelative(approximation(S, K, T, sigma, q, r)[optionType].price, reference, 1e-2);
+                }
+            }
+        }
+    });
+
+    it('should be close to binomial tree for small dividend yields, long maturities and low volatilities', function() {
+        const tolerances = {baroneAdesiWhaley: 5e-2, bjerksundStensland: 1e-2};
+        for (const T of [0.25, 1, 5]) {
+            for (const q of [0, 1e-5]) {
+                for (const [S, sigma, r] of [[90, 0.2, 0.05], [100, 0.3, 0.1], [110, 0.15, 0.1], [100, 0.05, 0.1], [100, 0.1, 0.1]]) {
+                    for (const optionType of ['call', 'put']) {
+                        const reference = binomialTree(optionType, S, 100, T, sigma, q, r, 1000),
+                            european = gauss.eqBlackScholes(S, 100, T, sigma, q, r)[optionType];
+                        for (const [name, approximation] of Object.entries(approximations)) {
+                            const res = approximation(S, 100, T, sigma, q, r)[optionType];
+                            assertEqualRelative(res.price, reference, tolerances[name]);
+                            assert.ok(res.price >= european.price - 1e-12);
+                            for (const greek of greeks) {
+                                assert.ok(Number.isFinite(res[greek]), `${optionType}.${greek}: ${res[greek]}`);
+                            }
+                        }
+                    }
+                }
+            }
+        }
+        const put = gauss.eqBjerksundStensland(100, 100, 1, 0.05, 0, 0.1).put;
+        assert.ok(put.criticalPrice > 90 && put.criticalPrice < 100);
+        assertEqualRounded(gauss.eqBjerksundStensland(put.criticalPrice * 0.99, 100, 1, 0.05, 0, 0.1).put.price, 100 - put.criticalPrice * 0.99, 12);
+        assert.strictEqual(gauss.eqBaroneAdesiWhaley(100, 100, 1, 0.2, 1e-12, 0.05).call.criticalPrice, Infinity);
+        assert.strictEqual(gauss.eqBaroneAdesiWhaley(100, 100, 1, 0.2, 0.05, 1e-12).put.criticalPrice, 0);
+    });
+
+    it('should reduce to European options if early exercise is never optimal', function() {
+        for (const approximation of Object.values(approximations)) {
+            const call = approximation(100, 95, 1, 0.2, 0, 0.05, 3).call,
+                put = approximation(100, 105, 1, 0.2, 0.03, -0.01, 3).put,
+                europeanCall = gauss.eqBlackScholes(100, 95, 1, 0.2, 0, 0.05, 3).call,
+                europeanPut = gauss.eqBlackScholes(100, 105, 1, 0.2, 0.03, -0.01, 3).put;
+            assertEqualRounded(call.price, europeanCall.price, 12);
+            assertEqualRounded(put.price, europeanPut.price, 12);
+            assertEqualRounded(call.earlyExercisePremium, 0, 12);
+            assert.strictEqual(call.criticalPrice, Infinity);
+            assert.strictEqual(put.criticalPrice, 0);
+            for (const greek of greeks) {
+                assertEqualRelative(call[greek], europeanCall[greek], 1e-5);
+                assertEqualRelative(put[greek], europeanPut[greek], 1e-5);
+            }
+        }
+    });
+
+    it('should support volatilities below finite difference step', function() {
+        for (const approximation of Object.values(approximations)) {
+            const res = approximation(100, 100, 1, 5e-5, 0.02, 0.05);
+            for (const optionType of ['call', 'put']) {
+                for (const greek of ['price', ...greeks]) {
+                    assert.ok(Number.isFinite(res[optionType][greek]), `${optionType}.${greek}: ${res[optionType][greek]}`);
+                }
+            }
+            assertEqualRounded(res.call.price, 100 * Math.exp(-0.02) - 100 * Math.exp(-0.05), 8);
+            assertEqualRounded(res.put.price, 0, 4);
+        }
+    });
+
+    it('should exceed European price and intrinsic value', function() {
+        for (const approximation of Object.values(approximations)) {
+            for (const S of [70, 90, 100, 110, 130]) {
+                const res = approximation(S, 100, 1, 0.25, 0.04, 0.06);
+                for (const optionType of ['call', 'put']) {
+                    assert.ok(res[optionType].earlyExercisePremium >= -1e-12);
+                    assert.ok(res[optionType].price >= Math.max(optionType === 'call' ? S - 100 : 100 - S, 0) - 1e-12);
+                }
+            }
+        }
+    });
+
+    it('should exercise beyond critical price', function() {
+        for (const approximation of Object.values(approximations)) {
+            const {call, put} = approximation(100, 100, 1, 0.25, 0.08, 0.06);
+            assert.ok(call.criticalPrice > 100 && put.criticalPrice < 100);
+            const exercisedCall = approximation(call.criticalPrice * 1.01, 100, 1, 0.25, 0.08, 0.06, 2).call,
+                exercisedPut = approximation(put.criticalPrice * 0.99, 100, 1, 0.25, 0.08, 0.06, 2).put;
+            assertEqualRounded(exercisedCall.price, 2 * (call.criticalPrice * 1.01 - 100), 10);
+            assertEqualRounded(exercisedPut.price, 2 * (100 - put.criticalPrice * 0.99), 10);
+            assertEqualRounded(exercisedCall.delta, 2, 8);
+            assertEqualRounded(exercisedPut.delta, -2, 8);
+            assertEqualRounded(exercisedCall.gamma, 0, 6);
+            assert.ok(approximation(call.criticalPrice * 0.99, 100, 1, 0.25, 0.08, 0.06).call.price > call.criticalPrice * 0.99 - 100);
+        }
+    });
+});
+
+describe('discrete dividends', function() {
+    const dividends = [{t: 0.25, amount: 1.5}, {t: 0.5, proportion: 0.01}, {t: 0.75, amount: 2}, {t: 1.5, amount: 3}, {t: -0.1, amount: 4}];
+
+    it('should reduce to continuous dividend yield without dividends', function() {
+        assert.deepStrictEqual(gauss.eqBlackScholesDiscreteDividends(100, 95, 1, 0.2, 0.01, 0.03, [], 2), gauss.eqBlackScholes(100, 95, 1, 0.2, 0.01, 0.03, 2));
+        assert.strictEqual(gauss.eqForward(100, 1, 0.01, 0.03), 100 * Math.exp(0.02));
+        assert.deepStrictEqual(gauss.eqBlackScholesDiscreteDividends(100, 95, 1, 0.2, 0.01, 0.03, [{t: 2, amount: 5}]), gauss.eqBlackScholes(100, 95, 1, 0.2, 0.01, 0.03));
+    });
+
+    it('should compute forward', function() {
+        const expected = ((100 * Math.exp(0.02 * 0.25) - 1.5) * Math.exp(0.02 * 0.25) * 0.99 * Math.exp(0.02 * 0.25) - 2) * Math.exp(0.02 * 0.25);
+        assertEqualRounded(gauss.eqForward(100, 1, 0.01, 0.03, dividends), expected, 12);
+        assertEqualRounded(gauss.eqForward(100, 0.5, 0, 0.03, [{t: 0.5, amount: 1}, {t: 0.5, proportion: 0.1}]), (100 * Math.exp(0.015) - 1) * 0.9, 12);
+    });
+
+    it('should satisfy put-call parity', function() {
+        const res = gauss.eqBlackScholesDiscreteDividends(100, 95, 1, 0.2, 0.01, 0.03, dividends),
+            forward = gauss.eqForward(100, 1, 0.01, 0.03, dividends);
+        assertEqualRounded(res.call.price - res.put.price, Math.exp(-0.03) * (forward - 95), 12);
+        assertEqualRounded(res.call.logSimpleMoneyness, Math.log(forward / 95), 12);
+    });
+
+    it('should compute sensitivities', function() {
+        const price = (S, T, sigma, q, r, shift) => gauss.eqBlackScholesDiscreteDividends(S, 95, T, sigma, q, r,
+            dividends.map(dividend => Object.assign({}, dividend, {t: dividend.t - shift})), 2);
+        const res = price(100, 1, 0.2, 0.01, 0.03, 0);
+        for (const optionType of ['call', 'put', 'digitalCall', 'digitalPut']) {
+            const option = res[optionType],
+                value = (S, T, sigma, q, r, shift) => price(S, T, sigma, q, r, shift)[optionType];
+            assertEqualRelative(option.delta, diffquot(S => value(S, 1, 0.2, 0.01, 0.03, 0).price, 100), 1e-6);
+            assertEqualRelative(option.gamma, diffquot(S => value(S, 1, 0.2, 0.01, 0.03, 0).delta, 100), 1e-6);
+            assertEqualRelative(option.vega, diffquot(sigma => value(100, 1, sigma, 0.01, 0.03, 0).price, 0.2), 1e-6);
+            assertEqualRelative(option.theta, diffquot(s => value(100, 1 - s, 0.2, 0.01, 0.03, s).price, 0), 1e-6);
+            assertEqualRelative(option.rhoDom, diffquot(r => value(100, 1, 0.2, 0.01, r, 0).price, 0.03), 1e-6);
+            assertEqualRelative(option.rhoFor, diffquot(q => value(100, 1, 0.2, q, 0.03, 0).price, 0.01), 1e-6);
+            assertEqualRelative(option.vanna, diffquot(sigma => value(100, 1, sigma, 0.01, 0.03, 0).delta, 0.2), 1e-6);
+            assertEqualRelative(option.volga, diffquot(sigma => value(100, 1, sigma, 0.01, 0.03, 0).vega, 0.2), 1e-6);
+            assertEqualRelative(option.charm, diffquot(s => value(100, 1 - s, 0.2, 0.01, 0.03, s).delta, 0), 1e-6);
+        }
+    });
+
+    it('should reject invalid dividends', function() {
+        assert.throws(() => gauss.eqBlackScholesDiscreteDividends(10, 10, 1, 0.2, 0, 0.03, [{t: 0.5, amount: 11}]),
+            {name: 'InputError', parameter: 'dividends', code: gauss.errorCode.outOfRange});
+        assert.throws(() => gauss.eqForward(100, 1, 0, 0.03, [{t: 0.5, amount: 1, proportion: 0.1}]),
+            {name: 'InputError', parameter: 'dividends[0]', code: gauss.errorCode.invalidValue});
+        assert.throws(() => gauss.eqForward(100, 1, 0, 0.03, [{t: 0.5, proportion: 1}]),
+            {name: 'InputError', parameter: 'dividends[0].proportion', code: gauss.errorCode.outOfRange});
+        assert.throws(() => gauss.eqBlackScholesDiscreteDividends(100, 100, 1, 0.2, 0, 0.03),
+            {name: 'InputError', parameter: 'dividends', code: gauss.errorCode.invalidType});
+    });
+});
+
+describe('Asian options', function() {
+    const averagings = Object.values(gauss.eqAveraging),
+        greeks = ['delta', 'gamma', 'vega', 'theta', 'rhoDom', 'rhoFor', 'vanna', 'volga', 'charm'];
+
+    it('should reduce to European options for a single fixing at maturity', function() {
+        const european = gauss.eqBlackScholes(100, 95, 1, 0.2, 0.01, 0.03, 3);
+        for (const averaging of averagings) {
+            const res = gauss.eqAsianOption(100, 95, 1, 0.2, 0.01, 0.03, [1], averaging, [], 3);
+            assertEqualRounded(res.sigma, 0.2, 12);
+            for (const optionType of ['call', 'put']) {
+                assertEqualRounded(res[optionType].price, european[optionType].price, 12);
+                assertEqualRounded(res[optionType].logSimpleMoneyness, european[optionType].logSimpleMoneyness, 12);
+                for (const greek of greeks) {
+                    assertEqualRelative(res[optionType][greek], european[optionType][greek], 1e-5);
+                }
+            }
+        }
+    });
+
+    it('should approach continuous geometric average', function() {
+        // Kemna and Vorst: Black-Scholes with volatility sigma / sqrt(3) and cost of carry (r - q - sigma^2 / 6) / 2
+        const fixingTimes = gauss.irRollFromEnd(0, 1, gauss.irFrequency.daily),
+            carry = (0.05 - 0.02 - 0.3**2 / 6) / 2,
+            continuous = gauss.eqBlackScholes(100, 100, 1, 0.3 / Math.sqrt(3), 0.05 - carry, 0.05),
+            res = gauss.eqAsianOption(100, 100, 1, 0.3, 0.02, 0.05, fixingTimes, gauss.eqAveraging.geometric);
+        assertEqualRelative(res.call.price, continuous.call.price, 1e-2);
+        assertEqualRelative(res.put.price, continuous.put.price, 1e-2);
+    });
+
+    it('should be close to Monte Carlo simulation', function() {
+        // reference values from 400000 paths, three of six fixings known
+        const fixingTimes = [0.5, 0.75, 1],
+            fixings = [95, 105, 110],
+            expected = {
+                geometric: {call: 5.4487, averageStrikeCall: 8.1130},
+                arithmetic: {call: 5.9725, averageStrikeCall: 7.6209}
+            };
+        for (const averaging of averagings) {
+            const averagePrice = gauss.eqAsianOption(100, 100, 1, 0.3, 0.02, 0.05, fixingTimes, averaging, fixings),
+                averageStrike = gauss.eqAsianAverageStrikeOption(100, 1, 0.3, 0.02, 0.05, fixingTimes, averaging, fixings);
+            assertEqualRelative(averagePrice.call.price, expected[averaging].call, 2e-2);
+            assertEqualRelative(averageStrike.call.price, expected[averaging].averageStrikeCall, 2e-2);
+        }
+        assertEqualRelative(gauss.eqAsianOption(100, 100, 1, 0.3, 0.02, 0.05, fixingTimes, gauss.eqAveraging.arithmetic, fixings).put.price, 3.2997, 2e-2);
+    });
+
+    it('should satisfy put-call parity', function() {
+        const fixingTimes = gauss.irRollFromEnd(0.1, 1, gauss.irFrequency.monthly),
+            fixings = [98, 103],
+            n = fixingTimes.length + fixings.length,
+            df = Math.exp(-0.03),
+            average = (98 + 103 + fixingTimes.reduce((sum, t) => sum + 100 * Math.exp(0.02 * t), 0)) / n,
+            averagePrice = gauss.eqAsianOption(100, 95, 1, 0.2, 0.01, 0.03, fixingTimes, gauss.eqAveraging.arithmetic, fixings),
+            averageStrike = gauss.eqAsianAverageStrikeOption(100, 1, 0.2, 0.01, 0.03, fixingTimes, gauss.eqAveraging.arithmetic, fixings);
+        assertEqualRounded(averagePrice.call.price - averagePrice.put.price, df * (average - 95), 12);
+        assertEqualRounded(averageStrike.call.price - averageStrike.put.price, 100 * Math.exp(-0.01) - df * average, 12);
+    });
+
+    it('should price partially fixed arithmetic averages', function() {
+        const fixings = [90, 110, 120],
+            res = gauss.eqAsianOption(100, 100, 1, 0.2, 0.01, 0.03, [1], gauss.eqAveraging.arithmetic, fixings),
+            european = gauss.eqBlackScholes(100, 4 * 100 - 320, 1, 0.2, 0.01, 0.03, 1 / 4);
+        assertEqualRounded(res.call.price, european.call.price, 12);
+        assertEqualRounded(res.put.price, european.put.price, 12);
+        const exercised = gauss.eqAsianOption(100, 70, 1, 0.2, 0.01, 0.03, [1], gauss.eqAveraging.arithmetic, fixings);
+        assertEqualRounded(exercised.call.price, Math.exp(-0.03) * ((320 + 100 * Math.exp(0.02)) / 4 - 70), 12);
+        assertEqualRounded(exercised.call.delta, Math.exp(-0.01) / 4, 8);
+        assert.strictEqual(exercised.put.price, 0);
+    });
+
+    it('should value arithmetic average above geometric average', function() {
+        const fixingTimes = gauss.irRollFromEnd(0, 2, gauss.irFrequency.quarterly);
+        for (const K of [80, 100, 120]) {
+            const geometric = gauss.eqAsianOption(100, K, 2, 0.25, 0.01, 0.04, fixingTimes, gauss.eqAveraging.geometric),
+                arithmetic = gauss.eqAsianOption(100, K, 2, 0.25, 0.01, 0.04, fixingTimes);
+            assert.ok(arithmetic.call.price > geometric.call.price);
+            assert.ok(arithmetic.put.price < geometric.put.price);
+        }
+    });
+
+    it('should reject invalid fixings', function() {
+        assert.throws(() => gauss.eqAsianOption(100, 100, 1, 0.2, 0, 0.03, [0.5, 1.5]),
+            {name: 'InputError', parameter: 'fixingTimes[1]', code: gauss.errorCode.outOfRange});
+        assert.throws(() => gauss.eqAsianOption(100, 100, 1, 0.2, 0, 0.03, []),
+            {name: 'InputError', parameter: 'fixingTimes', code: gauss.errorCode.outOfRange});
+        assert.throws(() => gauss.eqAsianAverageStrikeOption(100, 1, 0.2, 0, 0.03, [1], 'harmonic'),
+            {name: 'InputError', parameter: 'averaging', code: gauss.errorCode.invalidValue});
+        assert.throws(() => gauss.eqAsianAverageStrikeOption(100, 1, 0.2, 0, 0.03, [1], gauss.eqAveraging.geometric, [100, -1]),
+            {name: 'InputError', parameter: 'fixings[1]', code: gauss.errorCode.outOfRange});
+    });
+});
@@ -2,9 +2,14 @@
 
 import os
 import subprocess
+import tempfile
 
-apidoc = subprocess.run(['./node_modules/.bin/jsdoc2md', '-d', '4', 'gaussian-analytics.js'],
-                        stdout=subprocess.PIPE).stdout.decode('utf8').splitlines()
+# jsdoc2md exits before flushing stdout to a pipe (output stops at 128 KiB), hence write to a file
+with tempfile.TemporaryFile() as out:
+    subprocess.run(['./node_modules/.bin/jsdoc2md', '-d', '4', 'gaussian-analytics.js'],
+                   stdout=out, check=True)
+    out.seek(0)
+    apidoc = out.read().decode('utf8').splitlines()
 
 with open('README.md') as f:
     readme = f.readlines()